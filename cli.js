@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+import {runCli} from './lib/cli.js';
+
+/**
+ * Command-line QC runs, e.g.
+ *   node cli.js --data data.csv --dictionary dict.xlsx --corrections corrections.csv \
+ *     --warnings warnings.csv --study PLCO --out qc-output --max-warnings 100
+ * See `lib/cli.js` for the options and exit codes.
+ */
+
+process.exitCode = await runCli(process.argv.slice(2));
@@ -0,0 +1,155 @@
+import {flaggedVariable, indexFlags, flaggingRules, filterResultRows, resultColumns} from './lib/results.js';
+
+
+/**
+ * The results grid of the workbench: a virtualized table of the QC'd data with changed and
+ * warned cells shaded, their comments shown on hover, and filters by variable, rule, comment
+ * text and dictionary category. Only the rows in view are in the DOM, so tens of thousands of
+ * rows scroll smoothly.
+ */
+
+
+const ROW_HEIGHT = 28;
+const OVERSCAN = 10;
+const COLUMN_WIDTH = 144;
+const INDEX_WIDTH = 72;
+
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const options = (items, placeholder) => `<option value="">${placeholder}</option>`
+    + items.map(({value, label}) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+
+
+/** Shading and hover text of a cell with changes and/or warnings. */
+function cellFlags(flags) {
+    if (!flags) return {shade: '', title: ''};
+    const lines = [
+        ...flags.changes.map(e => `Change: ${e.comment}${e.oldValue === null || e.oldValue === undefined ? '' : ` (was ${e.oldValue})`}`),
+        ...flags.warnings.map(e => `Warning: ${e.comment}`)
+    ];
+    const shade = flags.changes.length > 0 && flags.warnings.length > 0 ? 'bg-violet-100'
+        : flags.changes.length > 0 ? 'bg-sky-100' : 'bg-orange-100';
+    return {shade, title: lines.join('\n')};
+}
+
+
+/**
+ * Renders the results grid into a container.
+ *
+ * @param {HTMLElement} container - where to render the grid
+ * @param {Object} qcData - output of `warningsQc`, in split orientation with a `log`
+ * @param {Object[]} [dataDict] - dictionary rows, for the category filter
+ * @returns {{destroy: function(): void}}
+ */
+function resultsGrid(container, qcData, dataDict = []) {
+    const flags = indexFlags(qcData);
+    const flaggedVariables = new Set();
+    for (const entries of flags.rows.values()) {
+        entries.forEach(entry => flaggedVariables.add(flaggedVariable(entry)));
+    }
+    const categoryOf = new Map(dataDict.map(row => [String(row['Variable Name']).toLowerCase(), row.Category]));
+    const categories = [...new Set([...flaggedVariables].map(v => categoryOf.get(String(v).toLowerCase())).filter(Boolean))].sort();
+
+    container.innerHTML = `
+<div class="flex flex-col gap-3">
+    <div class="flex flex-wrap items-center gap-3 text-sm">
+        <select data-filter="variable" class="px-2 py-1 border border-slate-300 rounded-md">
+            ${options([...flaggedVariables].sort().map(v => ({value: v, label: v})), 'All variables')}
+        </select>
+        <select data-filter="rule" class="px-2 py-1 border border-slate-300 rounded-md max-w-xs">
+            ${options(flaggingRules(qcData).map(r => ({value: r.key, label: r.label})), 'All rules')}
+        </select>
+        <select data-filter="category" class="px-2 py-1 border border-slate-300 rounded-md">
+            ${options(categories.map(c => ({value: c, label: c})), 'All categories')}
+        </select>
+        <input data-filter="comment" type="search" placeholder="Comment contains…"
+               class="px-2 py-1 border border-slate-300 rounded-md">
+        <label class="flex items-center gap-2">
+            <input data-show-comments type="checkbox" class="rounded border-slate-300">
+            Show comment columns
+        </label>
+        <span data-row-count class="ml-auto text-slate-500"></span>
+    </div>
+    <div class="flex gap-4 text-xs text-slate-600">
+        <span class="flex items-center gap-1"><span class="inline-block w-3 h-3 bg-sky-100 border border-sky-300"></span>changed</span>
+        <span class="flex items-center gap-1"><span class="inline-block w-3 h-3 bg-orange-100 border border-orange-300"></span>warning</span>
+        <span class="flex items-center gap-1"><span class="inline-block w-3 h-3 bg-violet-100 border border-violet-300"></span>both</span>
+    </div>
+    <div data-scroll class="relative overflow-auto border border-slate-200 rounded-md bg-white text-sm" style="height: 32rem">
+        <div data-header class="sticky top-0 z-10 flex bg-slate-100 font-semibold border-b border-slate-300"></div>
+        <div data-body class="relative"></div>
+    </div>
+</div>`;
+
+    const $ = (selector) => container.querySelector(selector);
+    const scroll = $('[data-scroll]');
+    const header = $('[data-header]');
+    const body = $('[data-body]');
+
+    let columns = [];
+    let rows = [];
+    let frame = null;
+
+    const renderRows = () => {
+        frame = null;
+        const first = Math.max(0, Math.floor(scroll.scrollTop / ROW_HEIGHT) - OVERSCAN);
+        const last = Math.min(rows.length, Math.ceil((scroll.scrollTop + scroll.clientHeight) / ROW_HEIGHT) + OVERSCAN);
+        let html = '';
+        for (let i = first; i < last; i++) {
+            const r = rows[i];
+            const cells = qcData.data[r];
+            html += `<div class="absolute left-0 flex border-b border-slate-100" style="top: ${i * ROW_HEIGHT}px; height: ${ROW_HEIGHT}px">`
+                + `<div class="shrink-0 px-2 truncate text-slate-400" style="width: ${INDEX_WIDTH}px; line-height: ${ROW_HEIGHT}px">${escapeHtml(qcData.index[r])}</div>`;
+            for (const col of columns) {
+                const {shade, title} = cellFlags(flags.cell(r, col.name));
+                html += `<div class="shrink-0 px-2 truncate ${shade}" style="width: ${COLUMN_WIDTH}px; line-height: ${ROW_HEIGHT}px"`
+                    + `${title ? ` title="${escapeHtml(title)}"` : ''}>${escapeHtml(cells[col.index])}</div>`;
+            }
+            html += '</div>';
+        }
+        body.innerHTML = html;
+    };
+    const scheduleRows = () => {
+        if (frame === null) frame = requestAnimationFrame(renderRows);
+    };
+
+    const refresh = () => {
+        const filters = {};
+        container.querySelectorAll('[data-filter]').forEach(el => {
+            filters[el.dataset.filter] = el.value.trim();
+        });
+        rows = filterResultRows(qcData, filters, dataDict, flags);
+        columns = resultColumns(qcData, $('[data-show-comments]').checked);
+
+        const width = INDEX_WIDTH + columns.length * COLUMN_WIDTH;
+        header.style.width = `${width}px`;
+        header.innerHTML = `<div class="shrink-0 px-2 py-1" style="width: ${INDEX_WIDTH}px">index</div>`
+            + columns.map(col => `<div class="shrink-0 px-2 py-1 truncate" style="width: ${COLUMN_WIDTH}px" title="${escapeHtml(col.name)}">${escapeHtml(col.name)}</div>`).join('');
+        body.style.width = `${width}px`;
+        body.style.height = `${rows.length * ROW_HEIGHT}px`;
+        $('[data-row-count]').textContent = `${rows.length} of ${qcData.data.length} rows`;
+        scroll.scrollTop = 0;
+        renderRows();
+    };
+
+    container.querySelectorAll('[data-filter]').forEach(el => el.addEventListener('input', refresh));
+    $('[data-show-comments]').addEventListener('change', refresh);
+    scroll.addEventListener('scroll', scheduleRows);
+    refresh();
+
+    return {
+        destroy() {
+            if (frame !== null) cancelAnimationFrame(frame);
+            scroll.removeEventListener('scroll', scheduleRows);
+            container.innerHTML = '';
+        }
+    };
+}
+
+
+export {escapeHtml, resultsGrid};
@@ -1,13 +1,275 @@
 import './style.css'
+import {escapeHtml, resultsGrid} from './grid.js';
+import {QcCancelledError, QcLintError, createQcRunner} from './runner.js';
+
+
+/**
+ * The file slots of the workbench. Every file is read in the browser, by the QC worker (see
+ * `runner.js`); nothing is uploaded.
+ */
+const SLOTS = [
+    {id: 'data', label: 'Dataset', accept: '.csv,.tsv,.txt,.xlsx,.json', hint: 'CSV, TSV, XLSX or JSON', required: true},
+    {id: 'dictionary', label: 'Data dictionary', accept: '.csv,.tsv,.txt,.xlsx', hint: 'CSV, TSV or XLSX', required: true},
+    {id: 'corrections', label: 'Correction rules', accept: '.csv,.tsv,.txt,.xlsx', hint: 'CSV, TSV or XLSX', required: false},
+    {id: 'warnings', label: 'Warning rules', accept: '.csv,.tsv,.txt,.xlsx', hint: 'CSV, TSV or XLSX', required: false},
+    // each file is a code list of code.warnings rules, named after the file: icd10.csv is "icd10"
+    {id: 'codeLists', label: 'Code lists', accept: '.csv,.tsv,.txt,.xlsx', hint: 'one or more CSV, TSV, text or XLSX files', required: false, multiple: true}
+];
+
+const STEP_LABELS = {
+    caseMatch: 'Matching variable names to the dictionary',
+    missingColumns: 'Checking for missing variables',
+    changes: 'Applying correction rules',
+    warnings: 'Applying warning rules',
+    report: 'Building the summary report'
+};
+
+
+/** One line per lint issue, see `lib/lint.js`. */
+const issueLines = (issues) => issues.map(i =>
+    `${i.severity === 'error' ? 'Error' : 'Warning'}: ${i.ruleSet} rule ${i.ruleIndex + 1} (${i.type}, ${i.variable}): ${i.message}`);
+
+
+/** Offers a Blob for download under the given file name. */
+function download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+
+function slotHtml(slot) {
+    return `
+<label data-slot="${slot.id}"
+       class="flex flex-col gap-1 p-4 border-2 border-dashed border-slate-300 rounded-lg bg-white cursor-pointer transition-colors hover:border-sky-500 hover:bg-sky-50">
+    <span class="font-semibold text-slate-800">${slot.label}${slot.required ? '' : ' <span class="font-normal text-slate-500">(optional)</span>'}</span>
+    <span data-slot-status class="text-sm text-slate-500">Drop a file here or click to browse (${slot.hint})</span>
+    <input type="file" accept="${slot.accept}"${slot.multiple ? ' multiple' : ''} class="hidden">
+</label>`;
+}
 
 
 function ui(divID) {
     let divUI = divID ? document.getElementById(divID) : document.createElement('div');
 
+    const runner = createQcRunner();
+    const files = {};
+    let result = null;
+    let grid = null;
+    let running = false;
+
     divUI.innerHTML = `
-<h1 class="text-3xl font-bold underline">Hello world!</h1>
+<div class="min-h-screen bg-slate-100 text-slate-900">
+    <header class="bg-sky-900 text-white px-6 py-4 shadow">
+        <h1 class="text-2xl font-bold">BCRPP Data QC</h1>
+        <p class="text-sm text-sky-100">Files are processed in your browser and are never uploaded.</p>
+    </header>
+    <main class="max-w-5xl mx-auto p-6 flex flex-col gap-6">
+        <section class="grid grid-cols-1 md:grid-cols-2 gap-4">
+            ${SLOTS.map(slotHtml).join('')}
+        </section>
+        <section class="flex flex-wrap items-end gap-4 p-4 bg-white rounded-lg shadow-sm">
+            <label class="flex flex-col gap-1 text-sm font-medium text-slate-700">
+                Study name
+                <input data-study-name type="text" placeholder="e.g. PLCO"
+                       class="px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-sky-500">
+            </label>
+            <label class="flex flex-col gap-1 text-sm font-medium text-slate-700">
+                Report
+                <select data-report class="px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-sky-500">
+                    <option value="core">Core</option>
+                    <option value="incident">Incident cases</option>
+                </select>
+            </label>
+            <label class="flex items-center gap-2 py-2 text-sm font-medium text-slate-700">
+                <input data-dictionary-warnings type="checkbox" class="h-4 w-4 rounded border-slate-300 text-sky-700 focus:ring-sky-500">
+                Warnings from the dictionary's valid values and ranges
+            </label>
+            <button data-run disabled
+                    class="px-5 py-2 rounded-md bg-sky-700 text-white font-semibold hover:bg-sky-800 disabled:bg-slate-300 disabled:cursor-not-allowed">
+                Run QC
+            </button>
+            <button data-cancel
+                    class="hidden px-5 py-2 rounded-md border border-red-700 text-red-800 font-semibold hover:bg-red-50">
+                Cancel
+            </button>
+        </section>
+        <section data-progress class="hidden flex flex-col gap-2 p-4 bg-white rounded-lg shadow-sm">
+            <div class="flex justify-between text-sm text-slate-700">
+                <span data-progress-label></span>
+                <span data-progress-percent></span>
+            </div>
+            <div class="h-2 bg-slate-200 rounded-full overflow-hidden">
+                <div data-progress-bar class="h-full bg-sky-600 transition-all" style="width: 0%"></div>
+            </div>
+        </section>
+        <section data-messages class="hidden flex flex-col gap-1 p-4 rounded-lg border text-sm"></section>
+        <section data-results class="hidden flex flex-col gap-4 p-4 bg-white rounded-lg shadow-sm">
+            <h2 class="text-lg font-semibold">Results</h2>
+            <dl data-counts class="grid grid-cols-2 md:grid-cols-4 gap-4"></dl>
+            <div class="flex flex-wrap gap-3">
+                <button data-download="data" class="px-4 py-2 rounded-md border border-sky-700 text-sky-800 font-medium hover:bg-sky-50">Corrected data (CSV)</button>
+                <button data-download="report" class="px-4 py-2 rounded-md border border-sky-700 text-sky-800 font-medium hover:bg-sky-50">QC report (XLSX)</button>
+                <button data-download="log" class="px-4 py-2 rounded-md border border-sky-700 text-sky-800 font-medium hover:bg-sky-50">Change log (CSV)</button>
+            </div>
+            <div data-grid></div>
+        </section>
+    </main>
+</div>
     `;
+
+    const $ = (selector) => divUI.querySelector(selector);
+    const runButton = $('[data-run]');
+    const cancelButton = $('[data-cancel]');
+
+    const updateRunButton = () => {
+        runButton.disabled = running || SLOTS.some(slot => slot.required && !files[slot.id]);
+        cancelButton.classList.toggle('hidden', !running);
+    };
+
+    const showMessages = (lines, tone) => {
+        const box = $('[data-messages]');
+        if (lines.length === 0) {
+            box.classList.add('hidden');
+            return;
+        }
+        box.className = `flex flex-col gap-1 p-4 rounded-lg border text-sm ${tone === 'error'
+            ? 'bg-red-50 border-red-300 text-red-800'
+            : 'bg-amber-50 border-amber-300 text-amber-900'}`;
+        box.innerHTML = lines.map(line => `<p>${escapeHtml(line)}</p>`).join('');
+    };
+
+    const setProgress = (label, fraction) => {
+        $('[data-progress]').classList.remove('hidden');
+        $('[data-progress-label]').textContent = label;
+        $('[data-progress-percent]').textContent = `${Math.round(fraction * 100)}%`;
+        $('[data-progress-bar]').style.width = `${fraction * 100}%`;
+    };
+
+    const acceptFiles = async (slot, dropped, element) => {
+        const status = element.querySelector('[data-slot-status]');
+        const names = dropped.map(file => file.name).join(', ');
+        status.textContent = `Reading ${names}…`;
+        element.classList.remove('border-emerald-500', 'border-red-400');
+        files[slot.id] = slot.multiple ? dropped : dropped[0];
+        try {
+            const loaded = [];
+            for (const file of dropped) {
+                const {summary, errors} = await runner.load(slot.multiple ? 'codeList' : slot.id, file);
+                loaded.push({file, summary, errors});
+            }
+            status.textContent = loaded.map(({file, summary}) => `${file.name}: ${summary}`).join('; ');
+            element.classList.add('border-emerald-500');
+            showMessages(loaded.flatMap(({errors}) => errors), 'warning');
+        } catch (err) {
+            if (err instanceof QcCancelledError) {
+                // cancelled along with a run; the runner has the files read again
+                status.textContent = names;
+                return;
+            }
+            delete files[slot.id];
+            status.textContent = `${names} could not be read`;
+            element.classList.add('border-red-400');
+            showMessages([`${slot.label}: ${err.message}`], 'error');
+        }
+        result = null;
+        $('[data-results]').classList.add('hidden');
+        updateRunButton();
+    };
+
+    for (const slot of SLOTS) {
+        const element = $(`[data-slot="${slot.id}"]`);
+        const input = element.querySelector('input');
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) acceptFiles(slot, [...input.files], element);
+            input.value = '';
+        });
+        element.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            element.classList.add('border-sky-500', 'bg-sky-50');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('border-sky-500', 'bg-sky-50'));
+        element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            element.classList.remove('border-sky-500', 'bg-sky-50');
+            const dropped = [...event.dataTransfer.files];
+            if (dropped.length > 0) acceptFiles(slot, slot.multiple ? dropped : dropped.slice(0, 1), element);
+        });
+    }
+
+    runButton.addEventListener('click', async () => {
+        running = true;
+        updateRunButton();
+        $('[data-results]').classList.add('hidden');
+        setProgress('Reading files…', 0);
+
+        const reportKind = $('[data-report]').value;
+        try {
+            result = await runner.run(
+                files,
+                {
+                    studyName: $('[data-study-name]').value.trim(),
+                    report: reportKind,
+                    dictionaryWarnings: $('[data-dictionary-warnings]').checked
+                },
+                (event) => setProgress(STEP_LABELS[event.step], event.progress)
+            );
+            setProgress('Done', 1);
+            showMessages(issueLines(result.issues), 'warning');
+            renderResults();
+        } catch (err) {
+            result = null;
+            if (err instanceof QcCancelledError) {
+                setProgress('Cancelled', 0);
+                showMessages([], 'warning');
+            } else if (err instanceof QcLintError) {
+                setProgress('Not run', 0);
+                showMessages([err.message, ...issueLines(err.issues)], 'error');
+            } else {
+                setProgress('Failed', 0);
+                showMessages([`QC failed: ${err.message}`], 'error');
+            }
+        }
+        running = false;
+        updateRunButton();
+    });
+
+    cancelButton.addEventListener('click', () => runner.cancel());
+
+    const renderResults = () => {
+        const counts = {
+            'Changes': result.qcData.log.filter(e => e.kind === 'change').length,
+            'Warnings': result.qcData.log.filter(e => e.kind === 'warning').length,
+            'Flagged rows': result.qcData.data.length,
+            'Missing variables': Array.isArray(result.missingColumns) ? result.missingColumns.length : 0
+        };
+        $('[data-counts]').innerHTML = Object.entries(counts).map(([label, count]) => `
+<div class="p-3 rounded-md bg-slate-50 border border-slate-200">
+    <dt class="text-xs uppercase tracking-wide text-slate-500">${label}</dt>
+    <dd class="text-2xl font-semibold">${count}</dd>
+</div>`).join('');
+        $('[data-results]').classList.remove('hidden');
+        grid?.destroy();
+        grid = resultsGrid($('[data-grid]'), result.qcData, result.dataDict);
+    };
+
+    divUI.querySelectorAll('[data-download]').forEach(button => button.addEventListener('click', async () => {
+        if (!result) return;
+        try {
+            const {blob, fileName} = await runner.download(button.dataset.download);
+            download(blob, fileName);
+        } catch (err) {
+            showMessages([`Download failed: ${err.message}`], 'error');
+        }
+    }));
+
+    return divUI;
 }
 
 
-export { ui };
\ No newline at end of file
+export { ui };
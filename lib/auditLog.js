@@ -0,0 +1,121 @@
+import {toCsv} from './csv.js';
+
+/**
+ * The audit log of a QC run. Besides the ` | `-joined comments in the `.data.change` and
+ * `.data.warning` columns, `changesQc` and `warningsQc` record every change and warning as an
+ * entry of the `log` of the dataset they return:
+ *
+ *   { kind: 'change'|'warning', index, subjectId, variable, column, oldValue, newValue, ruleIndex, ruleType, comment, duplicateOf }
+ *
+ * `index` is the row's entry in the dataset `index`, so entries still point at the right row once
+ * `warningsQc` has dropped the unflagged rows. `column` is the comment column written to, which
+ * differs from `variable` for warning rules with a `Comment_Variable`. Warnings leave the value
+ * as it is, so their `oldValue` and `newValue` are the same. `duplicateOf` lists the `index`
+ * entries of the other rows with the same key for unique.warnings rules, and is null otherwise.
+ */
+
+
+/** Fields of an audit log entry, in the order they are exported. */
+const AUDIT_LOG_FIELDS = ['kind', 'index', 'subjectId', 'variable', 'column', 'oldValue', 'newValue', 'ruleIndex', 'ruleType', 'comment', 'duplicateOf'];
+
+
+/**
+ * Records an event in the audit log of a QC context. Does nothing when the rule function was
+ * called outside of `changesQc`/`warningsQc`, i.e. without a `log` in its context.
+ *
+ * @param {Object} context - the QC context, with `log`, the `ruleIndex` of the rule being applied and,
+ *  when `changesQc`/`warningsQc` set it up, the `columnIndex` of the data
+ * @param {Object} data - dataset in split orientation
+ * @param {number} row - position of the row in `data.data`
+ * @param {Object} event - {kind, variable, column, oldValue, newValue, ruleType, comment, duplicateOf}
+ */
+function recordEvent(context, data, row, event) {
+    if (!context?.log) return;
+    const key = context.key ?? 'subject_id';
+    const keyIdx = context.columnIndex ? context.columnIndex.get(key) ?? -1 : data.columns.indexOf(key);
+    context.log.push({
+        kind: event.kind,
+        index: data.index[row],
+        subjectId: keyIdx === -1 ? null : data.data[row][keyIdx],
+        variable: event.variable,
+        column: event.column,
+        oldValue: event.oldValue ?? null,
+        newValue: event.newValue ?? null,
+        ruleIndex: context.ruleIndex ?? null,
+        ruleType: event.ruleType ?? null,
+        comment: event.comment ?? null,
+        duplicateOf: event.duplicateOf ?? null
+    });
+}
+
+
+/**
+ * Rebuilds log entries from the comment columns of a dataset, for QC data that has no `log`
+ * (e.g. a report read back from a file). Values and rules are unknown, so those fields are null.
+ * @param {Object} data - dataset in split orientation
+ * @returns {Object[]} log entries
+ */
+function logFromComments(data) {
+    const entries = [];
+    const keyIdx = data.columns.indexOf('subject_id');
+    data.columns.forEach((col, colIndex) => {
+        if (col.startsWith('Comments')) return;
+        const kind = col.endsWith('.data.change') ? 'change' : col.endsWith('.data.warning') ? 'warning' : null;
+        if (!kind) return;
+        const variable = col.slice(0, -(kind === 'change' ? '.data.change' : '.data.warning').length);
+
+        data.data.forEach((row, r) => {
+            const value = row[colIndex];
+            if (value === null || value === undefined) return;
+            for (const part of String(value).split(' | ')) {
+                entries.push({
+                    kind,
+                    index: data.index[r],
+                    subjectId: keyIdx === -1 ? null : row[keyIdx],
+                    variable,
+                    column: col,
+                    oldValue: null,
+                    newValue: null,
+                    ruleIndex: null,
+                    ruleType: null,
+                    comment: part.trim(),
+                    duplicateOf: null
+                });
+            }
+        });
+    });
+    return entries;
+}
+
+
+/**
+ * The audit log of QC data: its `log` when it has one, otherwise one rebuilt from its comment columns.
+ * @param {Object} data - dataset in split orientation
+ * @returns {Object[]} log entries
+ */
+function getAuditLog(data) {
+    return Array.isArray(data.log) ? data.log : logFromComments(data);
+}
+
+
+/**
+ * Exports an audit log as CSV, one row per entry with the columns of `AUDIT_LOG_FIELDS`.
+ * @param {Object[]} log - log entries
+ * @returns {string}
+ */
+function auditLogToCsv(log) {
+    return toCsv(AUDIT_LOG_FIELDS, log.map(entry => AUDIT_LOG_FIELDS.map(field => entry[field])));
+}
+
+
+/**
+ * Exports an audit log as JSON, as an array of entries.
+ * @param {Object[]} log - log entries
+ * @returns {string}
+ */
+function auditLogToJson(log) {
+    return JSON.stringify(log.map(entry => Object.fromEntries(AUDIT_LOG_FIELDS.map(field => [field, entry[field] ?? null]))), null, 2);
+}
+
+
+export {AUDIT_LOG_FIELDS, recordEvent, logFromComments, getAuditLog, auditLogToCsv, auditLogToJson};
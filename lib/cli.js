@@ -0,0 +1,218 @@
+import {readFile, writeFile, mkdir} from 'node:fs/promises';
+import {join} from 'node:path';
+import {parseArgs} from 'node:util';
+import {importDataset, importDataDictionary} from './dataset.js';
+import {loadRuleSheet} from './rules.js';
+import {lintRules, hasLintErrors, formatLintIssues} from './lint.js';
+import {runQc, withDictionaryWarnings} from './pipeline.js';
+import {changeCaseMatch} from './utils.js';
+import {REPORT_CATEGORIES} from './reporting.js';
+import {toCsv} from './files.js';
+import {auditLogToCsv} from './auditLog.js';
+import {buildQcWorkbook, reportFileName, writeWorkbookFile} from './workbook.js';
+import {loadCodeList} from './codeLists.js';
+
+/**
+ * The command-line tool (`cli.js`), for QC runs from scripts and scheduled jobs. It runs the
+ * same sequence as the R script and the GUI (`runQc`) and writes the corrected data, the flagged
+ * data, the XLSX report and the audit log to the output directory. Node only.
+ *
+ * The exit code tells a job how the run went, see `EXIT_CODES`.
+ */
+
+
+/** Exit codes of `runCli`. */
+const EXIT_CODES = {
+    ok: 0,
+    // bad arguments, or an input that cannot be read
+    usage: 1,
+    // a rule row is rejected or cannot run as written; nothing is written
+    lintErrors: 2,
+    // more warnings than `--max-warnings`; the outputs are written
+    tooManyWarnings: 3,
+    // the QC or writing its outputs failed; some outputs may be missing
+    failed: 4
+};
+
+const USAGE = `Usage: qc --data <file> --dictionary <file> --out <directory> [options]
+
+  --data <file>            dataset (CSV, TSV, XLSX or JSON)
+  --dictionary <file>      data dictionary (CSV, TSV or XLSX)
+  --corrections <file>     correction rules (CSV or XLSX)
+  --warnings <file>        warning rules (CSV or XLSX)
+  --study <name>           study name, used in the report and the output file names
+  --out <directory>        where to write the outputs; created if missing
+  --report <kind>          ${Object.keys(REPORT_CATEGORIES).join(' or ')} (default: core)
+  --special-codes <codes>  special codes of the dataset, e.g. "777,888,999"
+  --date-columns <names>   columns to read as dates, e.g. "dx_date,lastfup"; needed for
+                           columns of Excel serial dates, which otherwise read as numbers
+  --code-list <name=file>  a code list for code.warnings rules naming it in their Code List
+                           column, e.g. "icd10=icd10_codes.csv"; may be given several times
+  --dictionary-warnings    also apply the warning rules generated from the dictionary's valid
+                           values and ranges; rules of --warnings take precedence
+  --max-warnings <n>       exit with code ${EXIT_CODES.tooManyWarnings} when there are more than n warnings
+  --help                   show this help
+
+Exits with code ${EXIT_CODES.lintErrors} without writing anything when a rule cannot run as written,
+and with code ${EXIT_CODES.failed} when the QC or writing its outputs fails.`;
+
+const OPTIONS = {
+    data: {type: 'string'},
+    dictionary: {type: 'string'},
+    corrections: {type: 'string'},
+    warnings: {type: 'string'},
+    study: {type: 'string'},
+    out: {type: 'string'},
+    report: {type: 'string', default: 'core'},
+    'special-codes': {type: 'string'},
+    'date-columns': {type: 'string'},
+    'code-list': {type: 'string', multiple: true, default: []},
+    'dictionary-warnings': {type: 'boolean', default: false},
+    'max-warnings': {type: 'string'},
+    help: {type: 'boolean', short: 'h'}
+};
+
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} argv - the arguments, without `node` and the script
+ * @returns {Object} the options, by their long name
+ * @throws {Error} on unknown or missing options and bad values, with a message for the user
+ */
+function parseCliArgs(argv) {
+    const {values} = parseArgs({args: argv, options: OPTIONS, strict: true, allowPositionals: false});
+    if (values.help) return values;
+
+    const missing = ['data', 'dictionary', 'out'].filter(name => !values[name]);
+    if (missing.length > 0) {
+        throw new Error(`Missing ${missing.map(name => `--${name}`).join(', ')}`);
+    }
+    if (!REPORT_CATEGORIES[values.report]) {
+        throw new Error(`Unknown report: ${values.report}. Expected one of ${Object.keys(REPORT_CATEGORIES).join(', ')}`);
+    }
+    values['code-list'] = values['code-list'].map(spec => {
+        const match = /^([^=]+)=(.+)$/.exec(spec);
+        if (!match) throw new Error(`--code-list must be given as name=file, not "${spec}"`);
+        return {name: match[1].trim(), path: match[2].trim()};
+    });
+    if (values['max-warnings'] !== undefined) {
+        const max = Number(values['max-warnings']);
+        if (!Number.isInteger(max) || max < 0) {
+            throw new Error(`--max-warnings must be a whole number, not "${values['max-warnings']}"`);
+        }
+        values['max-warnings'] = max;
+    }
+    return values;
+}
+
+
+/** Reads a file as bytes, keeping its name for the format detection of the loaders. */
+async function readInput(path) {
+    return {bytes: new Uint8Array(await readFile(path)), options: {fileName: path}};
+}
+
+
+/**
+ * Runs the command-line tool.
+ * @param {string[]} argv - the arguments, without `node` and the script
+ * @param {Object} [io] - where messages go
+ * @param {function(string): void} [io.log] - progress and summary, `console.log` by default
+ * @param {function(string): void} [io.error] - problems, `console.error` by default
+ * @returns {Promise<number>} the exit code, one of `EXIT_CODES`
+ */
+async function runCli(argv, {log = console.log, error = console.error} = {}) {
+    let args;
+    try {
+        args = parseCliArgs(argv);
+    } catch (err) {
+        error(`${err.message}\n\n${USAGE}`);
+        return EXIT_CODES.usage;
+    }
+    if (args.help) {
+        log(USAGE);
+        return EXIT_CODES.ok;
+    }
+
+    let inputs;
+    let codeLists;
+    const rejected = [];
+    try {
+        const data = await readInput(args.data);
+        const dictionary = await readInput(args.dictionary);
+        const rules = async (path, kind) => {
+            if (!path) return [];
+            const file = await readInput(path);
+            const {rules, errors} = await loadRuleSheet(file.bytes, kind, file.options);
+            rejected.push(...errors.map(e => `${path}: ${e.message}`));
+            return rules;
+        };
+        inputs = {
+            data: await importDataset(data.bytes, {
+                ...data.options,
+                dateColumns: args['date-columns']?.split(',').map(col => col.trim()).filter(Boolean),
+                specialCodes: args['special-codes']
+            }),
+            dataDict: await importDataDictionary(dictionary.bytes, dictionary.options),
+            correctionRules: await rules(args.corrections, 'corrections'),
+            warningRules: await rules(args.warnings, 'warnings'),
+            studyName: args.study
+        };
+        codeLists = {};
+        for (const {name, path} of args['code-list']) {
+            const file = await readInput(path);
+            codeLists[name] = await loadCodeList(file.bytes, file.options);
+        }
+    } catch (err) {
+        error(`Cannot read the inputs: ${err.message}`);
+        return EXIT_CODES.usage;
+    }
+    if (rejected.length > 0) {
+        error(`${rejected.join('\n')}\nSome rule rows were rejected; fix them and run the QC again`);
+        return EXIT_CODES.lintErrors;
+    }
+
+    // lint against the case-matched columns before running, as the worker does
+    inputs.warningRules = withDictionaryWarnings(inputs.warningRules, inputs.dataDict, args['dictionary-warnings']);
+    const columns = changeCaseMatch(inputs.dataDict, {columns: [...inputs.data.columns], index: [], data: []});
+    const issues = lintRules({...inputs, data: columns, codeLists});
+    if (issues.length > 0) error(formatLintIssues(issues));
+    if (hasLintErrors(issues)) {
+        error('Some rules cannot run as written; fix them and run the QC again');
+        return EXIT_CODES.lintErrors;
+    }
+
+    const prefix = args.study ? `${args.study} ` : '';
+    const reportName = reportFileName(args.study, args.report);
+    let result;
+    let outputs;
+    try {
+        result = runQc(inputs, {report: args.report, specialCodes: args['special-codes'], codeLists});
+        outputs = {
+            [`${prefix}corrected data.csv`]: toCsv(result.changes.columns, result.changes.data),
+            [`${prefix}flagged data.csv`]: toCsv(result.qcData.columns, result.qcData.data),
+            [`${prefix}QC change log.csv`]: auditLogToCsv(result.log)
+        };
+        await mkdir(args.out, {recursive: true});
+        for (const [fileName, text] of Object.entries(outputs)) {
+            await writeFile(join(args.out, fileName), text);
+        }
+        await writeWorkbookFile(buildQcWorkbook(result.report, result.qcData), join(args.out, reportName));
+    } catch (err) {
+        error(`QC failed: ${err.message}`);
+        return EXIT_CODES.failed;
+    }
+
+    const changes = result.log.filter(entry => entry.kind === 'change').length;
+    const warnings = result.log.filter(entry => entry.kind === 'warning').length;
+    log(`${result.data.data.length} rows: ${changes} changes, ${warnings} warnings, ${result.qcData.data.length} rows flagged`);
+    log(`Wrote ${[...Object.keys(outputs), reportName].join(', ')} to ${args.out}`);
+
+    if (args['max-warnings'] !== undefined && warnings > args['max-warnings']) {
+        error(`${warnings} warnings, more than the ${args['max-warnings']} allowed by --max-warnings`);
+        return EXIT_CODES.tooManyWarnings;
+    }
+    return EXIT_CODES.ok;
+}
+
+
+export {EXIT_CODES, parseCliArgs, runCli};
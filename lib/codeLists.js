@@ -0,0 +1,112 @@
+import {readTable} from './files.js';
+
+/**
+ * Code lists for `code.warnings`: the ICD-10 diagnosis codes or ICD-O-3 topography and morphology
+ * codes a column may hold, loaded from local files as the R script loads `ICD10gm`. An entry of a
+ * list is one of:
+ *
+ *  - a code, e.g. "C50.9" or "8500/3"
+ *  - a prefix ending in `*`, e.g. "C50*", matching C50 and every code under it
+ *  - a range, e.g. "C50.0-C50.9" (or with an en dash), matching every code between the bounds,
+ *    compared over the length of each bound, so that "C00-C14" includes C14.2. A code shorter
+ *    than both bounds, such as C1, is not in the range. Morphology ranges such as "8500/3-8543/3"
+ *    match only the codes with the behaviour of the bounds, here 8500/3 to 8543/3 but not 8520/2
+ *
+ * Codes are compared without case, spaces or dots, so "C50.9", "c509" and "C 50.9" are the same code.
+ */
+
+
+/**
+ * Normalizes a code for comparison: upper case, without spaces or dots.
+ * @param {string|number} code - e.g. "c50.9"
+ * @returns {string} e.g. "C509"
+ */
+function normalizeCode(code) {
+    return String(code).toUpperCase().replace(/[\s.]/g, '');
+}
+
+
+/** A range entry: two codes, each a letter or digit followed by digits, dots and `/`, joined by a dash. */
+const RANGE_PATTERN = /^([A-Za-z0-9][\d.\/]*)\s*[-–]\s*([A-Za-z0-9][\d.\/]*)$/;
+
+
+/**
+ * Tells whether a normalized code is within a range of normalized bounds (see above).
+ * @param {string} code - e.g. "C142" or "8520/3"
+ * @param {string[]} bounds - [lower, upper], e.g. ["C00", "C14"]
+ * @returns {boolean}
+ */
+function inRange(code, [lower, upper]) {
+    if (code.length < Math.min(lower.length, upper.length)) return false;
+    // the behaviour code of ICD-O-3 morphology ranges is not part of the order
+    const behaviour = /\/\d+$/.exec(lower)?.[0];
+    if (behaviour && upper.endsWith(behaviour) && !code.endsWith(behaviour)) return false;
+    return code.slice(0, lower.length) >= lower && code.slice(0, upper.length) <= upper;
+}
+
+
+/**
+ * Builds a code list from its entries.
+ * @param {Iterable<string|number>} entries - codes, prefixes and ranges, as above; blank entries are ignored
+ * @returns {{size: number, has: function(*): boolean}} `has` tells whether a code is in the list
+ */
+function createCodeList(entries) {
+    const codes = new Set();
+    const prefixes = [];
+    const ranges = [];
+    let size = 0;
+    for (const entry of entries) {
+        if (entry === undefined || entry === null) continue;
+        const text = String(entry).trim();
+        if (text === '') continue;
+        size += 1;
+        const range = RANGE_PATTERN.exec(text);
+        if (text.endsWith('*')) {
+            prefixes.push(normalizeCode(text.slice(0, -1)));
+        } else if (range) {
+            ranges.push([normalizeCode(range[1]), normalizeCode(range[2])]);
+        } else {
+            codes.add(normalizeCode(text));
+        }
+    }
+
+    return {
+        size,
+        has(value) {
+            if (value === undefined || value === null) return false;
+            const code = normalizeCode(value);
+            if (code === '') return false;
+            return codes.has(code)
+                || prefixes.some(prefix => code.startsWith(prefix))
+                || ranges.some(bounds => inRange(code, bounds));
+        }
+    };
+}
+
+
+/**
+ * Loads a code list from a CSV, TSV, text (one code per line) or XLSX file. The codes are read
+ * from `options.column` or else the first column; the first row is taken as a header when its
+ * cell in that column mentions "code" (e.g. "Code" or "ICD-10 code"), and as a code otherwise.
+ * Other columns, such as descriptions, are ignored.
+ *
+ * @param {Blob|File|ArrayBuffer|Uint8Array|string} source - the file; a string is taken as file content
+ * @param {Object} [options] - `format`, `fileName` and `sheet`, as for `readTable`, and
+ * @param {string} [options.column] - header of the column holding the codes
+ * @returns {Promise<{size: number, has: function(*): boolean}>}
+ */
+async function loadCodeList(source, options = {}) {
+    const {headers, rows} = await readTable(source, options);
+    let column = 0;
+    let entries = rows;
+    if (options.column !== undefined) {
+        column = headers.indexOf(options.column);
+        if (column === -1) throw new Error(`Code list has no "${options.column}" column`);
+    } else if (headers.length > 0 && !/code/i.test(headers[0])) {
+        entries = [headers, ...rows];
+    }
+    return createCodeList(entries.map(row => row?.[column]));
+}
+
+
+export {normalizeCode, createCodeList, loadCodeList};
@@ -1,3 +1,71 @@
+import {getRangeValues, getCrossVariables, columnPositions, indexColumns, identityLayout, filterLayout, applyLayout, isEmptyColumn, changeCommentLayout} from './utils.js';
+import {createDataEnvironment, forEachRow, compileCondition, compileExpression} from './expressions.js';
+import {createSpecialCodeResolver, specialCodeTester, RULE_SPECIAL_CODES_FIELD} from './specialCodes.js';
+import {recordEvent} from './auditLog.js';
+
+
+/**
+ * Sets a cell to its corrected value, appends the rule comment to the row's `.data.change` cell
+ * (pipe-separating multiple changes) and records the change in the audit log of the context.
+ */
+function applyChange(data, row, varIndex, commentColIndex, newValue, params, context) {
+    const oldValue = data.data[row][varIndex];
+    data.data[row][varIndex] = newValue;
+    if (!data.data[row][commentColIndex]) {
+        data.data[row][commentColIndex] = params.comment;
+    } else {
+        data.data[row][commentColIndex] += ` | ${params.comment}`;
+    }
+    recordEvent(context, data, row, {
+        kind: 'change',
+        variable: params.variable,
+        column: data.columns[commentColIndex],
+        oldValue,
+        newValue,
+        ruleType: params.type,
+        comment: params.comment
+    });
+}
+
+/**
+ * Finds the rule's `.data.change` column, adding an empty one if it doesn't exist yet.
+ * @returns {number} index of the comment column
+ */
+function ensureChangeColumn(data, params, columnIndex) {
+    const commentColName = `${params.variable}.data.change`;
+    let commentColIndex = columnIndex.get(commentColName);
+    if (commentColIndex === undefined) {
+        commentColIndex = data.columns.length;
+        data.columns.push(commentColName);
+        columnIndex.set(commentColName, commentColIndex);
+        for (const row of data.data) {
+            row.push(null);
+        }
+    }
+    return commentColIndex;
+}
+
+
+/**
+ * The test of a valid.changes or crossvalid.changes rule for whether a cell holds one of the values
+ * listed in its `value_changed` or `cross_variable_N_value` cell, e.g. "777,888". Values that parse
+ * as numbers compare as numbers on both sides, as `%in%` does in `lib/expressions.js`, so "777" in
+ * a column read as text (because another of its cells is not a number) still matches.
+ * @param {string|number} values - the rule cell
+ * @returns {function(*): boolean}
+ */
+function valueMatcher(values) {
+    const normalize = (v) => {
+        if (typeof v === 'number') return v;
+        const text = String(v).trim();
+        const maybeNum = Number(text);
+        return text === '' || Number.isNaN(maybeNum) ? text : maybeNum;
+    };
+    const triggers = new Set(getRangeValues(values).map(normalize));
+    return (value) => value !== null && value !== undefined && triggers.has(normalize(value));
+}
+
+
 /**
  * `valid.changes` (R) -> for each row, if the cell value is in a set of “bad” values,
  * then set it to new_value and record a comment in “.data.change”.
@@ -12,45 +80,78 @@
  *
  * @param {Object} data splitted { columns, index, data }
  * @param {Object} params single rule object
+ * @param {Object} [context] QC context set up by changesQc: the special code resolver, audit log and column positions
  * @returns {Object} the updated data
  */
-function validChanges(data, params) {
-    const varIndex = data.columns.indexOf(params.variable);
+function validChanges(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.variable) ?? -1;
     if (varIndex === -1) {
         console.log(`${params.variable} not present in data set, skipping this QC step`);
         return data;
     }
 
     // Ensure we have a comment column
-    const commentColName = `${params.variable}.data.change`;
-    let commentColIndex = data.columns.indexOf(commentColName);
-    if (commentColIndex === -1) {
-        commentColIndex = data.columns.length;
-        data.columns.push(commentColName);
-        for (const row of data.data) {
-            row.push(null);
-        }
-    }
+    const commentColIndex = ensureChangeColumn(data, params, columnIndex);
 
-    // set of values that trigger the change
-    const triggerVals = getRangeValues(params.value_changed).map(x => {
-        // ensure consistent type
-        if (typeof x === 'number') return x;
-        const maybeNum = Number(x);
-        return Number.isNaN(maybeNum) ? x : maybeNum;
-    });
+    const isTrigger = valueMatcher(params.value_changed);
     const newVal = Number(params.new_value);
 
     // update each row
     for (let i = 0; i < data.data.length; i++) {
         const currentVal = data.data[i][varIndex];
-        if (triggerVals.includes(currentVal)) {
-            data.data[i][varIndex] = newVal;
-            if (!data.data[i][commentColIndex]) {
-                data.data[i][commentColIndex] = params.comment;
-            } else {
-                data.data[i][commentColIndex] += ` | ${params.comment}`;
-            }
+        if (isTrigger(currentVal)) {
+            applyChange(data, i, varIndex, commentColIndex, newVal, params, context);
+        }
+    }
+    return data;
+}
+
+
+/**
+ * `crossvalid1.changes` through `crossvalid4.changes` (R) -> like `valid.changes`, but the
+ * change is only made when every cross variable also holds one of its listed values:
+ *
+ *   if rowValue is in get_range_values(params.value_changed)
+ *      & row[cross_variable_1] is in get_range_values(params.cross_variable_1_value)
+ *      & ... (for each cross_variable_N present in the rule):
+ *       rowValue = newValue
+ *
+ * A rule without any cross variable is skipped, with a warning.
+ *
+ * @param {Object} data splitted { columns, index, data }
+ * @param {Object} params single rule object
+ * @param {Object} [context] QC context set up by changesQc: the special code resolver, audit log and column positions
+ * @returns {Object} the updated data
+ */
+function crossValidChanges(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.variable) ?? -1;
+    const crossVariables = getCrossVariables(params);
+    const missing = [params.variable, ...crossVariables.map(c => c.variable)]
+        .filter(v => !columnIndex.has(v));
+    if (missing.length > 0) {
+        console.log(`${missing.join(', ')} not present in data set, skipping this QC step`);
+        return data;
+    }
+    if (crossVariables.length === 0) {
+        console.warn(`No cross variables given for ${params.type} rule on ${params.variable}, skipping this QC step`);
+        return data;
+    }
+
+    const commentColIndex = ensureChangeColumn(data, params, columnIndex);
+
+    const isTrigger = valueMatcher(params.value_changed);
+    const crossTriggers = crossVariables.map(c => ({
+        index: columnIndex.get(c.variable),
+        matches: valueMatcher(c.value)
+    }));
+    const newVal = Number(params.new_value);
+
+    for (let i = 0; i < data.data.length; i++) {
+        const row = data.data[i];
+        if (isTrigger(row[varIndex]) && crossTriggers.every(c => c.matches(row[c.index]))) {
+            applyChange(data, i, varIndex, commentColIndex, newVal, params, context);
         }
     }
     return data;
@@ -58,158 +159,159 @@ function validChanges(data, params) {
 
 
 /**
- * `range.changes` applies a custom expression for each row, e.g. “1 < height & height < 2”.
- * We will attempt to evaluate the expression in JavaScript. This is only a partial approach:
- * you must supply a rule.value_changed that is valid JavaScript condition logic, referencing
- * the variable name exactly.
+ * The `isSpecialCode` test of the expressions of a correction rule. As in the R prototype,
+ * comparisons in correction rules see special codes as the numbers they are, since rules such as
+ * "age_preg1 > 100" are written to catch them; a rule opts in to treating them as NA by listing its
+ * own `special_codes` (see `lib/specialCodes.js`).
+ * @returns {function(string, *): boolean|undefined}
+ */
+function correctionSpecialCodeTester(context, params) {
+    const codes = params[RULE_SPECIAL_CODES_FIELD];
+    if (codes === undefined || codes === null || String(codes).trim() === '') return undefined;
+    return specialCodeTester(context, params);
+}
+
+
+/**
+ * `range.changes` applies an R expression for each row, e.g. “height > 1 & height < 2”.
+ * The expression is evaluated by `lib/expressions.js`, so bare identifiers refer to the
+ * columns of the current row, just like `parse_expr()` inside `mutate()` in the R code.
+ * `new_value` is evaluated the same way, as R's `eval(parse_expr(new_value))` does.
  *
  * Example:
  *   variable: "height"
- *   value_changed: "height >= 0 && height < 10"
+ *   value_changed: "height >= 0 & height < 10"
  *   new_value: "999"
  *   comment: "height was changed..."
  *
  * @param {Object} data splitted
  * @param {Object} params single rule object
+ * @param {Object} [context] QC context set up by changesQc: the special code resolver, audit log and column positions
  * @returns {Object} updated data
  */
-function rangeChanges(data, params) {
-    const varIndex = data.columns.indexOf(params.variable);
+function rangeChanges(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.variable) ?? -1;
     if (varIndex === -1) {
         console.log(`${params.variable} not present in data set, skipping this QC step`);
         return data;
     }
 
-    const commentColName = `${params.variable}.data.change`;
-    let commentColIndex = data.columns.indexOf(commentColName);
-    if (commentColIndex === -1) {
-        commentColIndex = data.columns.length;
-        data.columns.push(commentColName);
-        for (const row of data.data) {
-            row.push(null);
-        }
-    }
-
-    // Try to build a function from the expression. E.g. param.value_changed => "height < 2"
-    // We'll interpret the variable name as "val" inside a function body: (val) => val < 2
-    let conditionFn;
+    let condition;
+    let newValue;
     try {
-        conditionFn = new Function('val', `return (${params.value_changed});`);
+        condition = compileCondition(params.value_changed);
+        newValue = compileExpression(params.new_value);
     } catch (err) {
-        console.warn(`Cannot parse range condition: ${params.value_changed}`);
-        conditionFn = () => false;
+        console.warn(`Cannot parse ${params.type} rule for ${params.variable}: ${err.message}`);
+        return data;
+    }
+    const missing = [...condition.variables, ...newValue.variables].filter(v => !columnIndex.has(v));
+    if (missing.length > 0) {
+        console.log(`${missing.join(', ')} not present in data set, skipping this QC step`);
+        return data;
     }
-    const newVal = Number(params.new_value);
 
-    for (let i = 0; i < data.data.length; i++) {
-        const currentVal = data.data[i][varIndex];
-        // Evaluate condition
-        if (conditionFn(currentVal)) {
-            data.data[i][varIndex] = newVal;
-            if (!data.data[i][commentColIndex]) {
-                data.data[i][commentColIndex] = params.comment;
-            } else {
-                data.data[i][commentColIndex] += ` | ${params.comment}`;
-            }
+    const commentColIndex = ensureChangeColumn(data, params, columnIndex);
+
+    const env = createDataEnvironment(data, {isSpecialCode: correctionSpecialCodeTester(context, params), columns: context.datasetColumns});
+
+    forEachRow(data, env, `${params.type} rule for ${params.variable}`, (i) => {
+        // NA conditions do not trigger the change
+        if (condition.test(env)) {
+            applyChange(data, i, varIndex, commentColIndex, newValue.evaluate(env), params, context);
         }
-    }
+    });
     return data;
 }
 
 
 /**
- * Cross-range changes “cross_range1.changes”. We check both the main variable
- * and cross_variable_1 conditions. If they meet the rule, we change the main variable
- * to `new_value`.
+ * Cross-range changes “cross_range1.changes”, “cross_range2.changes”, “cross_range3.changes”.
+ * We check the main variable condition and the condition of every cross variable. If they
+ * all hold, we change the main variable to `new_value`.
  *
  * The R code does something like:
- *   if ( row[variable] meets condition ) AND ( row[cross_variable_1] meets cross_variable_1_value ),
- *   then set variable to new_value and comment with params.comment
+ *   if ( value_changed ) AND ( cross_variable_1_value ) AND ... AND ( cross_variable_N_value ),
+ *   then set variable to eval(new_value) and comment with params.comment
  *
- * For `value_changed`, we either interpret it as a set (like validChanges) or an expression (like rangeChanges).
- * For `cross_variable_1_value`, similarly.  Because the original CSV might say e.g.
+ * A condition that is NA for a row, e.g. over a missing value, leaves the row as it is.
+ * `value_changed` and every `cross_variable_N_value` are R expressions, e.g.
  *   cross_variable_1_value = "parous == 1"
- *   or "parous == 888"
- * This function tries to interpret them in a simple manner.
+ * A plain list of values such as "777,888" is also accepted and is matched against
+ * `variable` and `cross_variable_N` respectively. `new_value` is an R expression too, so it
+ * may refer to other columns of the row (e.g. "age_preg1").
+ *
+ * @param {Object} data splitted { columns, index, data }
+ * @param {Object} params single rule object
+ * @param {Object} [context] QC context set up by changesQc: the special code resolver, audit log and column positions
+ * @returns {Object} the updated data
  */
-function crossRange1Changes(data, params) {
-    const varIndex = data.columns.indexOf(params.variable);
-    const cross1Index = data.columns.indexOf(params.cross_variable_1);
-
-    if (varIndex === -1 || cross1Index === -1) {
-        console.log(
-            `${params.variable} or ${params.cross_variable_1} not present in dataset, skipping.`
-        );
+function crossRangeChanges(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.variable) ?? -1;
+    const crossVariables = getCrossVariables(params);
+    const missingVars = [params.variable, ...crossVariables.map(c => c.variable)]
+        .filter(v => !columnIndex.has(v));
+    if (missingVars.length > 0) {
+        console.log(`${missingVars.join(' or ')} not present in data set, skipping this QC step`);
         return data;
     }
 
-    const commentColName = `${params.variable}.data.change`;
-    let commentColIndex = data.columns.indexOf(commentColName);
-    if (commentColIndex === -1) {
-        commentColIndex = data.columns.length;
-        data.columns.push(commentColName);
-        for (const row of data.data) {
-            row.push(null);
-        }
+    let conditions;
+    let newValue;
+    try {
+        conditions = [
+            compileCondition(params.value_changed, params.variable),
+            ...crossVariables.map(c => compileCondition(c.value, c.variable))
+        ];
+        newValue = compileExpression(params.new_value);
+    } catch (err) {
+        console.warn(`Cannot parse ${params.type} rule for ${params.variable}: ${err.message}`);
+        return data;
     }
-
-    // Build condition function for the main variable
-    // e.g. "age %in% c(666,777)" => we might do something simpler:
-    // if value_changed is parseable as a direct JS expression, we do new Function
-    let mainFn;
-    if (params.value_changed.includes('&&') || params.value_changed.includes('<') || params.value_changed.includes('>')) {
-        try {
-            mainFn = new Function('val', `return (${params.value_changed});`);
-        } catch {
-            mainFn = () => false;
-        }
-    } else {
-        // treat as array membership
-        const triggers = getRangeValues(params.value_changed).map(x => +x || x);
-        mainFn = (v) => triggers.includes(v);
+    const missing = [...conditions.flatMap(c => c.variables), ...newValue.variables]
+        .filter(v => !columnIndex.has(v));
+    if (missing.length > 0) {
+        console.log(`${missing.join(', ')} not present in data set, skipping this QC step`);
+        return data;
     }
 
-    // Build condition function for cross_variable_1_value
-    let crossFn;
-    if (params.cross_variable_1_value.includes('&&') || params.cross_variable_1_value.includes('<') || params.cross_variable_1_value.includes('>') || params.cross_variable_1_value.includes('==')) {
-        try {
-            crossFn = new Function('val', `return (${params.cross_variable_1_value});`);
-        } catch {
-            crossFn = () => false;
-        }
-    } else {
-        const triggers2 = getRangeValues(params.cross_variable_1_value).map(x => +x || x);
-        crossFn = (v) => triggers2.includes(v);
-    }
+    const commentColIndex = ensureChangeColumn(data, params, columnIndex);
 
-    const newVal = Number(params.new_value);
+    const env = createDataEnvironment(data, {isSpecialCode: correctionSpecialCodeTester(context, params), columns: context.datasetColumns});
 
-    for (let i = 0; i < data.data.length; i++) {
-        const mainVal = data.data[i][varIndex];
-        const crossVal = data.data[i][cross1Index];
-        if (mainFn(mainVal) && crossFn(crossVal)) {
-            data.data[i][varIndex] = newVal;
-            if (!data.data[i][commentColIndex]) {
-                data.data[i][commentColIndex] = params.comment;
-            } else {
-                data.data[i][commentColIndex] += ` | ${params.comment}`;
-            }
+    forEachRow(data, env, `${params.type} rule for ${params.variable}`, (i) => {
+        if (conditions.every(c => c.test(env))) {
+            applyChange(data, i, varIndex, commentColIndex, newValue.evaluate(env), params, context);
         }
-    }
+    });
 
     return data;
 }
 
 
+
+/**
+ * Former name of `crossRangeChanges`, from when each number of cross variables had its own function.
+ * @deprecated use `crossRangeChanges`
+ */
+const crossRange1Changes = crossRangeChanges;
+
 /**
  * Maps the “type” field of a correction rule (e.g. “valid.changes”, “range.changes”, etc.)
  * to the corresponding function that implements it.
  */
 const correctionFnMap = {
     'valid.changes': validChanges,
+    'crossvalid1.changes': crossValidChanges,
+    'crossvalid2.changes': crossValidChanges,
+    'crossvalid3.changes': crossValidChanges,
+    'crossvalid4.changes': crossValidChanges,
     'range.changes': rangeChanges,
-    'cross_range1.changes': crossRange1Changes
-    // if you have more like cross_range2.changes, etc., add them here
+    'cross_range1.changes': crossRangeChanges,
+    'cross_range2.changes': crossRangeChanges,
+    'cross_range3.changes': crossRangeChanges
 };
 
 
@@ -217,13 +319,13 @@ const correctionFnMap = {
  * Internal utility used by changes_qc() to apply a single row from the rules
  * to the data, by dispatching to the correct function (validChanges, rangeChanges, etc.).
  */
-function runQaTypeChanges(data, params) {
+function runQaTypeChanges(data, params, context) {
     const fn = correctionFnMap[params.type];
     if (!fn) {
         console.warn(`No correction function mapped for type: ${params.type}`);
         return data;
     }
-    return fn(data, params);
+    return fn(data, params, context);
 }
 
 
@@ -235,62 +337,52 @@ function runQaTypeChanges(data, params) {
  * 3) Re-arrange comment columns next to their variable columns
  * 4) Remove any empty “.data.change” columns
  *
+ * Every change is also recorded, with the original value, in the `log` of the returned dataset
+ * (see `lib/auditLog.js`). Change entries left in `data.log` by an earlier run are replaced.
+ * The rules are applied to a copy: `data` itself is left untouched.
+ *
  * @param {Object[]} rules - array of rules; each item must have
  *        at least { variable, value_changed, type, new_value, comment } or similar
  * @param {Object} data - splitted orientation
- * @returns {Object} updated data
+ * @param {Object} [options]
+ * @param {Object|string} [options.specialCodes] - special codes of the dataset, see `lib/specialCodes.js`
+ * @param {Object[]} [options.dataDict] - data dictionary rows, read for per-variable special codes
+ * @param {function(Object): void} [options.onProgress] - called with {ruleIndex, ruleCount, rule}
+ *  after each rule is applied
+ * @param {Map<string, Array>} [options.datasetColumns] - whole columns for `data$col` in rule
+ *  expressions, when `data` is a chunk of a larger dataset (see `lib/streaming.js`)
+ * @param {Set<number>} [options.skipRules] - indices of rules not to apply, e.g. rules already
+ *  reported as skipped for the columns they miss
+ * @returns {Object} updated data, with the audit log in `log`
  */
-function changesQc(rules, data) {
-    // 1) remove existing .data.change columns
-    const removeIndices = [];
-    data.columns.forEach((colName, idx) => {
-        if (colName.endsWith('.data.change')) {
-            removeIndices.push(idx);
-        }
-    });
-    // remove from right to left
-    removeIndices.reverse().forEach(rmIdx => {
-        data.columns.splice(rmIdx, 1);
-        for (const row of data.data) {
-            row.splice(rmIdx, 1);
-        }
-    });
+function changesQc(rules, data, options = {}) {
+    const log = (data.log ?? []).filter(entry => entry.kind !== 'change');
+    const context = {
+        specialCodes: createSpecialCodeResolver({specialCodes: options.specialCodes, dataDict: options.dataDict}),
+        datasetColumns: options.datasetColumns,
+        log
+    };
 
-    // 2) apply each rule in order
-    let updatedData = data;
-    for (const rule of rules) {
-        updatedData = runQaTypeChanges(updatedData, rule);
-    }
+    // 1) remove existing .data.change columns, working on a copy of the data from here on
+    let updatedData = applyLayout(data, filterLayout(identityLayout(data.columns), col => !col.endsWith('.data.change')));
 
-    // 3) arrange comment columns
-    updatedData = arrangeChangeComments(updatedData);
-
-    // 4) remove any empty .data.change columns
-    //    i.e. columns that are entirely null or undefined
-    const remove2 = [];
-    updatedData.columns.forEach((col, cIndex) => {
-        if (col.endsWith('.data.change')) {
-            let allEmpty = true;
-            for (const rowArr of updatedData.data) {
-                if (rowArr[cIndex] !== null && rowArr[cIndex] !== undefined) {
-                    allEmpty = false;
-                    break;
-                }
-            }
-            if (allEmpty) {
-                remove2.push(cIndex);
-            }
-        }
-    });
-    remove2.reverse().forEach(idx => {
-        updatedData.columns.splice(idx, 1);
-        for (const row of updatedData.data) {
-            row.splice(idx, 1);
+    // 2) apply each rule in order, sharing the positions of the columns, which the rules keep up
+    //    to date as they add comment columns
+    context.columnIndex = indexColumns(updatedData.columns);
+    rules.forEach((rule, ruleIndex) => {
+        if (!options.skipRules?.has(ruleIndex)) {
+            updatedData = runQaTypeChanges(updatedData, rule, {...context, ruleIndex});
         }
+        options.onProgress?.({ruleIndex, ruleCount: rules.length, rule});
     });
 
-    return updatedData;
+    // 3) arrange comment columns and 4) remove any empty .data.change columns, i.e. columns that
+    //    are entirely null or undefined, laying out the rows once for both
+    const layout = filterLayout(changeCommentLayout(updatedData.columns),
+        (col, source) => !col.endsWith('.data.change') || !isEmptyColumn(updatedData, source));
+
+    return {...applyLayout(updatedData, layout), log};
 }
 
 
-export {validChanges, rangeChanges, crossRange1Changes, changesQc};
\ No newline at end of file
+export {validChanges, crossValidChanges, rangeChanges, crossRangeChanges, crossRange1Changes, correctionFnMap, changesQc};
\ No newline at end of file
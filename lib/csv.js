@@ -0,0 +1,125 @@
+/**
+ * Reading and writing of delimited text (CSV, TSV). Kept apart from `lib/files.js` so that code
+ * that only needs these, such as the audit log export used by the results grid, does not pull
+ * ExcelJS into the bundle.
+ */
+
+
+/**
+ * Parses delimited text chunk by chunk, for files too large to read at once (see `lib/streaming.js`).
+ * Rows may span chunks: `push` returns the rows completed by a chunk and `end` the last one.
+ *
+ * @param {string} [delimiter=','] - the field separator, e.g. '\t' for TSV
+ * @returns {{push: function(string): string[][], end: function(): string[][]}}
+ */
+function createCsvParser(delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    // a quote inside a quoted field: either the first of a doubled quote or the closing one
+    let quotePending = false;
+    // a \r ended the last row, so a \n right after it belongs to the same line break
+    let afterCR = false;
+    let started = false;
+
+    const endRow = () => {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    return {
+        push(text) {
+            // Strip a UTF-8 byte order mark, which Excel adds when saving as "CSV UTF-8"
+            if (!started && text.length > 0) {
+                started = true;
+                if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+            }
+
+            for (let i = 0; i < text.length; i++) {
+                const ch = text[i];
+                if (afterCR) {
+                    afterCR = false;
+                    if (ch === '\n') continue;
+                }
+                if (quotePending) {
+                    quotePending = false;
+                    if (ch === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    inQuotes = false;
+                }
+                if (inQuotes) {
+                    if (ch === '"') {
+                        quotePending = true;
+                    } else {
+                        field += ch;
+                    }
+                    continue;
+                }
+
+                if (ch === '"' && field === '') {
+                    inQuotes = true;
+                } else if (ch === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (ch === '\n' || ch === '\r') {
+                    endRow();
+                    afterCR = ch === '\r';
+                } else {
+                    field += ch;
+                }
+            }
+            return rows.splice(0);
+        },
+
+        end() {
+            // Last line without a trailing newline
+            if (field !== '' || row.length > 0) {
+                endRow();
+            }
+            return rows.splice(0);
+        }
+    };
+}
+
+
+/**
+ * Parses delimited text following RFC 4180: fields may be quoted, quoted fields may contain the
+ * delimiter, line breaks and doubled quotes (""). Cells are returned as strings, unquoted.
+ *
+ * @param {string} text - the file content
+ * @param {string} [delimiter=','] - the field separator, e.g. '\t' for TSV
+ * @returns {string[][]} the rows of the file, including the header row
+ */
+function parseCsv(text, delimiter = ',') {
+    const parser = createCsvParser(delimiter);
+    return [...parser.push(text), ...parser.end()];
+}
+
+
+/**
+ * Writes delimited text that `parseCsv` reads back: fields holding the delimiter, a quote or a
+ * line break are quoted, and null/undefined cells are left empty.
+ *
+ * @param {string[]|null} headers - the header row, or null to write the rows only (e.g. to append
+ *  them to a file being streamed)
+ * @param {Array[]} rows - the data rows
+ * @param {string} [delimiter=','] - the field separator
+ * @returns {string} the file content, one line per row
+ */
+function toCsv(headers, rows, delimiter = ',') {
+    const field = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = headers ? [headers, ...rows] : rows;
+    return lines.map(row => row.map(field).join(delimiter) + '\n').join('');
+}
+
+
+export {createCsvParser, parseCsv, toCsv};
@@ -0,0 +1,240 @@
+import {readTable, detectFormat, toText} from './files.js';
+import {isDateText, parseDate} from './dates.js';
+import {DEFAULT_SPECIAL_CODES, parseSpecialCodes, isSpecialCode} from './specialCodes.js';
+
+/**
+ * Importing of datasets into the split orientation used throughout `lib/`:
+ *
+ *   { columns: ['subject_id', 'age', ...], index: [0, 1, ...], data: [['0012', 54, ...], ...] }
+ *
+ * Column types are inferred the way R's readers do it, so that rule values such as 777 compare
+ * equal to the data: a column whose values are all numeric becomes numeric, anything else stays text.
+ * A column of dates, as lubridate would parse them, holds ISO dates (see `lib/dates.js`).
+ */
+
+
+/** Cell values read as missing (R's NA) by default. */
+const DEFAULT_NA_STRINGS = ['', 'NA'];
+
+/** Columns that are always kept as text, even when every value looks like a number. */
+const DEFAULT_STRING_COLUMNS = ['subject_id'];
+
+
+const isNumericText = (text) => /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(text);
+
+// "007" or "00123" are identifiers, not numbers; "0", "0.5" and "-0.25" are numbers
+const hasLeadingZero = (text) => /^[+-]?0\d/.test(text);
+
+const defaultCodes = parseSpecialCodes(DEFAULT_SPECIAL_CODES);
+
+
+/**
+ * Normalizes a raw cell: trims text, maps NA strings to null and turns dates into ISO dates.
+ * @param {*} value - the cell as read from the file
+ * @param {string[]} naStrings - cell texts to treat as missing
+ * @returns {string|number|boolean|null}
+ */
+function normalizeCell(value, naStrings) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'number') return Number.isNaN(value) ? null : value;
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim();
+    return naStrings.includes(text) ? null : text;
+}
+
+
+/**
+ * Infers whether a column is numeric, dates or text. A column is numeric when every non-missing
+ * value is a number, or text that reads as a number without a leading zero. It holds dates when
+ * every non-missing value is an ISO or US date (e.g. "2020-03-15" or "03/15/2020") or a special
+ * code, and at least one is a date.
+ * @param {Array} values - normalized cells of one column
+ * @param {Map} [specialCodes] - codes allowed in a date column; defaults to `DEFAULT_SPECIAL_CODES`
+ * @returns {'number'|'date'|'string'}
+ */
+function inferColumnType(values, specialCodes = defaultCodes) {
+    let numbers = true;
+    let dates = true;
+    let seen = false;
+    let seenDate = false;
+    for (const v of values) {
+        if (v === null) continue;
+        seen = true;
+        if (numbers && !(typeof v === 'number' || (typeof v === 'string' && isNumericText(v) && !hasLeadingZero(v)))) {
+            numbers = false;
+        }
+        if (dates) {
+            if (isDateText(v)) {
+                seenDate = true;
+            } else if (!isSpecialCode(specialCodes, v)) {
+                dates = false;
+            }
+        }
+        if (!numbers && !dates) return 'string';
+    }
+    if (!seen) return 'string';
+    return numbers ? 'number' : seenDate ? 'date' : 'string';
+}
+
+
+/**
+ * Reads raw rows into dataset rows: normalizes missing values, drops rows that are entirely empty
+ * and converts each column to its type. The types are inferred from the rows of the first call
+ * (unless given in `options.types`) and kept for later calls, so a file too large to hold in
+ * memory can be read chunk by chunk (see `lib/streaming.js`). A later cell that does not read as a
+ * number stays text, even in a numeric column, and one that does not read as a date stays text in
+ * a date column, for `date.warnings` to flag.
+ *
+ * @param {string[]} headers - column names
+ * @param {Object} [options] - `naStrings`, `stringColumns`, `dateColumns` and `specialCodes`, as
+ *  for `buildDataset`, and
+ * @param {Object} [options.types] - column -> 'number'|'date'|'string', instead of inferring them
+ * @returns {{types: Object|null, read: function(Array[]): Array[]}} `read` converts a batch of raw
+ *  rows; `types` is set once the first batch is read
+ */
+function createRowReader(headers, options = {}) {
+    const naStrings = options.naStrings ?? DEFAULT_NA_STRINGS;
+    const stringColumns = options.stringColumns ?? DEFAULT_STRING_COLUMNS;
+    const dateColumns = options.dateColumns ?? [];
+    const specialCodes = options.specialCodes ? parseSpecialCodes(options.specialCodes) : defaultCodes;
+
+    const reader = {
+        types: options.types ?? null,
+        read(rows) {
+            // Drop rows that are entirely empty, e.g. trailing lines of a CSV
+            const data = rows
+                .map(row => headers.map((_, c) => normalizeCell(row?.[c], naStrings)))
+                .filter(row => row.some(v => v !== null));
+
+            if (!reader.types) {
+                reader.types = {};
+                headers.forEach((col, c) => {
+                    reader.types[col] = stringColumns.includes(col) ? 'string'
+                        : dateColumns.includes(col) ? 'date'
+                        : inferColumnType(data.map(row => row[c]), specialCodes);
+                });
+            }
+
+            headers.forEach((col, c) => {
+                const type = reader.types[col] ?? 'string';
+                for (const row of data) {
+                    const v = row[c];
+                    if (v === null) continue;
+                    if (type === 'number') {
+                        if (typeof v === 'number' || (typeof v === 'string' && isNumericText(v))) row[c] = Number(v);
+                    } else if (type === 'date') {
+                        // special codes are kept as they are, as numbers when numeric; other numbers are Excel serial dates
+                        if (isSpecialCode(specialCodes, v)) {
+                            row[c] = typeof v === 'string' && isNumericText(v) ? Number(v) : v;
+                        } else {
+                            row[c] = parseDate(v) ?? (typeof v === 'string' ? v : String(v));
+                        }
+                    } else {
+                        row[c] = typeof v === 'string' ? v : String(v);
+                    }
+                }
+            });
+            return data;
+        }
+    };
+    return reader;
+}
+
+
+/**
+ * Builds a split-orientation dataset from a header and rows of raw cells, normalizing missing
+ * values and converting each column to its inferred type.
+ *
+ * @param {string[]} headers - column names
+ * @param {Array[]} rows - raw cells, one array per row
+ * @param {Object} [options]
+ * @param {string[]} [options.naStrings] - cell texts read as missing; defaults to `DEFAULT_NA_STRINGS`
+ * @param {string[]} [options.stringColumns] - columns always kept as text; defaults to `DEFAULT_STRING_COLUMNS`
+ * @param {string[]} [options.dateColumns] - columns always read as dates, e.g. columns of Excel
+ *  serial dates, which would otherwise be read as numbers
+ * @param {Object|string} [options.specialCodes] - codes kept as they are in date columns rather than
+ *  read as dates; defaults to `DEFAULT_SPECIAL_CODES`
+ * @returns {{columns: string[], index: number[], data: Array[], types: Object}} the dataset, with
+ *  the inferred type of each column in `types`
+ */
+function buildDataset(headers, rows, options = {}) {
+    const reader = createRowReader(headers, options);
+    const data = reader.read(rows);
+    return {
+        columns: [...headers],
+        index: data.map((_, i) => i),
+        data,
+        types: reader.types
+    };
+}
+
+
+/**
+ * Converts records-orientation JSON (`[{col: value, ...}, ...]`) into headers and rows. Columns
+ * are taken in order of first appearance across all records. Split-orientation JSON
+ * (`{columns, data}`) is accepted as well.
+ */
+function jsonToTable(json) {
+    if (json && !Array.isArray(json) && Array.isArray(json.columns) && Array.isArray(json.data)) {
+        return {headers: json.columns.map(String), rows: json.data};
+    }
+    if (!Array.isArray(json)) {
+        throw new Error('JSON dataset must be an array of records or an object with columns and data');
+    }
+    const headers = [];
+    for (const record of json) {
+        for (const key of Object.keys(record ?? {})) {
+            if (!headers.includes(key)) headers.push(key);
+        }
+    }
+    return {headers, rows: json.map(record => headers.map(h => record?.[h]))};
+}
+
+
+/**
+ * Imports a dataset from a CSV, TSV, XLSX or JSON (records orientation) file.
+ *
+ * @param {Blob|File|ArrayBuffer|Uint8Array|string} source - the file; a string is taken as file content
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv', 'tsv', 'xlsx' or 'json'; detected from the file name if omitted
+ * @param {string} [options.fileName] - name of the file, used to detect the format
+ * @param {string} [options.sheet] - XLSX worksheet name; defaults to the first sheet
+ * @param {string[]} [options.naStrings] - cell texts read as missing
+ * @param {string[]} [options.stringColumns] - columns always kept as text
+ * @param {string[]} [options.dateColumns] - columns always read as dates
+ * @param {Object|string} [options.specialCodes] - codes kept as they are in date columns
+ * @returns {Promise<{columns: string[], index: number[], data: Array[], types: Object}>}
+ */
+async function importDataset(source, options = {}) {
+    const format = options.format ?? detectFormat(options.fileName ?? source?.name);
+    let table;
+    if (format === 'json') {
+        table = jsonToTable(JSON.parse(await toText(source)));
+    } else {
+        table = await readTable(source, {...options, format});
+    }
+    return buildDataset(table.headers, table.rows, options);
+}
+
+
+/**
+ * Imports a data dictionary (CSV, TSV or XLSX) as an array of row objects keyed by the header,
+ * e.g. `[{'Variable Name': 'parity', Category: 'Reproductive History', ...}, ...]`, the form
+ * `changeCaseMatch`, `listMissingColumns` and the summary reports take. Cells are trimmed text,
+ * blank cells are null and blank rows are dropped.
+ *
+ * @param {Blob|File|ArrayBuffer|Uint8Array|string} source - the file; a string is taken as file content
+ * @param {Object} [options] - `format`, `fileName` and `sheet`, as for `importDataset`
+ * @returns {Promise<Object[]>}
+ */
+async function importDataDictionary(source, options = {}) {
+    const format = options.format ?? detectFormat(options.fileName ?? source?.name);
+    const {headers, rows} = await readTable(source, {...options, format});
+    return rows
+        .map(row => Object.fromEntries(headers.map((h, c) => [h, normalizeCell(row?.[c], [''])])))
+        .filter(row => Object.values(row).some(v => v !== null));
+}
+
+
+export {DEFAULT_NA_STRINGS, DEFAULT_STRING_COLUMNS, inferColumnType, createRowReader, buildDataset, importDataset, importDataDictionary};
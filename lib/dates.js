@@ -0,0 +1,82 @@
+/**
+ * Dates of cohort data (baseline, diagnosis, last follow-up, ...). Datasets hold dates as ISO
+ * text, "2020-03-15", which is how XLSX date cells are read (see `lib/dataset.js`) and which
+ * sorts and compares correctly as text. `parseDate` reads the forms dates come in:
+ *
+ *  - ISO dates, "2020-03-15" or "2020-3-15", with any time after them dropped ("2020-03-15T10:00")
+ *  - US dates, "03/15/2020" (mm/dd/yyyy)
+ *  - Excel serial dates, the number of days since 1899-12-30, e.g. 43905 for 2020-03-15, as
+ *    found in CSV exports of spreadsheets whose date cells lost their format
+ *  - Date objects, by their UTC day, as exceljs gives them
+ */
+
+
+/** Largest Excel serial date, 9999-12-31. */
+const MAX_EXCEL_SERIAL = 2958465;
+
+const MS_PER_DAY = 86400000;
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/;
+
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+const pad = (n, width) => String(n).padStart(width, '0');
+
+
+/** The ISO date of a year, month (1-12) and day, or null when there is no such day. */
+function isoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Date.UTC maps years 0-99 to 1900-1999
+    date.setUTCFullYear(year);
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return `${pad(year, 4)}-${pad(month, 2)}-${pad(day, 2)}`;
+}
+
+
+/** The ISO date of an Excel serial date, or null when it is not one. */
+function excelSerialDate(serial) {
+    if (!Number.isFinite(serial) || serial < 1 || serial >= MAX_EXCEL_SERIAL + 1) return null;
+    const days = Math.floor(serial);
+    // Excel counts a 29 February 1900 that never was: serial 60, and serials before it are one day off
+    if (days === 60) return null;
+    const date = new Date(Date.UTC(1899, 11, days < 60 ? 31 : 30) + days * MS_PER_DAY);
+    return date.toISOString().slice(0, 10);
+}
+
+
+/**
+ * True when text is an ISO or US date, e.g. "2020-03-15" or "03/15/2020".
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isDateText(text) {
+    return typeof text === 'string' && parseDate(text, {serial: false}) !== null;
+}
+
+
+/**
+ * Reads a date in any of the forms above.
+ * @param {*} value - a cell or rule value
+ * @param {Object} [options]
+ * @param {boolean} [options.serial=true] - read numbers, and text that is a number, as Excel serial dates
+ * @returns {string|null} the ISO date, or null when `value` is not a date
+ */
+function parseDate(value, options = {}) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+    const serial = options.serial ?? true;
+    if (typeof value === 'number') return serial ? excelSerialDate(value) : null;
+
+    const text = String(value).trim();
+    let match = ISO_DATE.exec(text);
+    if (match) return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    match = US_DATE.exec(text);
+    if (match) return isoDate(Number(match[3]), Number(match[1]), Number(match[2]));
+    if (serial && /^\d+(\.\d+)?$/.test(text)) return excelSerialDate(Number(text));
+    return null;
+}
+
+
+export {MAX_EXCEL_SERIAL, isDateText, parseDate};
@@ -0,0 +1,88 @@
+/**
+ * Warning rules generated from the data dictionary, so the valid values and ranges the dictionary
+ * already gives don't have to be copied into the warning rule sheet. The dictionary columns are
+ * named like those of the rule sheet:
+ *
+ *  - `Valid Values`: the codes of a coded variable, e.g. "0,1,777" -> a `valid.warnings` rule
+ *  - `Valid Value Lower` and `Valid Value Higher`: the range of a continuous variable -> a
+ *    `range.warnings` rule; both bounds are needed, as for a hand-written rule
+ *
+ * A variable with valid values is taken as coded, even if it also has a range. The special codes
+ * of the `Special Codes` column apply to generated rules as to any other (see `lib/specialCodes.js`).
+ */
+
+
+/**
+ * Comments of the generated rules. `{variable}`, `{values}`, `{lower}` and `{higher}` are replaced
+ * by the variable name, its valid values and its bounds.
+ */
+const DEFAULT_COMMENT_TEMPLATES = {
+    'valid.warnings': '{variable} is not one of the valid values {values}',
+    'range.warnings': '{variable} is outside the valid range {lower} to {higher}'
+};
+
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+const isNumeric = (v) => typeof v === 'number' ? !Number.isNaN(v) : !isBlank(v) && !Number.isNaN(Number(v));
+
+const fillTemplate = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key]) : match);
+
+
+/**
+ * Generates a `valid.warnings` rule for each coded variable of the dictionary and a `range.warnings`
+ * rule for each continuous one. Rows without valid values or a full range give no rule.
+ *
+ * @param {Object[]} dataDict - data dictionary rows, with `Variable Name` and the columns above
+ * @param {Object} [options]
+ * @param {Object} [options.templates] - comment template by QC Type, overriding `DEFAULT_COMMENT_TEMPLATES`
+ * @returns {Object[]} warning rules, keyed like the rows of the warning rule sheet
+ */
+function generateWarningRules(dataDict, options = {}) {
+    const templates = {...DEFAULT_COMMENT_TEMPLATES, ...options.templates};
+    const rules = [];
+    for (const row of dataDict ?? []) {
+        if (isBlank(row['Variable Name'])) continue;
+        const variable = String(row['Variable Name']).trim();
+        const values = row['Valid Values'];
+        const lower = row['Valid Value Lower'];
+        const higher = row['Valid Value Higher'];
+
+        if (!isBlank(values)) {
+            const text = String(values).trim();
+            rules.push({
+                Variable: variable,
+                'QC Type': 'valid.warnings',
+                'Valid Values': text,
+                Comments: fillTemplate(templates['valid.warnings'], {variable, values: text})
+            });
+        } else if (isNumeric(lower) && isNumeric(higher)) {
+            rules.push({
+                Variable: variable,
+                'QC Type': 'range.warnings',
+                'Valid Value Lower': Number(lower),
+                'Valid Value Higher': Number(higher),
+                Comments: fillTemplate(templates['range.warnings'], {variable, lower: Number(lower), higher: Number(higher)})
+            });
+        }
+    }
+    return rules;
+}
+
+
+/**
+ * Adds generated rules to the hand-written ones. A hand-written rule takes precedence over the
+ * generated rule of the same QC Type and variable (compared case-insensitively), which is dropped.
+ *
+ * @param {Object[]} warningRules - rules of the warning rule sheet
+ * @param {Object[]} generatedRules - rules returned by `generateWarningRules`
+ * @returns {Object[]} the hand-written rules, then the generated rules they don't override
+ */
+function mergeWarningRules(warningRules, generatedRules) {
+    const key = (rule) => `${rule['QC Type']}\u0000${String(rule.Variable ?? '').toLowerCase()}`;
+    const written = new Set(warningRules.map(key));
+    return [...warningRules, ...generatedRules.filter(rule => !written.has(key(rule)))];
+}
+
+
+export {DEFAULT_COMMENT_TEMPLATES, generateWarningRules, mergeWarningRules};
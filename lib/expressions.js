@@ -0,0 +1,805 @@
+import {getRangeValues, isUnique} from './utils.js';
+
+/**
+ * A small interpreter for the subset of R used in the rule sheets (`value_changed`,
+ * `cross_variable_N_value`, `Formula_Condition`, ...). The R prototype used `rlang::parse_expr()`
+ * inside `dplyr::mutate()`, so bare identifiers refer to columns of the current row. For example
+ * `age_preg2 > age_preg1 & !parous %in% c(777,888)` is evaluated once per row of the dataset.
+ *
+ * Supported syntax:
+ *  - numbers, "strings", 'strings', TRUE/FALSE/T/F, NA, NULL, Inf, NaN
+ *  - column names, including `back-ticked names` and `data$column` (the whole column as a vector)
+ *  - `^`, unary `-`/`+`, `:`, `%in%`, `%%`, `%/%`, `*`, `/`, `+`, `-`
+ *  - `<`, `<=`, `>`, `>=`, `==`, `!=`, `!`, `&`, `&&`, `|`, `||`, parentheses
+ *  - the functions listed in `expressionFunctions`
+ *
+ * NA (represented as `null`) propagates the way it does in R: comparisons and arithmetic with NA
+ * give NA, `FALSE & NA` is FALSE, `TRUE | NA` is TRUE and `NA %in% c(1, NA)` is TRUE.
+ */
+
+
+/**
+ * Error raised when an expression cannot be parsed or evaluated. `source` holds the offending
+ * expression and `position` the character offset where parsing failed (when known).
+ */
+class ExpressionError extends Error {
+    constructor(message, source, position) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.source = source;
+        this.position = position;
+    }
+}
+
+
+const KEYWORDS = {
+    TRUE: true,
+    T: true,
+    FALSE: false,
+    F: false,
+    NA: null,
+    NA_integer_: null,
+    NA_real_: null,
+    NA_character_: null,
+    NULL: null,
+    Inf: Infinity,
+    NaN: null
+};
+
+// Multi-character operators must come before their prefixes
+const OPERATORS = ['&&', '||', '<=', '>=', '==', '!=', '<', '>', '&', '|', '!', '+', '-', '*', '/', '^', ':', '$'];
+
+
+/**
+ * Splits an expression string into tokens.
+ * @param {string} source - the R expression
+ * @returns {Object[]} tokens of the shape {type, value, position}
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Numbers, e.g. 12, 1.5, .5, 1e3, 10L
+        const numMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?L?/.exec(source.slice(i));
+        if (numMatch) {
+            tokens.push({type: 'number', value: parseFloat(numMatch[0]), position: i});
+            i += numMatch[0].length;
+            continue;
+        }
+
+        // Identifiers, e.g. age_preg1, is.na, .data
+        const identMatch = /^[A-Za-z._][A-Za-z0-9._]*/.exec(source.slice(i));
+        if (identMatch) {
+            tokens.push({type: 'identifier', value: identMatch[0], position: i});
+            i += identMatch[0].length;
+            continue;
+        }
+
+        // Strings and back-ticked names
+        if (ch === '"' || ch === "'" || ch === '`') {
+            const start = i;
+            let value = '';
+            i++;
+            while (i < source.length && source[i] !== ch) {
+                if (source[i] === '\\' && i + 1 < source.length) {
+                    const escaped = source[i + 1];
+                    value += {n: '\n', t: '\t', r: '\r'}[escaped] || escaped;
+                    i += 2;
+                } else {
+                    value += source[i];
+                    i++;
+                }
+            }
+            if (i >= source.length) {
+                throw new ExpressionError(`unterminated ${ch === '`' ? 'name' : 'string'} at position ${start}`, source, start);
+            }
+            i++;
+            tokens.push({type: ch === '`' ? 'identifier' : 'string', value, position: start});
+            continue;
+        }
+
+        // Special operators, e.g. %in%, %%, %/%
+        if (ch === '%') {
+            const end = source.indexOf('%', i + 1);
+            if (end === -1) {
+                throw new ExpressionError(`unterminated operator '%' at position ${i}`, source, i);
+            }
+            const op = source.slice(i, end + 1);
+            if (!['%in%', '%%', '%/%'].includes(op)) {
+                throw new ExpressionError(`unsupported operator '${op}' at position ${i}`, source, i);
+            }
+            tokens.push({type: 'operator', value: op, position: i});
+            i = end + 1;
+            continue;
+        }
+
+        if (ch === '(' || ch === ')' || ch === ',') {
+            tokens.push({type: ch, value: ch, position: i});
+            i++;
+            continue;
+        }
+
+        const op = OPERATORS.find(o => source.startsWith(o, i));
+        if (op) {
+            tokens.push({type: 'operator', value: op, position: i});
+            i += op.length;
+            continue;
+        }
+
+        throw new ExpressionError(`unexpected '${ch}' at position ${i}`, source, i);
+    }
+    tokens.push({type: 'end', value: null, position: source.length});
+    return tokens;
+}
+
+
+/**
+ * Parses an R expression into an abstract syntax tree. Nodes that do not depend on the current row
+ * (literals, `data$col` and calls made only of those) are marked `constant` so their value can be
+ * computed once per dataset, which keeps e.g. `subject_id %in% is.Unique(data$subject_id)` linear.
+ *
+ * @param {string|number} source - the R expression, e.g. "age_preg2 > age_preg1"
+ * @returns {Object} the root node of the syntax tree
+ * @throws {ExpressionError} when the expression is empty or not valid
+ */
+function parseExpression(source) {
+    source = String(source ?? '');
+    const tokens = tokenize(source);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const isOp = (...ops) => peek().type === 'operator' && ops.includes(peek().value);
+    const fail = (token) => {
+        const what = token.type === 'end' ? 'end of input' : `'${token.value}'`;
+        return new ExpressionError(`unexpected ${what} at position ${token.position}`, source, token.position);
+    };
+    const expect = (type) => {
+        if (peek().type !== type) throw fail(peek());
+        return next();
+    };
+    const binary = (op, left, right) => ({type: 'Binary', op, left, right, constant: left.constant && right.constant});
+
+    // Each level of precedence, from loosest to tightest binding
+    function parseOr() {
+        let left = parseAnd();
+        while (isOp('|', '||')) {
+            left = binary(next().value, left, parseAnd());
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        while (isOp('&', '&&')) {
+            left = binary(next().value, left, parseNot());
+        }
+        return left;
+    }
+
+    function parseNot() {
+        if (isOp('!')) {
+            next();
+            const argument = parseNot();
+            return {type: 'Unary', op: '!', argument, constant: argument.constant};
+        }
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        let left = parseAdditive();
+        while (isOp('<', '<=', '>', '>=', '==', '!=')) {
+            left = binary(next().value, left, parseAdditive());
+        }
+        return left;
+    }
+
+    function parseAdditive() {
+        let left = parseMultiplicative();
+        while (isOp('+', '-')) {
+            left = binary(next().value, left, parseMultiplicative());
+        }
+        return left;
+    }
+
+    function parseMultiplicative() {
+        let left = parseSpecial();
+        while (isOp('*', '/')) {
+            left = binary(next().value, left, parseSpecial());
+        }
+        return left;
+    }
+
+    function parseSpecial() {
+        let left = parseRange();
+        while (isOp('%in%', '%%', '%/%')) {
+            left = binary(next().value, left, parseRange());
+        }
+        return left;
+    }
+
+    function parseRange() {
+        let left = parseUnary();
+        while (isOp(':')) {
+            left = binary(next().value, left, parseUnary());
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (isOp('-', '+')) {
+            const op = next().value;
+            const argument = parseUnary();
+            return {type: 'Unary', op, argument, constant: argument.constant};
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePostfix();
+        if (isOp('^')) {
+            next();
+            // right associative, and binds tighter than unary minus on its left: -2^2 == -4
+            return binary('^', base, parseUnary());
+        }
+        return base;
+    }
+
+    function parsePostfix() {
+        const token = peek();
+        const node = parsePrimary();
+        if (node.type === 'Identifier' && peek().type === '(') {
+            return parseCall(node.name, token);
+        }
+        if (node.type === 'Identifier' && isOp('$')) {
+            next();
+            const column = expect('identifier').value;
+            // `.data$x` is dplyr's pronoun for the current row, anything else (`data$x`, `df$x`)
+            // is the whole column
+            if (node.name === '.data') {
+                return {type: 'Identifier', name: column, constant: false};
+            }
+            return {type: 'Column', name: column, constant: true};
+        }
+        return node;
+    }
+
+    function parseCall(name, token) {
+        if (!Object.prototype.hasOwnProperty.call(expressionFunctions, name)) {
+            throw new ExpressionError(`could not find function "${name}" at position ${token.position}`, source, token.position);
+        }
+        expect('(');
+        const args = [];
+        if (peek().type !== ')') {
+            args.push(parseOr());
+            while (peek().type === ',') {
+                next();
+                args.push(parseOr());
+            }
+        }
+        expect(')');
+        return {type: 'Call', name, args, constant: args.every(a => a.constant)};
+    }
+
+    function parsePrimary() {
+        const token = next();
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                return {type: 'Literal', value: token.value, constant: true};
+            case 'identifier':
+                if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value) && peek().type !== '(') {
+                    return {type: 'Literal', value: KEYWORDS[token.value], constant: true};
+                }
+                return {type: 'Identifier', name: token.value, constant: false};
+            case '(': {
+                const inner = parseOr();
+                expect(')');
+                return inner;
+            }
+            case 'operator':
+                // R accepts a negation in operand position, e.g. `x == !y`
+                if (token.value === '!') {
+                    const argument = parseNot();
+                    return {type: 'Unary', op: '!', argument, constant: argument.constant};
+                }
+                throw fail(token);
+            default:
+                throw fail(token);
+        }
+    }
+
+    if (peek().type === 'end') {
+        throw new ExpressionError('empty expression', source, 0);
+    }
+    const ast = parseOr();
+    if (peek().type !== 'end') {
+        throw fail(peek());
+    }
+    return ast;
+}
+
+
+/**
+ * Lists every column name referenced by a parsed expression, either as a bare identifier or as
+ * `data$column`.
+ * @param {Object} ast - node returned by `parseExpression`
+ * @returns {string[]} unique column names, in order of first appearance
+ */
+function expressionVariables(ast) {
+    const names = [];
+    const visit = (node) => {
+        if (node.type === 'Identifier' || node.type === 'Column') {
+            if (!names.includes(node.name)) names.push(node.name);
+        } else if (node.type === 'Unary') {
+            visit(node.argument);
+        } else if (node.type === 'Binary') {
+            visit(node.left);
+            visit(node.right);
+        } else if (node.type === 'Call') {
+            node.args.forEach(visit);
+        }
+    };
+    visit(ast);
+    return names;
+}
+
+
+/**
+ * Lists the columns a parsed expression reads as a whole, through `data$column`. Such expressions
+ * (e.g. `subject_id %in% is.Unique(data$subject_id)`) need the whole dataset, not just the row.
+ * @param {Object} ast - node returned by `parseExpression`
+ * @returns {string[]} unique column names, in order of first appearance
+ */
+function expressionColumns(ast) {
+    const names = [];
+    const visit = (node) => {
+        if (node.type === 'Column') {
+            if (!names.includes(node.name)) names.push(node.name);
+        } else if (node.type === 'Unary') {
+            visit(node.argument);
+        } else if (node.type === 'Binary') {
+            visit(node.left);
+            visit(node.right);
+        } else if (node.type === 'Call') {
+            node.args.forEach(visit);
+        }
+    };
+    visit(ast);
+    return names;
+}
+
+
+/* ------------------------------------------------------------------ */
+/* Value helpers. A value is a scalar (number, string, boolean, null)  */
+/* or an array of scalars, i.e. an R vector.                          */
+/* ------------------------------------------------------------------ */
+
+const isNA = (v) => v === null || v === undefined || (typeof v === 'number' && Number.isNaN(v));
+
+// Numeric view of a value, or undefined when it is not numeric (NA is handled by the caller)
+function asNumber(v) {
+    if (typeof v === 'number') return v;
+    if (typeof v === 'boolean') return v ? 1 : 0;
+    if (typeof v === 'string' && v.trim() !== '' && !Number.isNaN(Number(v))) return Number(v);
+    return undefined;
+}
+
+function asLogical(v) {
+    if (isNA(v)) return null;
+    if (typeof v === 'boolean') return v;
+    if (typeof v === 'number') return v !== 0;
+    if (v === 'TRUE' || v === 'true' || v === 'T') return true;
+    if (v === 'FALSE' || v === 'false' || v === 'F') return false;
+    throw new ExpressionError(`argument "${v}" is not interpretable as logical`);
+}
+
+// Applies `fn` element-wise, recycling the shorter vector like R does
+function vectorize(a, b, fn) {
+    if (!Array.isArray(a) && !Array.isArray(b)) return fn(a, b);
+    const av = Array.isArray(a) ? a : [a];
+    const bv = Array.isArray(b) ? b : [b];
+    if (av.length === 0 || bv.length === 0) return [];
+    const n = Math.max(av.length, bv.length);
+    const out = new Array(n);
+    for (let i = 0; i < n; i++) {
+        out[i] = fn(av[i % av.length], bv[i % bv.length]);
+    }
+    return out;
+}
+
+function mapValue(v, fn) {
+    return Array.isArray(v) ? v.map(fn) : fn(v);
+}
+
+function arithmetic(op) {
+    return (a, b) => {
+        if (isNA(a) || isNA(b)) return null;
+        const x = asNumber(a);
+        const y = asNumber(b);
+        if (x === undefined || y === undefined) {
+            throw new ExpressionError(`non-numeric argument to binary operator '${op}'`);
+        }
+        switch (op) {
+            case '+': return x + y;
+            case '-': return x - y;
+            case '*': return x * y;
+            case '/': return x / y;
+            case '^': return x ** y;
+            case '%%': return x - Math.floor(x / y) * y;
+            case '%/%': return Math.floor(x / y);
+        }
+    };
+}
+
+/**
+ * Compares two scalars. Numbers and numeric strings compare numerically (data read from CSV is
+ * often still text), everything else compares as text, which is what R falls back to.
+ */
+function compare(a, b) {
+    const x = asNumber(a);
+    const y = asNumber(b);
+    if (x !== undefined && y !== undefined) {
+        return x < y ? -1 : x > y ? 1 : 0;
+    }
+    const s = String(a);
+    const t = String(b);
+    return s < t ? -1 : s > t ? 1 : 0;
+}
+
+function comparison(op) {
+    return (a, b) => {
+        if (isNA(a) || isNA(b)) return null;
+        const c = compare(a, b);
+        switch (op) {
+            case '<': return c < 0;
+            case '<=': return c <= 0;
+            case '>': return c > 0;
+            case '>=': return c >= 0;
+            case '==': return c === 0;
+            case '!=': return c !== 0;
+        }
+    };
+}
+
+function and3(a, b) {
+    const x = asLogical(a);
+    const y = asLogical(b);
+    if (x === false || y === false) return false;
+    if (x === null || y === null) return null;
+    return true;
+}
+
+function or3(a, b) {
+    const x = asLogical(a);
+    const y = asLogical(b);
+    if (x === true || y === true) return true;
+    if (x === null || y === null) return null;
+    return false;
+}
+
+function first(v) {
+    if (!Array.isArray(v)) return v;
+    return v.length === 0 ? null : v[0];
+}
+
+/**
+ * `x %in% table`. Matching treats NA as equal to NA, and compares numbers and numeric strings by
+ * value, so "777" %in% c(777, 888) is TRUE.
+ */
+function inOperator(x, table) {
+    const values = Array.isArray(table) ? table : [table];
+    const matches = (v) => values.some(t => (isNA(v) || isNA(t)) ? isNA(v) && isNA(t) : compare(v, t) === 0);
+    return mapValue(x, matches);
+}
+
+
+/**
+ * Functions available to rule expressions, keyed by their R name. Each receives its already
+ * evaluated arguments.
+ */
+const expressionFunctions = {
+    'c': (...args) => args.flat(),
+    'is.na': (x) => mapValue(x, isNA),
+    'is.Unique': (x) => isUnique(Array.isArray(x) ? x : [x]),
+    'as.numeric': (x) => mapValue(x, v => {
+        if (isNA(v)) return null;
+        const n = asNumber(v);
+        return n === undefined ? null : n;
+    }),
+    'as.character': (x) => mapValue(x, v => isNA(v) ? null : String(v)),
+    'abs': (x) => mapValue(x, v => isNA(v) ? null : Math.abs(asNumber(v))),
+    'round': (x, digits = 0) => mapValue(x, v => {
+        if (isNA(v)) return null;
+        const factor = 10 ** digits;
+        return Math.round(asNumber(v) * factor) / factor;
+    }),
+    'nchar': (x) => mapValue(x, v => isNA(v) ? 2 : String(v).length),
+    'tolower': (x) => mapValue(x, v => isNA(v) ? null : String(v).toLowerCase()),
+    'toupper': (x) => mapValue(x, v => isNA(v) ? null : String(v).toUpperCase()),
+    'length': (x) => Array.isArray(x) ? x.length : 1,
+    'ifelse': (test, yes, no) => {
+        const yv = Array.isArray(yes) ? yes : [yes];
+        const nv = Array.isArray(no) ? no : [no];
+        return mapValue(test, (t, i = 0) => {
+            const l = asLogical(t);
+            return l === null ? null : (l ? yv[i % yv.length] : nv[i % nv.length]);
+        });
+    }
+};
+
+
+/**
+ * Evaluates a parsed expression against an environment built by `createDataEnvironment`.
+ * @param {Object} ast - node returned by `parseExpression`
+ * @param {Object} env - environment that resolves column names for the current row
+ * @returns {*} the R value of the expression, with `null` standing for NA
+ * @throws {ExpressionError} when a column is missing or an operator gets invalid operands
+ */
+function evaluateExpression(ast, env) {
+    if (ast.constant && env.cache) {
+        if (!env.cache.has(ast)) {
+            env.cache.set(ast, evaluateNode(ast, env));
+        }
+        return env.cache.get(ast);
+    }
+    return evaluateNode(ast, env);
+}
+
+function evaluateNode(node, env) {
+    switch (node.type) {
+        case 'Literal':
+            return node.value;
+        case 'Identifier':
+            return env.lookup(node.name);
+        case 'Column':
+            return env.column(node.name);
+        case 'Unary': {
+            const value = evaluateExpression(node.argument, env);
+            if (node.op === '!') return mapValue(value, v => {
+                const l = asLogical(v);
+                return l === null ? null : !l;
+            });
+            return mapValue(value, v => {
+                if (isNA(v)) return null;
+                const n = asNumber(v);
+                if (n === undefined) throw new ExpressionError(`invalid argument to unary operator '${node.op}'`);
+                return node.op === '-' ? -n : n;
+            });
+        }
+        case 'Binary':
+            return evaluateBinary(node, env);
+        case 'Call': {
+            const args = node.args.map(a => evaluateExpression(a, env));
+            return expressionFunctions[node.name](...args);
+        }
+        default:
+            throw new ExpressionError(`unknown expression node '${node.type}'`);
+    }
+}
+
+function evaluateBinary(node, env) {
+    const {op} = node;
+
+    // Scalar, short-circuiting logical operators
+    if (op === '&&' || op === '||') {
+        const left = asLogical(first(evaluateExpression(node.left, env)));
+        if (op === '&&' && left === false) return false;
+        if (op === '||' && left === true) return true;
+        const right = asLogical(first(evaluateExpression(node.right, env)));
+        return op === '&&' ? and3(left, right) : or3(left, right);
+    }
+
+    const left = evaluateExpression(node.left, env);
+    const right = evaluateExpression(node.right, env);
+    switch (op) {
+        case '&':
+            return vectorize(left, right, and3);
+        case '|':
+            return vectorize(left, right, or3);
+        case '%in%':
+            return inOperator(left, right);
+        case ':': {
+            const from = asNumber(first(left));
+            const to = asNumber(first(right));
+            if (from === undefined || to === undefined || isNA(first(left)) || isNA(first(right))) {
+                throw new ExpressionError(`NA/non-numeric argument to ':'`);
+            }
+            const out = [];
+            const step = from <= to ? 1 : -1;
+            for (let v = from; step > 0 ? v <= to : v >= to; v += step) out.push(v);
+            return out;
+        }
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            // Special codes such as 777 are not measurements, so they are not range-checked
+            return vectorize(maskSpecialCode(node.left, left, env), maskSpecialCode(node.right, right, env), comparison(op));
+        case '==':
+        case '!=':
+            return vectorize(left, right, comparison(op));
+        default:
+            return vectorize(left, right, arithmetic(op));
+    }
+}
+
+
+/**
+ * The value of a comparison operand, with NA in place of a special code when the operand is a
+ * column of the row. Codes only count for bare column references: in `age > 50` a 777 age is
+ * NA, while `age %in% c(777)` or `age == 777` still see the code.
+ */
+function maskSpecialCode(node, value, env) {
+    if (node.type !== 'Identifier' || !env.isSpecialCode) return value;
+    return mapValue(value, v => env.isSpecialCode(node.name, v) ? null : v);
+}
+
+
+/**
+ * Builds an evaluation environment over a split-orientation dataset. Set `env.row` to the index of
+ * the row being evaluated; bare identifiers then resolve to that row's cells and `data$col` to the
+ * whole column.
+ *
+ * @param {Object} data - dataset in split orientation {columns, index, data}
+ * @param {Object} [options]
+ * @param {function(string, *): boolean} [options.isSpecialCode] - tells whether a value of a
+ *  column is a special code, which `<`, `<=`, `>` and `>=` then treat as NA
+ * @param {Map<string, Array>} [options.columns] - values of whole columns, for `data$col` when
+ *  `data` is only part of the dataset (see `lib/streaming.js`)
+ * @returns {{row: number, lookup: function(string): *, column: function(string): Array, cache: Map}}
+ */
+function createDataEnvironment(data, options = {}) {
+    const columnIndex = new Map(data.columns.map((col, idx) => [col, idx]));
+    const indexOf = (name) => {
+        const idx = columnIndex.get(name);
+        if (idx === undefined) {
+            throw new ExpressionError(`object '${name}' not found`);
+        }
+        return idx;
+    };
+    return {
+        row: 0,
+        cache: new Map(),
+        isSpecialCode: options.isSpecialCode,
+        lookup(name) {
+            const value = data.data[this.row][indexOf(name)];
+            return isNA(value) ? null : value;
+        },
+        column(name) {
+            if (options.columns?.has(name)) {
+                return options.columns.get(name).map(v => isNA(v) ? null : v);
+            }
+            const idx = indexOf(name);
+            return data.data.map(row => isNA(row[idx]) ? null : row[idx]);
+        }
+    };
+}
+
+
+/**
+ * Runs a rule over every row of a dataset, with `env.row` set to the row. A row whose cells an
+ * expression cannot be evaluated on, such as "unknown" in `bmi + 1 > 50`, counts as NA: the rule
+ * does nothing to it, and the rows are reported in one message once all rows are done, rather
+ * than the error ending the whole run.
+ *
+ * @param {Object} data - dataset in split orientation
+ * @param {Object} env - environment from `createDataEnvironment` over `data`
+ * @param {string} ruleName - names the rule in the message, e.g. "range.changes rule for bmi"
+ * @param {function(number): void} fn - applies the rule to the row at the given position
+ */
+function forEachRow(data, env, ruleName, fn) {
+    const failed = [];
+    let firstError = null;
+    for (let i = 0; i < data.data.length; i++) {
+        env.row = i;
+        try {
+            fn(i);
+        } catch (err) {
+            if (!(err instanceof ExpressionError)) throw err;
+            failed.push(data.index[i]);
+            firstError = firstError ?? err;
+        }
+    }
+    if (failed.length > 0) {
+        const rows = failed.length > 5 ? `${failed.slice(0, 5).join(', ')} and ${failed.length - 5} more` : failed.join(', ');
+        console.warn(`${ruleName} cannot be evaluated on ${failed.length === 1 ? 'row' : 'rows'} ${rows} (${firstError.message}), taken as NA`);
+    }
+}
+
+
+/**
+ * Compiles an expression whose value (rather than truth) is needed, such as a `new_value` cell.
+ * This is the equivalent of R's `eval(parse_expr(new_value))` evaluated against the current row:
+ * "888" gives 888, "age_preg1 + 1" gives the row's age_preg1 plus one.
+ *
+ * @param {string|number} source - the R expression
+ * @returns {{ast: Object, variables: string[], evaluate: function(Object): *}} where `evaluate`
+ *  returns a single value, with NA as `null`
+ * @throws {ExpressionError} when the expression cannot be parsed
+ */
+function compileExpression(source) {
+    const ast = typeof source === 'number'
+        ? {type: 'Literal', value: source, constant: true}
+        : parseExpression(source);
+    return {
+        ast,
+        variables: expressionVariables(ast),
+        evaluate: (env) => {
+            const value = first(evaluateExpression(ast, env));
+            return isNA(value) ? null : value;
+        }
+    };
+}
+
+
+/**
+ * True when a rule cell holds a plain list of values (e.g. "777,888" or "1") rather than an
+ * expression. This mirrors the R `crossrange.warnings` check on non-alphanumeric characters.
+ * @param {string|number|Array} source - the rule cell
+ * @returns {boolean}
+ */
+function isValueList(source) {
+    if (typeof source === 'number' || Array.isArray(source)) return true;
+    return /^[\w.,\s-]*$/.test(String(source ?? '')) && !/^\s*(TRUE|FALSE|NA)\s*$/.test(String(source));
+}
+
+
+/**
+ * Compiles a rule condition into a row test. A plain value list is treated as set membership of
+ * `variable` (as `valid.changes` does), anything else is parsed as an R expression. Conditions
+ * that evaluate to NA do not trigger the rule, which matches how the R rules filter NA out.
+ *
+ * `evaluate` returns the R logical value of the condition (TRUE, FALSE or NA as `null`), `test`
+ * only returns true when it is TRUE.
+ *
+ * @param {string|number|Array} source - the rule cell, e.g. "777,888" or "parous == 1 & age > 50"
+ * @param {string} [variable] - the column a value list applies to
+ * @returns {{ast: Object, variables: string[], evaluate: function(Object): ?boolean, test: function(Object): boolean}}
+ * @throws {ExpressionError} when the expression cannot be parsed
+ */
+function compileCondition(source, variable) {
+    let ast;
+    if (isValueList(source) && variable !== undefined) {
+        const values = getRangeValues(typeof source === 'string' ? source.trim() : source)
+            .map(v => ({type: 'Literal', value: v, constant: true}));
+        ast = {
+            type: 'Binary',
+            op: '%in%',
+            left: {type: 'Identifier', name: variable, constant: false},
+            right: {type: 'Call', name: 'c', args: values, constant: true},
+            constant: false
+        };
+    } else {
+        ast = parseExpression(source);
+    }
+    const evaluate = (env) => asLogical(first(evaluateExpression(ast, env)));
+    return {
+        ast,
+        variables: expressionVariables(ast),
+        evaluate,
+        test: (env) => evaluate(env) === true
+    };
+}
+
+
+export {
+    ExpressionError,
+    parseExpression,
+    expressionVariables,
+    expressionColumns,
+    expressionFunctions,
+    evaluateExpression,
+    createDataEnvironment,
+    forEachRow,
+    compileExpression,
+    isValueList,
+    compileCondition
+};
@@ -0,0 +1,153 @@
+import {STUDY_COMMENT_PREFIX} from './utils.js';
+import {importDataset} from './dataset.js';
+
+/**
+ * Re-import of QC reports returned by the participating studies. `warningsQc` leaves a blank
+ * “Comments from Study for <col>” column after every change and warning column; studies reply
+ * there, and this module matches their replies back to the flagged rows of our QC data.
+ */
+
+
+/**
+ * How a study response is classified, tested in order against the start of the response.
+ * Responses matching neither are kept as 'commented' for a data manager to read, as are
+ * responses only starting with "yes", "no" or "ok", which say little on their own: "No problem,
+ * fixed" resolves the flag while "OK, will check" does not yet.
+ */
+const RESPONSE_PATTERNS = {
+    resolved: /^\s*(resolved|fixed|corrected|updated|agreed?|accepted|confirmed)/i,
+    disputed: /^\s*(disputed?|disagreed?|rejected?|incorrect|not an error|data (is|are) correct|value (is )?correct)/i
+};
+
+
+/**
+ * Classifies a single study response.
+ * @param {*} response - the text in the “Comments from Study” cell
+ * @param {Object} [patterns] - status -> RegExp, defaults to `RESPONSE_PATTERNS`
+ * @returns {'resolved'|'disputed'|'commented'|'unanswered'}
+ */
+function classifyResponse(response, patterns = RESPONSE_PATTERNS) {
+    if (response === null || response === undefined || String(response).trim() === '') {
+        return 'unanswered';
+    }
+    for (const [status, pattern] of Object.entries(patterns)) {
+        if (pattern.test(String(response))) return status;
+    }
+    return 'commented';
+}
+
+
+/**
+ * Works out how rows of the returned report line up with rows of our QC data. Rows are matched
+ * on the `index` column of the report (written by `lib/workbook.js`) when it has one; otherwise,
+ * or when the index is not in our QC data, on `subject_id` as long as only one row of our QC data
+ * has it, as incident data has several rows per participant. Without either, rows are matched
+ * on their order.
+ * @returns {function(Array, number): number} maps a returned row (and its position) to a row
+ *  of `qcData`, or -1 when it has no match
+ */
+function rowMatcher(returned, qcData, key) {
+    if (!qcData) return () => -1;
+    const returnedIndex = returned.columns.indexOf('index');
+    const returnedKey = returned.columns.indexOf(key);
+    const qcKey = qcData.columns.indexOf(key);
+    if (returnedIndex === -1 && (returnedKey === -1 || qcKey === -1)) {
+        return (row, position) => position < qcData.data.length ? position : -1;
+    }
+
+    const byIndex = new Map(qcData.index.map((idx, i) => [String(idx), i]));
+    const byKey = new Map();
+    const repeated = new Set();
+    if (qcKey !== -1) {
+        qcData.data.forEach((row, i) => {
+            const id = String(row[qcKey]);
+            if (byKey.has(id)) repeated.add(id);
+            byKey.set(id, i);
+        });
+    }
+    return (row) => {
+        const position = returnedIndex === -1 ? undefined : byIndex.get(String(row[returnedIndex]));
+        if (position !== undefined) return position;
+        const id = returnedKey === -1 ? null : String(row[returnedKey]);
+        return id === null || repeated.has(id) ? -1 : byKey.get(id) ?? -1;
+    };
+}
+
+
+/**
+ * Collects the study responses of a returned report. Every flagged cell (a non-empty
+ * `.data.change`/`.data.warning` cell) gives one response entry, answered or not.
+ *
+ * @param {Object} returned - the returned "QC Data" sheet, in split orientation
+ * @param {Object} [qcData] - our QC data, in split orientation, to match rows against
+ * @param {Object} [options]
+ * @param {string} [options.key='subject_id'] - column identifying a participant
+ * @param {Object} [options.patterns] - status -> RegExp used to classify responses
+ * @returns {{responses: Object[], summary: Object}} the responses, each with
+ *  {row, index, subjectId, column, variable, flag, response, status}, and the number of
+ *  responses per status
+ */
+function collectStudyResponses(returned, qcData, options = {}) {
+    const key = options.key ?? 'subject_id';
+    const match = rowMatcher(returned, qcData, key);
+    const keyIdx = returned.columns.indexOf(key);
+
+    const pairs = [];
+    returned.columns.forEach((col, c) => {
+        if (!col.startsWith(STUDY_COMMENT_PREFIX)) return;
+        const flagColumn = col.slice(STUDY_COMMENT_PREFIX.length);
+        const flagIdx = returned.columns.indexOf(flagColumn);
+        if (flagIdx === -1) return;
+        const suffix = flagColumn.endsWith('.data.change') ? '.data.change' : '.data.warning';
+        pairs.push({flagColumn, flagIdx, responseIdx: c, variable: flagColumn.slice(0, -suffix.length)});
+    });
+
+    const responses = [];
+    returned.data.forEach((row, position) => {
+        const qcRow = match(row, position);
+        for (const pair of pairs) {
+            const flag = row[pair.flagIdx];
+            if (flag === null || flag === undefined || String(flag).trim() === '') continue;
+            const response = row[pair.responseIdx];
+            responses.push({
+                row: qcRow === -1 ? null : qcRow,
+                index: qcRow === -1 ? null : qcData.index[qcRow],
+                subjectId: keyIdx === -1 ? null : row[keyIdx],
+                column: pair.flagColumn,
+                variable: pair.variable,
+                flag,
+                response: response === undefined ? null : response,
+                status: classifyResponse(response, options.patterns)
+            });
+        }
+    });
+
+    const summary = {resolved: 0, disputed: 0, commented: 0, unanswered: 0};
+    for (const r of responses) {
+        summary[r.status] = (summary[r.status] || 0) + 1;
+    }
+    return {responses, summary};
+}
+
+
+/**
+ * Reads a report returned by a study (the XLSX workbook written by `lib/workbook.js`, or its
+ * "QC Data" sheet saved as CSV) and collects the study responses.
+ *
+ * @param {Blob|File|ArrayBuffer|Uint8Array|string} source - the returned report
+ * @param {Object} [qcData] - our QC data, in split orientation, to match rows against
+ * @param {Object} [options] - `collectStudyResponses` options, plus `format`/`fileName`/`sheet`
+ *  for reading the file (the sheet defaults to "QC Data")
+ * @returns {Promise<{responses: Object[], summary: Object}>}
+ */
+async function importStudyResponses(source, qcData, options = {}) {
+    const returned = await importDataset(source, {
+        ...options,
+        sheet: options.sheet ?? 'QC Data',
+        stringColumns: [options.key ?? 'subject_id', 'index']
+    });
+    return collectStudyResponses(returned, qcData, options);
+}
+
+
+export {RESPONSE_PATTERNS, classifyResponse, collectStudyResponses, importStudyResponses};
@@ -0,0 +1,146 @@
+import ExcelJS from 'exceljs';
+import {createCsvParser, parseCsv, toCsv} from './csv.js';
+
+/**
+ * Reading of tabular files (CSV, TSV and XLSX) into a header row plus an array of row arrays.
+ * This works the same in the browser (File/Blob from an <input> or drop zone) and in Node
+ * (Buffer from `fs.readFile`), so the loaders built on it don't need to know where a file came from.
+ */
+
+
+/**
+ * Works out the format of a file from its name.
+ * @param {string} fileName - e.g. "core_rules.xlsx"
+ * @returns {string|null} one of 'csv', 'tsv', 'xlsx', 'json', or null if the extension is not known
+ */
+function detectFormat(fileName) {
+    const extension = String(fileName ?? '').toLowerCase().split('.').pop();
+    switch (extension) {
+        case 'csv':
+            return 'csv';
+        case 'tsv':
+        case 'tab':
+        case 'txt':
+            return 'tsv';
+        case 'xlsx':
+        case 'xlsm':
+            return 'xlsx';
+        case 'json':
+            return 'json';
+        default:
+            return null;
+    }
+}
+
+
+/**
+ * Converts the different sources a file can come from into bytes.
+ * @param {Blob|ArrayBuffer|Uint8Array|string} source
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes(source) {
+    if (typeof source === 'string') return new TextEncoder().encode(source);
+    if (source instanceof Uint8Array) return source;
+    if (source instanceof ArrayBuffer) return new Uint8Array(source);
+    if (source && typeof source.arrayBuffer === 'function') return new Uint8Array(await source.arrayBuffer());
+    throw new Error('File source must be a Blob, File, ArrayBuffer, Uint8Array or string');
+}
+
+
+/**
+ * Converts a source into text, decoding bytes as UTF-8.
+ * @param {Blob|ArrayBuffer|Uint8Array|string} source
+ * @returns {Promise<string>}
+ */
+async function toText(source) {
+    if (typeof source === 'string') return source;
+    return new TextDecoder('utf-8').decode(await toBytes(source));
+}
+
+
+/**
+ * Flattens the value exceljs gives for a cell (which may be rich text, a formula, a hyperlink or
+ * an error) into a plain string, number, boolean, Date or null.
+ */
+function excelCellValue(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value;
+    if (typeof value !== 'object') return value;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return excelCellValue(value.result);
+    if ('text' in value) return excelCellValue(value.text);
+    if ('error' in value) return null;
+    return String(value);
+}
+
+
+/**
+ * Reads the first (or a named) worksheet of an XLSX workbook into rows of cell values.
+ * @param {Uint8Array} bytes - the workbook
+ * @param {string} [sheetName] - the worksheet to read; defaults to the first one
+ * @returns {Promise<Array[]>}
+ */
+async function readXlsxRows(bytes, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(bytes);
+    const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    if (!worksheet) {
+        throw new Error(sheetName ? `Worksheet "${sheetName}" not found in workbook` : 'Workbook has no worksheets');
+    }
+
+    const rows = [];
+    const width = worksheet.columnCount;
+    // exceljs skips empty rows, so keep the sheet numbering by placing rows at their own index
+    worksheet.eachRow({includeEmpty: true}, (row, rowNumber) => {
+        const values = [];
+        for (let c = 1; c <= width; c++) {
+            values.push(excelCellValue(row.getCell(c).value));
+        }
+        rows[rowNumber - 1] = values;
+    });
+    for (let r = 0; r < rows.length; r++) {
+        if (!rows[r]) rows[r] = new Array(width).fill(null);
+    }
+    return rows;
+}
+
+
+/**
+ * Reads a CSV, TSV or XLSX file into its header and data rows. Row `k` of `rows` is sheet row
+ * `k + 2` (row 1 being the header), which loaders use to report problems by sheet row number.
+ *
+ * @param {Blob|File|ArrayBuffer|Uint8Array|string} source - the file; a string is taken as CSV/TSV text
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv', 'tsv' or 'xlsx'; detected from `options.fileName` or `source.name` if omitted
+ * @param {string} [options.fileName] - name of the file, used to detect the format
+ * @param {string} [options.sheet] - XLSX worksheet name; defaults to the first sheet
+ * @returns {Promise<{headers: string[], rows: Array[]}>}
+ */
+async function readTable(source, options = {}) {
+    const format = options.format
+        || detectFormat(options.fileName ?? source?.name)
+        || (typeof source === 'string' ? 'csv' : null);
+    let allRows;
+    switch (format) {
+        case 'csv':
+            allRows = parseCsv(await toText(source), ',');
+            break;
+        case 'tsv':
+            allRows = parseCsv(await toText(source), '\t');
+            break;
+        case 'xlsx':
+            allRows = await readXlsxRows(await toBytes(source), options.sheet);
+            break;
+        default:
+            throw new Error(`Unsupported file format: ${format ?? options.fileName ?? source?.name ?? 'unknown'}`);
+    }
+
+    if (allRows.length === 0) {
+        return {headers: [], rows: []};
+    }
+    const headers = allRows[0].map(h => (h === null || h === undefined) ? '' : String(h).trim());
+    return {headers, rows: allRows.slice(1)};
+}
+
+
+export {detectFormat, createCsvParser, parseCsv, toCsv, toBytes, toText, readTable};
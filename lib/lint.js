@@ -0,0 +1,270 @@
+import {getRangeValues, getCrossVariables, listMissingColumns} from './utils.js';
+import {compileCondition, compileExpression} from './expressions.js';
+import {correctionFnMap} from './corrections.js';
+import {warningFnMap} from './warnings.js';
+import {parseDate} from './dates.js';
+
+/**
+ * Pre-flight checks of the correction and warning rules against the data dictionary and the
+ * dataset. Rather than having `changesQc`/`warningsQc` log "skipping this QC step" as they go,
+ * `lintRules` reports every problem up front as a list of issues:
+ *
+ *   { severity: 'error'|'warning', ruleSet: 'corrections'|'warnings', ruleIndex, type, variable, message }
+ *
+ * Errors are rules that cannot run as written (unknown type, unparsable expression, bad values);
+ * warnings are rules that will be skipped or may not do what is intended (e.g. a variable missing
+ * from the data).
+ */
+
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+const isNumeric = (v) => typeof v === 'number' ? !Number.isNaN(v) : !isBlank(v) && !Number.isNaN(Number(v));
+
+
+/**
+ * Builds the checks of variable names shared by both rule sets.
+ * @returns {function(string, string, function(string, string): void): void}
+ */
+function variableChecker(dataDict, data) {
+    const dictVars = dataDict
+        ? new Set(dataDict
+            .filter(row => row['Variable Name'] !== undefined && row['Variable Name'] !== null)
+            .map(row => String(row['Variable Name']).toLowerCase()))
+        : null;
+    const dictMissingFromData = dataDict && data ? listMissingColumns(dataDict, data) : [];
+    const missingFromData = new Set(Array.isArray(dictMissingFromData) ? dictMissingFromData : []);
+    const dataColumns = data ? new Set(data.columns) : null;
+
+    return (variable, role, report) => {
+        if (dictVars && !dictVars.has(variable.toLowerCase())) {
+            report('warning', `${role} "${variable}" is not in the data dictionary`);
+        }
+        if (dataColumns && !dataColumns.has(variable)) {
+            const reason = missingFromData.has(variable.toLowerCase())
+                ? 'is in the data dictionary but missing from the dataset'
+                : 'is not in the dataset';
+            report('warning', `${role} "${variable}" ${reason}; the rule will be skipped`);
+        }
+    };
+}
+
+
+/**
+ * Compiles a condition, reporting a parse error as a lint error.
+ * @returns {string[]} the columns the condition refers to (empty if it did not parse)
+ */
+function checkCondition(source, variable, field, report) {
+    if (isBlank(source)) {
+        report('error', `${field} is empty`);
+        return [];
+    }
+    try {
+        return compileCondition(source, variable).variables;
+    } catch (err) {
+        report('error', `${field} "${source}" cannot be parsed: ${err.message}`);
+        return [];
+    }
+}
+
+
+/**
+ * Lints a single correction rule.
+ */
+function lintCorrectionRule(rule, checkVariable, report) {
+    const type = rule.type;
+    if (!Object.prototype.hasOwnProperty.call(correctionFnMap, type)) {
+        report('error', `unknown correction type "${type}"`);
+        return;
+    }
+    if (isBlank(rule.variable)) {
+        report('error', 'variable is empty');
+        return;
+    }
+    checkVariable(rule.variable, 'variable', report);
+
+    const crossVariables = getCrossVariables(rule);
+    crossVariables.forEach((c, n) => checkVariable(c.variable, `cross_variable_${n + 1}`, report));
+
+    if (type === 'valid.changes' || type.startsWith('crossvalid')) {
+        if (isBlank(rule.value_changed)) {
+            report('error', 'value_changed is empty');
+        } else {
+            try {
+                getRangeValues(rule.value_changed);
+            } catch (err) {
+                report('error', `value_changed cannot be read: ${err.message}`);
+            }
+        }
+        if (!isNumeric(rule.new_value)) {
+            report('error', `new_value "${rule.new_value ?? ''}" is not a number`);
+        }
+        if (type.startsWith('crossvalid') && crossVariables.length === 0) {
+            report('error', 'no cross variables given');
+        }
+        return;
+    }
+
+    // range.changes and cross_range*.changes evaluate R expressions
+    const referenced = [...checkCondition(rule.value_changed, type === 'range.changes' ? undefined : rule.variable, 'value_changed', report)];
+    if (type.startsWith('cross_range')) {
+        if (crossVariables.length === 0) {
+            report('error', 'no cross variables given');
+        }
+        crossVariables.forEach((c, n) => {
+            referenced.push(...checkCondition(c.value, c.variable, `cross_variable_${n + 1}_value`, report));
+        });
+    }
+    if (isBlank(rule.new_value)) {
+        report('error', 'new_value is empty');
+    } else {
+        try {
+            referenced.push(...compileExpression(rule.new_value).variables);
+        } catch (err) {
+            report('error', `new_value "${rule.new_value}" cannot be parsed: ${err.message}`);
+        }
+    }
+    [...new Set(referenced)]
+        .filter(v => v !== rule.variable && !crossVariables.some(c => c.variable === v))
+        .forEach(v => checkVariable(v, 'expression variable', report));
+}
+
+
+/**
+ * Lints a single warning rule.
+ */
+function lintWarningRule(rule, checkVariable, report, codeLists) {
+    const type = rule['QC Type'];
+    if (!Object.prototype.hasOwnProperty.call(warningFnMap, type)) {
+        report('error', `unknown QC Type "${type}"`);
+        return;
+    }
+    if (isBlank(rule.Variable)) {
+        report('error', 'Variable is empty');
+        return;
+    }
+    checkVariable(rule.Variable, 'Variable', report);
+
+    const crossVariables = getCrossVariables(rule, n => `Cross Variable ${n}`, n => `Cross Variable ${n} Value`);
+    crossVariables.forEach((c, n) => checkVariable(c.variable, `Cross Variable ${n + 1}`, report));
+
+    if (type === 'range.warnings') {
+        const lower = rule['Valid Value Lower'];
+        const higher = rule['Valid Value Higher'];
+        if (!isNumeric(lower)) report('error', `Valid Value Lower "${lower ?? ''}" is not a number`);
+        if (!isNumeric(higher)) report('error', `Valid Value Higher "${higher ?? ''}" is not a number`);
+        if (isNumeric(lower) && isNumeric(higher) && Number(lower) > Number(higher)) {
+            report('error', `Valid Value Lower (${lower}) is greater than Valid Value Higher (${higher})`);
+        }
+    }
+
+    if (type === 'daterange.warnings') {
+        const [lower, higher] = ['Valid Value Lower', 'Valid Value Higher'].map(field => {
+            if (isBlank(rule[field])) return null;
+            const date = parseDate(rule[field]);
+            if (date === null) report('error', `${field} "${rule[field]}" is not a date`);
+            return date;
+        });
+        if (isBlank(rule['Valid Value Lower']) && isBlank(rule['Valid Value Higher'])) {
+            report('error', 'neither Valid Value Lower nor Valid Value Higher is given');
+        }
+        if (lower && higher && lower > higher) {
+            report('error', `Valid Value Lower (${lower}) is after Valid Value Higher (${higher})`);
+        }
+    }
+
+    if (type === 'code.warnings') {
+        if (isBlank(rule['Code List']) && isBlank(rule['Valid Values'])) {
+            report('error', 'neither Code List nor Valid Values is given');
+        } else if (!isBlank(rule['Code List']) && codeLists && !codeLists[String(rule['Code List']).trim()]) {
+            report('error', `code list "${rule['Code List']}" is not loaded`);
+        }
+    }
+
+    if (type === 'unique.warnings') {
+        const keyVariables = [rule.Variable, ...crossVariables.map(c => c.variable)].map(String);
+        keyVariables.forEach((v, n) => {
+            if (keyVariables.indexOf(v) < n) report('warning', `${v} is in the key more than once`);
+        });
+    }
+
+    if (type === 'valid.warnings' || type.startsWith('crossvalid')) {
+        if (isBlank(rule['Valid Values'])) {
+            report('error', 'Valid Values is empty');
+        }
+    }
+
+    if (type.startsWith('crossvalid') || type.startsWith('crossrange') || type === 'value_check.warnings' || type === 'dateorder.warnings') {
+        if (crossVariables.length === 0) {
+            report('error', 'no cross variables given');
+        }
+    }
+
+    if (type.startsWith('crossrange')) {
+        const referenced = checkCondition(rule.Formula_Condition, undefined, 'Formula_Condition', report);
+        crossVariables.forEach((c, n) => {
+            referenced.push(...checkCondition(c.value, c.variable, `Cross Variable ${n + 1} Value`, report));
+        });
+        const formulaVariables = isBlank(rule.Formula_Variable) ? [] : getRangeValues(String(rule.Formula_Variable)).map(String);
+        formulaVariables.forEach(v => checkVariable(v, 'Formula_Variable', report));
+        [...new Set(referenced)]
+            .filter(v => v !== rule.Variable && !formulaVariables.includes(v) && !crossVariables.some(c => c.variable === v))
+            .forEach(v => checkVariable(v, 'expression variable', report));
+    }
+}
+
+
+/**
+ * Checks correction and warning rules before running `changesQc`/`warningsQc`, reporting every
+ * problem found. Any of the inputs may be omitted; the checks that need it are then skipped.
+ *
+ * @param {Object} inputs
+ * @param {Object[]} [inputs.dataDict] - data dictionary rows, with a `Variable Name` field
+ * @param {Object} [inputs.data] - the dataset in split orientation
+ * @param {Object[]} [inputs.correctionRules] - rules for `changesQc`
+ * @param {Object[]} [inputs.warningRules] - rules for `warningsQc`
+ * @param {Object} [inputs.codeLists] - the code lists `warningsQc` will be given, by name
+ * @returns {Object[]} issues, each with severity, ruleSet, ruleIndex, type, variable and message
+ */
+function lintRules({dataDict, data, correctionRules = [], warningRules = [], codeLists}) {
+    const issues = [];
+    const checkVariable = variableChecker(dataDict, data);
+
+    correctionRules.forEach((rule, ruleIndex) => {
+        lintCorrectionRule(rule, checkVariable, (severity, message) => issues.push({
+            severity, ruleSet: 'corrections', ruleIndex, type: rule.type, variable: rule.variable, message
+        }));
+    });
+    warningRules.forEach((rule, ruleIndex) => {
+        lintWarningRule(rule, checkVariable, (severity, message) => issues.push({
+            severity, ruleSet: 'warnings', ruleIndex, type: rule['QC Type'], variable: rule.Variable, message
+        }), codeLists);
+    });
+
+    return issues;
+}
+
+
+/**
+ * True when any lint issue is an error, i.e. a rule that cannot run as written.
+ * @param {Object[]} issues - issues returned by `lintRules`
+ * @returns {boolean}
+ */
+function hasLintErrors(issues) {
+    return issues.some(issue => issue.severity === 'error');
+}
+
+
+/**
+ * Formats lint issues as one line each, e.g. "ERROR corrections #3 (range.changes, bmi): ...".
+ * @param {Object[]} issues - issues returned by `lintRules`
+ * @returns {string}
+ */
+function formatLintIssues(issues) {
+    return issues
+        .map(i => `${i.severity.toUpperCase()} ${i.ruleSet} #${i.ruleIndex} (${i.type}, ${i.variable}): ${i.message}`)
+        .join('\n');
+}
+
+
+export {lintRules, hasLintErrors, formatLintIssues};
@@ -0,0 +1,113 @@
+import {copyDataset, changeCaseMatch, listMissingColumns} from './utils.js';
+import {changesQc} from './corrections.js';
+import {warningsQc} from './warnings.js';
+import {REPORT_CATEGORIES, summaryReport} from './reporting.js';
+import {generateWarningRules, mergeWarningRules} from './dictionaryRules.js';
+
+/**
+ * The whole QC workflow of the R script in one call: `change_case_match`, the missing-column
+ * check, `changes_qc`, `warnings_qc` and the summary report, in that order.
+ */
+
+
+/** The steps of `runQc`, in the order they run. */
+const QC_STEPS = ['caseMatch', 'missingColumns', 'changes', 'warnings', 'report'];
+
+
+/**
+ * The warning rules a run applies: `warningRules`, plus the rules generated from the dictionary
+ * when `dictionaryWarnings` asks for them, with hand-written rules winning (see `lib/dictionaryRules.js`).
+ * @param {Object[]} warningRules - rules for `warningsQc`
+ * @param {Object[]} dataDict - data dictionary rows
+ * @param {boolean|Object} [dictionaryWarnings] - as `options.dictionaryWarnings` of `runQc`
+ * @returns {Object[]} the warning rules
+ */
+function withDictionaryWarnings(warningRules, dataDict, dictionaryWarnings) {
+    if (!dictionaryWarnings) return warningRules;
+    const generatorOptions = typeof dictionaryWarnings === 'object' ? dictionaryWarnings : {};
+    return mergeWarningRules(warningRules, generateWarningRules(dataDict, generatorOptions));
+}
+
+
+/**
+ * Runs the QC pipeline on a dataset and returns every intermediate result. The input dataset
+ * is left untouched.
+ *
+ * Progress is reported through `onProgress`, called with
+ *   {step, stepIndex, stepCount, status: 'start'|'rule'|'done', ruleIndex, ruleCount, progress}
+ * once when a step starts, after every rule of the `changes` and `warnings` steps, and once when
+ * a step is done. `progress` is the fraction of the whole pipeline done, from 0 to 1.
+ *
+ * @param {Object} inputs
+ * @param {Object} inputs.data - the dataset in split orientation
+ * @param {Object[]} inputs.dataDict - data dictionary rows, with `Variable Name` and `Category`
+ * @param {Object[]} [inputs.correctionRules] - rules for `changesQc`
+ * @param {Object[]} [inputs.warningRules] - rules for `warningsQc`
+ * @param {string} [inputs.studyName] - name of the study, used in the report
+ * @param {Object} [options]
+ * @param {'core'|'incident'} [options.report='core'] - which summary report to build
+ * @param {Object} [options.categories] - sheet name -> dictionary `Category`, overriding `options.report`
+ * @param {Object|string} [options.specialCodes] - special codes of the dataset, see `lib/specialCodes.js`
+ * @param {Object} [options.codeLists] - code lists of code.warnings rules by name, see `lib/codeLists.js`
+ * @param {boolean|Object} [options.dictionaryWarnings] - also apply the warning rules generated from
+ *  the dictionary; an object is passed to `generateWarningRules` as its options
+ * @param {function(Object): void} [options.onProgress] - progress listener, see above
+ * @returns {{data: Object, missingColumns: string[]|string, changes: Object, qcData: Object,
+ *  report: Object, log: Object[], warningRules: Object[]}} the case-matched data, the dictionary
+ *  variables missing from it, the output of `changesQc` and of `warningsQc`, the summary report,
+ *  the audit log and the warning rules applied
+ */
+function runQc({data, dataDict, correctionRules = [], warningRules = [], studyName}, options = {}) {
+    warningRules = withDictionaryWarnings(warningRules, dataDict, options.dictionaryWarnings);
+    const categories = options.categories ?? REPORT_CATEGORIES[options.report ?? 'core'];
+    if (!categories) {
+        throw new Error(`Unknown report: ${options.report}. Expected one of ${Object.keys(REPORT_CATEGORIES).join(', ')}`);
+    }
+
+    const stepCount = QC_STEPS.length;
+    const emit = (step, status, rule = {}) => {
+        if (!options.onProgress) return;
+        const stepIndex = QC_STEPS.indexOf(step);
+        const done = status === 'done' ? 1 : status === 'rule' ? (rule.ruleIndex + 1) / rule.ruleCount : 0;
+        options.onProgress({
+            step,
+            stepIndex,
+            stepCount,
+            status,
+            ruleIndex: rule.ruleIndex ?? null,
+            ruleCount: rule.ruleCount ?? null,
+            progress: (stepIndex + done) / stepCount
+        });
+    };
+    const qcOptions = (step) => ({
+        specialCodes: options.specialCodes,
+        dataDict,
+        codeLists: options.codeLists,
+        onProgress: ({ruleIndex, ruleCount}) => emit(step, 'rule', {ruleIndex, ruleCount})
+    });
+
+    emit('caseMatch', 'start');
+    const matched = changeCaseMatch(dataDict, copyDataset(data));
+    emit('caseMatch', 'done');
+
+    emit('missingColumns', 'start');
+    const missingColumns = listMissingColumns(dataDict, matched);
+    emit('missingColumns', 'done');
+
+    emit('changes', 'start');
+    const changes = changesQc(correctionRules, matched, qcOptions('changes'));
+    emit('changes', 'done');
+
+    emit('warnings', 'start');
+    const qcData = warningsQc(warningRules, changes, qcOptions('warnings'));
+    emit('warnings', 'done');
+
+    emit('report', 'start');
+    const report = summaryReport(dataDict, qcData, studyName, categories, {specialCodes: options.specialCodes, data: changes});
+    emit('report', 'done');
+
+    return {data: matched, missingColumns, changes, qcData, report, log: qcData.log, warningRules};
+}
+
+
+export {QC_STEPS, withDictionaryWarnings, runQc};
@@ -1,3 +1,59 @@
-import {getRangeValues, arrangeChangeComments, arrangeWarningComments, arrangeAllComments} from './utils.js';
+import {getRangeValues, getCrossVariables, copyDataset, arrangeChangeComments, arrangeWarningComments, arrangeAllComments, STUDY_COMMENT_PREFIX, addStudyCommentColumns, isUnique, changeCaseMatch, listMissingColumns} from './utils.js';
+import {ExpressionError, parseExpression, expressionVariables, expressionFunctions, evaluateExpression, createDataEnvironment, forEachRow, compileExpression, isValueList, compileCondition, expressionColumns} from './expressions.js';
+import {DEFAULT_SPECIAL_CODES, SPECIAL_CODES_FIELD, RULE_SPECIAL_CODES_FIELD, parseSpecialCodes, createSpecialCodeResolver, getSpecialCodes, isSpecialCode, specialCodeTester} from './specialCodes.js';
+import {AUDIT_LOG_FIELDS, recordEvent, logFromComments, getAuditLog, auditLogToCsv, auditLogToJson} from './auditLog.js';
+import {validChanges, crossValidChanges, rangeChanges, crossRangeChanges, crossRange1Changes, correctionFnMap, changesQc} from './corrections.js';
+import {rangeWarnings, validWarnings, crossvalidWarnings, crossrangeWarnings, valueCheckWarnings, dateWarnings, dateRangeWarnings, dateOrderWarnings, codeWarnings, uniqueWarnings, duplicateComment, duplicateRuleComment, warningFnMap, WARNINGS_OUTPUT_MODES, warningsQc} from './warnings.js';
+import {revertChanges, replayChanges} from './revert.js';
+import {REPORT_CATEGORIES, changesSummary, warningsSummary, categoryBreakdown, specialCodesSummary, duplicatesSummary, createReportBuilder, summaryReport, coreSummaryReport, incidentSummaryReport} from './reporting.js';
+import {detectFormat, createCsvParser, parseCsv, toCsv, toBytes, toText, readTable} from './files.js';
+import {normalizeCode, createCodeList, loadCodeList} from './codeLists.js';
+import {MAX_EXCEL_SERIAL, isDateText, parseDate} from './dates.js';
+import {DEFAULT_NA_STRINGS, DEFAULT_STRING_COLUMNS, inferColumnType, createRowReader, buildDataset, importDataset, importDataDictionary} from './dataset.js';
+import {RULE_SCHEMAS, parseRuleRows, loadRuleSheet} from './rules.js';
+import {lintRules, hasLintErrors, formatLintIssues} from './lint.js';
+import {XLSX_MIME_TYPE, buildQcWorkbook, coreReportWorkbook, incidentReportWorkbook, reportFileName, workbookToBlob, writeWorkbookFile} from './workbook.js';
+import {RESPONSE_PATTERNS, classifyResponse, collectStudyResponses, importStudyResponses} from './feedback.js';
+import {flaggedVariable, indexFlags, flaggingRules, filterResultRows, resultColumns} from './results.js';
+import {DEFAULT_COMMENT_TEMPLATES, generateWarningRules, mergeWarningRules} from './dictionaryRules.js';
+import {QC_STEPS, withDictionaryWarnings, runQc} from './pipeline.js';
+import {DEFAULT_CHUNK_SIZE, ruleDatasetColumns, streamQc} from './streaming.js';
 
-export {getRangeValues, arrangeChangeComments, arrangeWarningComments, arrangeAllComments};
\ No newline at end of file
+export {
+    // utils
+    getRangeValues, getCrossVariables, copyDataset, arrangeChangeComments, arrangeWarningComments, arrangeAllComments,
+    STUDY_COMMENT_PREFIX, addStudyCommentColumns, isUnique, changeCaseMatch, listMissingColumns,
+    // expressions
+    ExpressionError, parseExpression, expressionVariables, expressionFunctions, evaluateExpression,
+    createDataEnvironment, forEachRow, compileExpression, isValueList, compileCondition, expressionColumns,
+    // special codes
+    DEFAULT_SPECIAL_CODES, SPECIAL_CODES_FIELD, RULE_SPECIAL_CODES_FIELD, parseSpecialCodes, createSpecialCodeResolver,
+    getSpecialCodes, isSpecialCode, specialCodeTester,
+    // audit log
+    AUDIT_LOG_FIELDS, recordEvent, logFromComments, getAuditLog, auditLogToCsv, auditLogToJson,
+    // corrections and warnings
+    validChanges, crossValidChanges, rangeChanges, crossRangeChanges, crossRange1Changes, correctionFnMap, changesQc,
+    rangeWarnings, validWarnings, crossvalidWarnings, crossrangeWarnings, valueCheckWarnings, dateWarnings, dateRangeWarnings,
+    dateOrderWarnings, codeWarnings, uniqueWarnings, duplicateComment, duplicateRuleComment, warningFnMap,
+    WARNINGS_OUTPUT_MODES, warningsQc,
+    revertChanges, replayChanges,
+    // reporting
+    REPORT_CATEGORIES, changesSummary, warningsSummary, categoryBreakdown, specialCodesSummary, duplicatesSummary, createReportBuilder, summaryReport,
+    coreSummaryReport, incidentSummaryReport,
+    // files, datasets and rule sheets
+    detectFormat, createCsvParser, parseCsv, toCsv, toBytes, toText, readTable,
+    MAX_EXCEL_SERIAL, isDateText, parseDate, normalizeCode, createCodeList, loadCodeList,
+    DEFAULT_NA_STRINGS, DEFAULT_STRING_COLUMNS, inferColumnType, createRowReader, buildDataset, importDataset, importDataDictionary,
+    RULE_SCHEMAS, parseRuleRows, loadRuleSheet,
+    DEFAULT_COMMENT_TEMPLATES, generateWarningRules, mergeWarningRules,
+    lintRules, hasLintErrors, formatLintIssues,
+    // report workbooks and study feedback
+    XLSX_MIME_TYPE, buildQcWorkbook, coreReportWorkbook, incidentReportWorkbook, reportFileName, workbookToBlob, writeWorkbookFile,
+    RESPONSE_PATTERNS, classifyResponse, collectStudyResponses, importStudyResponses,
+    // results grid
+    flaggedVariable, indexFlags, flaggingRules, filterResultRows, resultColumns,
+    // pipeline
+    QC_STEPS, withDictionaryWarnings, runQc,
+    // streaming
+    DEFAULT_CHUNK_SIZE, ruleDatasetColumns, streamQc
+};
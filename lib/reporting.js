@@ -1,43 +1,54 @@
+import {listMissingColumns} from './utils.js';
+import {createSpecialCodeResolver, isSpecialCode} from './specialCodes.js';
+import {getAuditLog} from './auditLog.js';
+import {duplicateRuleComment} from './warnings.js';
+
+/**
+ * The comment of an audit log entry as it is counted in the summaries: the rule comment, without
+ * the rows a unique.warnings comment cites, so that every duplicate counts under the same comment.
+ */
+function summaryComment(entry) {
+    return String(Array.isArray(entry.duplicateOf) ? duplicateRuleComment(entry) : entry.comment).trim();
+}
+
+
 /**
- * Summarize the `.data.change` columns in a split-orientation dataset.
+ * Counts how many times each distinct comment appears among the audit log entries of one kind,
+ * adding to the counts of `freqMap` when given.
+ * @returns {Map<string, number>} comment -> count
+ */
+function commentCounts(log, kind, freqMap = new Map()) {
+    for (const entry of log) {
+        if (entry.kind !== kind || entry.comment === null || entry.comment === undefined) continue;
+        const comment = summaryComment(entry);
+        freqMap.set(comment, (freqMap.get(comment) ?? 0) + 1);
+    }
+    return freqMap;
+}
+
+
+/**
+ * Summarize the changes made to a split-orientation dataset.
  * We approximate the R code that uses tableby() by simply counting
  * how many times each distinct comment appears.  This function returns
  * an object describing the frequencies of each comment across
- * all `.data.change` columns.
+ * all changes, counted from the audit log of the data (see `lib/auditLog.js`),
+ * or from its `.data.change` columns when it has no log.
  *
  * @param {Object} data - A dataset in split orientation
  * @returns {Object} summary structure (map of comment -> count)
  */
 function changesSummary(data) {
-    // Find columns that end with `.data.change` but exclude any that start with "Comments"
-    const changeColumns = data.columns.filter(
-        c => c.endsWith('.data.change') && !c.startsWith('Comments')
-    );
-    if (changeColumns.length === 0) {
+    return changesSummaryOf(commentCounts(getAuditLog(data), 'change'));
+}
+
+/** The output of `changesSummary` for counts of the change comments. */
+function changesSummaryOf(freqMap) {
+    if (freqMap.size === 0) {
         console.log('There were no updates made to rows!');
         return {Changes: 'There were no updates made to rows!'};
     }
 
-    // Build up a frequency map
-    const freqMap = new Map();
-    for (const col of changeColumns) {
-        const colIndex = data.columns.indexOf(col);
-        if (colIndex < 0) continue; // should not happen
-        for (const rowArr of data.data) {
-            let commentVal = rowArr[colIndex];
-            if (commentVal === null || commentVal === undefined) {
-                continue;
-            }
-            // Possibly there are multiple pipe-separated comments
-            const parts = String(commentVal).split(' | ');
-            parts.forEach((p) => {
-                const trimmed = p.trim();
-                if (!freqMap.has(trimmed)) freqMap.set(trimmed, 0);
-                freqMap.set(trimmed, freqMap.get(trimmed) + 1);
-            });
-        }
-    }
-
     // We remove "No changes made" if that appears
     // or omit it from final. Then we return a plain object
     const summaryObj = {};
@@ -54,36 +65,20 @@ function changesSummary(data) {
 
 
 /**
- * Summarize the `.data.warning` columns in a split-orientation dataset.
+ * Summarize the warnings of a split-orientation dataset.
  * Similar approach to changesSummary(), but for warnings.
  *
  * @param {Object} data - A dataset in split orientation
  * @returns {Object} summary structure (map of warning -> count)
  */
 function warningsSummary(data) {
-    const warningColumns = data.columns.filter(
-        c => c.endsWith('.data.warning') && !c.startsWith('Comments')
-    );
-    if (warningColumns.length === 0) {
-        return {Warnings: 'There were no warnings added!'};
-    }
+    return warningsSummaryOf(commentCounts(getAuditLog(data), 'warning'));
+}
 
-    const freqMap = new Map();
-    for (const col of warningColumns) {
-        const colIndex = data.columns.indexOf(col);
-        if (colIndex < 0) continue;
-        for (const rowArr of data.data) {
-            let warnVal = rowArr[colIndex];
-            if (warnVal === null || warnVal === undefined) {
-                continue;
-            }
-            const parts = String(warnVal).split(' | ');
-            parts.forEach((p) => {
-                const trimmed = p.trim();
-                if (!freqMap.has(trimmed)) freqMap.set(trimmed, 0);
-                freqMap.set(trimmed, freqMap.get(trimmed) + 1);
-            });
-        }
+/** The output of `warningsSummary` for counts of the warning comments. */
+function warningsSummaryOf(freqMap) {
+    if (freqMap.size === 0) {
+        return {Warnings: 'There were no warnings added!'};
     }
 
     // Filter out "No warnings detected"
@@ -101,30 +96,299 @@ function warningsSummary(data) {
 
 
 /**
- * Summarize QC results for "Core" data. In the original R, this wrote an Excel
- * with multiple sheets. For now, we return an object containing:
+ * Dictionary categories reported on by each kind of report, as summary sheet name -> dictionary
+ * `Category`. These follow the sheets of the R `core_summary_report()` and
+ * `incident_summary_report()`.
+ */
+const REPORT_CATEGORIES = {
+    core: {
+        'ID': 'Identification/Dates',
+        'Demographics': 'Demographics',
+        'Anthropometry': 'Anthropometry',
+        'Alcohol and Tobacco': 'Alcohol and Tobacco',
+        'Personal and Family History': 'Personal and family Health History',
+        'Reproductive History': 'Reproductive History',
+        'Hormone Replacement Therapy': 'Hormone Replacement Therapy',
+        'Physical Activity': 'Physical Activity',
+        'Screening History': 'Screening History'
+    },
+    incident: {
+        'Diagnostic': 'Diagnostic',
+        'Pathology': 'Pathology'
+    }
+};
+
+/** Name of the breakdown entry collecting variables whose category is not reported on. */
+const OTHER_CATEGORY = 'Other';
+
+
+/**
+ * Breaks the changes and warnings of the audit log down by dictionary category. Each comment
+ * is attributed to the variable of its comment column (the column name without the suffix), and the
+ * variable to the `Category` the dictionary gives it. Variables that are not in the dictionary,
+ * or whose category is not one of `categories`, are counted under "Other".
+ *
+ * @param {Object[]} dataDict - dictionary rows with `Variable Name` and `Category`
+ * @param {Object} qcData - dataset in split orientation
+ * @param {Object} categories - sheet name -> dictionary `Category`, e.g. `REPORT_CATEGORIES.core`
+ * @returns {Object[]} one entry per category: {sheet, category, changes, warnings, variables},
+ *  where `changes`/`warnings` map comment -> count and `variables` maps variable ->
+ *  {changes, warnings} counts. "Other" is only included when it has any comments.
+ */
+function categoryBreakdown(dataDict, qcData, categories) {
+    const counter = createCategoryCounter(dataDict, categories);
+    counter.add(getAuditLog(qcData));
+    return counter.breakdown();
+}
+
+/**
+ * Counts audit log entries by category as `categoryBreakdown` does, adding up the entries of
+ * successive calls to `add`.
+ * @returns {{add: function(Object[]): void, breakdown: function(): Object[]}}
+ */
+function createCategoryCounter(dataDict, categories) {
+    const sheetByCategory = new Map(Object.entries(categories).map(([sheet, category]) => [category, sheet]));
+    const sheetByVariable = new Map();
+    for (const row of dataDict) {
+        if (row['Variable Name'] === undefined || row['Variable Name'] === null) continue;
+        const sheet = sheetByCategory.get(row.Category);
+        if (sheet !== undefined) {
+            sheetByVariable.set(String(row['Variable Name']).toLowerCase(), sheet);
+        }
+    }
+
+    const entries = new Map();
+    for (const [sheet, category] of Object.entries(categories)) {
+        entries.set(sheet, {sheet, category, changes: {}, warnings: {}, variables: {}});
+    }
+    entries.set(OTHER_CATEGORY, {sheet: OTHER_CATEGORY, category: null, changes: {}, warnings: {}, variables: {}});
+
+    return {
+        add(log) {
+            for (const entry of log) {
+                const kind = entry.kind === 'change' ? 'changes' : entry.kind === 'warning' ? 'warnings' : null;
+                if (!kind) continue;
+
+                // attribute the comment to the variable of the column it was written to
+                const suffix = kind === 'changes' ? '.data.change' : '.data.warning';
+                const variable = entry.column?.endsWith(suffix) ? entry.column.slice(0, -suffix.length) : entry.variable;
+                const category = entries.get(sheetByVariable.get(String(variable).toLowerCase()) ?? OTHER_CATEGORY);
+                if (!category.variables[variable]) {
+                    category.variables[variable] = {changes: 0, warnings: 0};
+                }
+                const comment = summaryComment(entry);
+                category[kind][comment] = (category[kind][comment] || 0) + 1;
+                category.variables[variable][kind]++;
+            }
+        },
+
+        breakdown() {
+            const other = entries.get(OTHER_CATEGORY);
+            const hasOther = Object.keys(other.changes).length > 0 || Object.keys(other.warnings).length > 0;
+            return [...entries.values()].filter(entry => hasOther || entry !== other);
+        }
+    };
+}
+
+
+/**
+ * Count how often each special code (e.g. 777 "unknown") occurs in every dictionary variable of
+ * the dataset. These values are never range-checked, so the report lists them separately.
+ *
+ * @param {Object[]} dataDict - array of dictionary row objects, read for a `Special Codes` column
+ * @param {Object} data - dataset in split orientation
+ * @param {Object} [options]
+ * @param {Object|string} [options.specialCodes] - special codes of the dataset, see `lib/specialCodes.js`
+ * @returns {Object} variable -> code -> {meaning, count}, listing only codes that occur
+ */
+function specialCodesSummary(dataDict, data, options = {}) {
+    const counter = createSpecialCodeCounter(dataDict, options);
+    counter.add(data);
+    return counter.summary();
+}
+
+/**
+ * Counts special codes as `specialCodesSummary` does, adding up the rows of successive calls to
+ * `add`.
+ * @returns {{add: function(Object): void, summary: function(): Object}}
+ */
+function createSpecialCodeCounter(dataDict, options = {}) {
+    const resolve = createSpecialCodeResolver({specialCodes: options.specialCodes, dataDict});
+    const variables = dataDict
+        .filter(row => row['Variable Name'] !== undefined && row['Variable Name'] !== null)
+        .map(row => ({variable: String(row['Variable Name']), codes: null, column: null, counts: {}}));
+
+    return {
+        add(data) {
+            const dataColsLower = new Map();
+            data.columns.forEach((c, idx) => {
+                if (!dataColsLower.has(c.toLowerCase())) dataColsLower.set(c.toLowerCase(), idx);
+            });
+            for (const entry of variables) {
+                const idx = dataColsLower.get(entry.variable.toLowerCase());
+                if (idx === undefined) continue;
+
+                entry.column = data.columns[idx];
+                entry.codes = entry.codes ?? resolve(entry.variable);
+                const {codes, counts} = entry;
+                for (const dataRow of data.data) {
+                    const value = dataRow[idx];
+                    if (!isSpecialCode(codes, value)) continue;
+                    const code = codes.has(value) ? value : Number(value);
+                    counts[code] = counts[code] ?? {meaning: codes.get(code) ?? null, count: 0};
+                    counts[code].count++;
+                }
+            }
+        },
+
+        summary() {
+            const summary = {};
+            for (const {column, counts} of variables) {
+                if (column !== null && Object.keys(counts).length > 0) summary[column] = counts;
+            }
+            return summary;
+        }
+    };
+}
+
+
+/**
+ * List the duplicate records found by unique.warnings rules. Every row of a duplicate key has a
+ * warning whose audit log entry lists the other rows of the key in its `duplicateOf`, from which
+ * the records are gathered into groups.
+ *
+ * @param {Object} qcData - dataset in split orientation, with its audit log
+ * @returns {Object[]} one entry per duplicate key of each rule: {variable, comment, records}, where
+ *  `records` lists the {index, subjectId} of the rows sharing the key, in row order
+ */
+function duplicatesSummary(qcData) {
+    const counter = createDuplicateCounter();
+    counter.add(getAuditLog(qcData));
+    return counter.summary();
+}
+
+/**
+ * Gathers duplicate records as `duplicatesSummary` does, adding up the audit log entries of
+ * successive calls to `add`, so that a group may span chunks of a streamed file.
+ * @returns {{add: function(Object[]): void, summary: function(): Object[]}}
+ */
+function createDuplicateCounter() {
+    const groups = new Map();
+    const compareRows = (a, b) => {
+        const [x, y] = [Number(a), Number(b)];
+        return Number.isNaN(x) || Number.isNaN(y) ? String(a).localeCompare(String(b)) : x - y;
+    };
+
+    return {
+        add(log) {
+            for (const entry of log) {
+                if (entry.kind !== 'warning' || !Array.isArray(entry.duplicateOf)) continue;
+                const comment = duplicateRuleComment(entry);
+                // the rows of a key are the same set from each of them, so they identify the group
+                const rows = [entry.index, ...entry.duplicateOf].map(String).sort(compareRows);
+                const id = JSON.stringify([entry.ruleIndex, entry.variable, comment, rows]);
+                if (!groups.has(id)) {
+                    groups.set(id, {variable: entry.variable, comment, rows, records: new Map()});
+                }
+                groups.get(id).records.set(String(entry.index), {index: entry.index, subjectId: entry.subjectId});
+            }
+        },
+
+        summary() {
+            return [...groups.values()]
+                .sort((a, b) => compareRows(a.rows[0], b.rows[0]))
+                .map(({variable, comment, rows, records}) => ({
+                    variable,
+                    comment,
+                    records: rows.map(row => records.get(row) ?? {index: row, subjectId: null})
+                }));
+        }
+    };
+}
+
+
+/**
+ * Builds the summary report of `summaryReport` incrementally, from QC'd data added part by part,
+ * e.g. the chunks of a file too large to hold in memory (see `lib/streaming.js`).
+ *
+ * @param {Object[]} dataDict - array of dictionary row objects
+ * @param {Object} categories - sheet name -> dictionary `Category` to break down by
+ * @param {Object} [options] - `specialCodes` of the dataset, as for `warningsQc`
+ * @returns {{add: function(Object, Object=): void, report: function(string, string[]|string): Object}}
+ *  `add` takes QC'd data with its audit log and, when that holds only the flagged rows, the
+ *  corrected data of every row to count special codes in; `report` takes the study name and
+ *  missing columns
+ */
+function createReportBuilder(dataDict, categories, options = {}) {
+    const changes = new Map();
+    const warnings = new Map();
+    const categoryCounter = createCategoryCounter(dataDict, categories);
+    const specialCodeCounter = createSpecialCodeCounter(dataDict, options);
+    const duplicateCounter = createDuplicateCounter();
+
+    return {
+        add(qcData, data = qcData) {
+            const log = getAuditLog(qcData);
+            commentCounts(log, 'change', changes);
+            commentCounts(log, 'warning', warnings);
+            categoryCounter.add(log);
+            specialCodeCounter.add(data);
+            duplicateCounter.add(log);
+        },
+
+        report(studyName, missingColumns) {
+            return {
+                studyName,
+                missingColumns,
+                changes: changesSummaryOf(changes),
+                warnings: warningsSummaryOf(warnings),
+                categories: categoryCounter.breakdown(),
+                specialCodes: specialCodeCounter.summary(),
+                duplicates: duplicateCounter.summary()
+            };
+        }
+    };
+}
+
+
+/**
+ * Summarize QC results against a data dictionary. In the original R, this wrote an Excel
+ * with multiple sheets (see `lib/workbook.js`). We return an object containing:
  *  1) Missing Columns
  *  2) Changes Summary
  *  3) Warnings Summary
- *  4) (or any other categories you wish to parse)
+ *  4) Breakdown of changes and warnings per dictionary category and variable
+ *  5) Counts of the special codes of every variable
+ *  6) The duplicate records found by unique.warnings rules
  *
- * @param {Object[]} coreDict - array of dictionary row objects
+ * @param {Object[]} dataDict - array of dictionary row objects
  * @param {Object} qcData - dataset in split orientation
  * @param {string} studyName - name of the study
+ * @param {Object} categories - sheet name -> dictionary `Category` to break down by
+ * @param {Object} [options] - `specialCodes` of the dataset, as for `warningsQc`, and
+ * @param {Object} [options.data] - the corrected data of every row, whose special codes are
+ *  counted; by default `qcData`, which `warningsQc` leaves with only the flagged rows
  * @returns {Object} an object summarizing the results
  */
-function coreSummaryReport(coreDict, qcData, studyName) {
-    const missingCols = listMissingColumns(coreDict, qcData);
-    const changesSumm = changesSummary(qcData);
-    const warningSumm = warningsSummary(qcData);
+function summaryReport(dataDict, qcData, studyName, categories, options = {}) {
+    const missingCols = listMissingColumns(dataDict, qcData);
+    const builder = createReportBuilder(dataDict, categories, options);
+    builder.add(qcData, options.data);
+    return builder.report(studyName, missingCols);
+}
 
-    return {
-        studyName,
-        missingColumns: missingCols,
-        changes: changesSumm,
-        warnings: warningSumm
-        // You can add further breakdown by "Category" if needed
-    };
+
+/**
+ * Summarize QC results for "Core" data, broken down by the Core report categories.
+ *
+ * @param {Object[]} coreDict - array of dictionary row objects
+ * @param {Object} qcData - dataset in split orientation
+ * @param {string} studyName - name of the study
+ * @param {Object} [options] - `specialCodes` of the dataset, as for `warningsQc`
+ * @returns {Object} an object summarizing the results
+ */
+function coreSummaryReport(coreDict, qcData, studyName, options = {}) {
+    return summaryReport(coreDict, qcData, studyName, REPORT_CATEGORIES.core, options);
 }
 
 
@@ -134,20 +398,23 @@ function coreSummaryReport(coreDict, qcData, studyName) {
  * @param {Object[]} incidentDict - array of dictionary row objects
  * @param {Object} qcData - dataset in split orientation
  * @param {string} studyName
+ * @param {Object} [options] - `specialCodes` of the dataset, as for `warningsQc`
  * @returns {Object} an object summarizing the results
  */
-function incidentSummaryReport(incidentDict, qcData, studyName) {
-    const missingCols = listMissingColumns(incidentDict, qcData);
-    const changesSumm = changesSummary(qcData);
-    const warningSumm = warningsSummary(qcData);
-
-    return {
-        studyName,
-        missingColumns: missingCols,
-        changes: changesSumm,
-        warnings: warningSumm
-    };
+function incidentSummaryReport(incidentDict, qcData, studyName, options = {}) {
+    return summaryReport(incidentDict, qcData, studyName, REPORT_CATEGORIES.incident, options);
 }
 
 
-export {changesSummary, warningsSummary, coreSummaryReport, incidentSummaryReport};
\ No newline at end of file
+export {
+    REPORT_CATEGORIES,
+    changesSummary,
+    warningsSummary,
+    categoryBreakdown,
+    specialCodesSummary,
+    duplicatesSummary,
+    createReportBuilder,
+    summaryReport,
+    coreSummaryReport,
+    incidentSummaryReport
+};
@@ -0,0 +1,128 @@
+import {STUDY_COMMENT_PREFIX} from './utils.js';
+import {getAuditLog} from './auditLog.js';
+
+/**
+ * The data behind the results grid of the GUI: which cells of QC'd data were changed or warned
+ * about, and which rows match the grid's filters. Everything is worked out from the audit log
+ * (see `lib/auditLog.js`), so it does not depend on how the comment columns are laid out.
+ */
+
+
+const SUFFIXES = {change: '.data.change', warning: '.data.warning'};
+
+/** True for the comment columns `changesQc`/`warningsQc` add next to the variables. */
+const isCommentColumn = (col) => col.startsWith(STUDY_COMMENT_PREFIX)
+    || col.endsWith(SUFFIXES.change) || col.endsWith(SUFFIXES.warning);
+
+/** The variable an entry is shown on: that of the comment column it was written to. */
+function flaggedVariable(entry) {
+    const suffix = SUFFIXES[entry.kind];
+    return entry.column?.endsWith(suffix) ? entry.column.slice(0, -suffix.length) : entry.variable;
+}
+
+/** Key identifying the rule of a log entry, e.g. "warning:3". */
+const ruleKey = (entry) => `${entry.kind}:${entry.ruleIndex}`;
+
+
+/**
+ * Indexes the changes and warnings of QC'd data by row and column.
+ *
+ * @param {Object} qcData - output of `warningsQc` (or `changesQc`), in split orientation
+ * @returns {{rows: Map<number, Object[]>, cell: function(number, string): {changes: Object[], warnings: Object[]}|undefined}}
+ *  `rows` maps a row position to its log entries; `cell(row, column)` gives the entries shown on a cell
+ */
+function indexFlags(qcData) {
+    const rowOf = new Map(qcData.index.map((idx, r) => [idx, r]));
+    const rows = new Map();
+    const cells = new Map();
+    for (const entry of getAuditLog(qcData)) {
+        const row = rowOf.get(entry.index);
+        if (row === undefined) continue;
+        if (!rows.has(row)) rows.set(row, []);
+        rows.get(row).push(entry);
+
+        const key = `${row}\u0000${flaggedVariable(entry)}`;
+        if (!cells.has(key)) cells.set(key, {changes: [], warnings: []});
+        cells.get(key)[entry.kind === 'change' ? 'changes' : 'warnings'].push(entry);
+    }
+    return {rows, cell: (row, column) => cells.get(`${row}\u0000${column}`)};
+}
+
+
+/**
+ * The rules that flagged anything, for the rule filter.
+ * @param {Object} qcData - QC'd data in split orientation
+ * @returns {{key: string, label: string}[]} in order of the rules
+ */
+function flaggingRules(qcData) {
+    const rules = new Map();
+    for (const entry of getAuditLog(qcData)) {
+        if (entry.ruleIndex === null || entry.ruleIndex === undefined || rules.has(ruleKey(entry))) continue;
+        rules.set(ruleKey(entry), {
+            key: ruleKey(entry),
+            kind: entry.kind,
+            ruleIndex: entry.ruleIndex,
+            label: `${entry.kind === 'change' ? 'Correction' : 'Warning'} rule ${entry.ruleIndex + 1} (${entry.ruleType}, ${entry.variable})`
+        });
+    }
+    return [...rules.values()]
+        .sort((a, b) => a.kind.localeCompare(b.kind) || a.ruleIndex - b.ruleIndex)
+        .map(({key, label}) => ({key, label}));
+}
+
+
+/**
+ * Positions of the rows of QC'd data matching the grid filters. A row matches when one of its
+ * changes or warnings matches every filter given; with no filters, every row matches.
+ *
+ * @param {Object} qcData - QC'd data in split orientation
+ * @param {Object} [filters]
+ * @param {string} [filters.variable] - variable the change or warning is on
+ * @param {string} [filters.rule] - rule key, as given by `flaggingRules`
+ * @param {string} [filters.comment] - text the comment contains, ignoring case
+ * @param {string} [filters.category] - dictionary `Category` of the variable
+ * @param {Object[]} [dataDict] - dictionary rows, needed for the category filter
+ * @param {Object} [flags] - `indexFlags(qcData)`, when already computed
+ * @returns {number[]}
+ */
+function filterResultRows(qcData, filters = {}, dataDict = [], flags = indexFlags(qcData)) {
+    const blank = (v) => v === undefined || v === null || v === '';
+    if (['variable', 'rule', 'comment', 'category'].every(f => blank(filters[f]))) {
+        return qcData.data.map((_, r) => r);
+    }
+
+    const categoryOf = new Map(dataDict
+        .filter(row => !blank(row['Variable Name']))
+        .map(row => [String(row['Variable Name']).toLowerCase(), row.Category]));
+    const comment = blank(filters.comment) ? null : String(filters.comment).toLowerCase();
+    const matches = (entry) => {
+        const variable = flaggedVariable(entry);
+        return (blank(filters.variable) || variable === filters.variable)
+            && (blank(filters.rule) || ruleKey(entry) === filters.rule)
+            && (comment === null || String(entry.comment ?? '').toLowerCase().includes(comment))
+            && (blank(filters.category) || categoryOf.get(String(variable).toLowerCase()) === filters.category);
+    };
+
+    const positions = [];
+    for (const [row, entries] of flags.rows) {
+        if (entries.some(matches)) positions.push(row);
+    }
+    return positions.sort((a, b) => a - b);
+}
+
+
+/**
+ * Columns shown by the grid, with or without the comment columns interleaved by
+ * `arrangeAllComments` and the study comment columns.
+ * @param {Object} qcData - QC'd data in split orientation
+ * @param {boolean} showComments - whether to show the comment columns
+ * @returns {{name: string, index: number}[]} column names and their position in the data rows
+ */
+function resultColumns(qcData, showComments) {
+    return qcData.columns
+        .map((name, index) => ({name, index}))
+        .filter(col => showComments || !isCommentColumn(col.name));
+}
+
+
+export {flaggedVariable, indexFlags, flaggingRules, filterResultRows, resultColumns};
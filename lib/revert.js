@@ -0,0 +1,237 @@
+import {arrangeChangeComments, copyDataset, getCrossVariables, STUDY_COMMENT_PREFIX} from './utils.js';
+import {compileExpression} from './expressions.js';
+
+/**
+ * Undoing and replaying corrections from the audit log (see `lib/auditLog.js`). `revertChanges`
+ * restores the original values of selected corrections, e.g. the ones a study disputed, without
+ * re-running the QC; `replayChanges` applies a saved change log to a fresh copy of the raw data.
+ */
+
+
+const asList = (v) => Array.isArray(v) ? v : [v];
+
+const sameValue = (a, b) => a === b || String(a) === String(b);
+
+
+/** The variables a correction rule reads besides its own, e.g. its cross variables. */
+function ruleReads(rule) {
+    const crossVariables = getCrossVariables(rule);
+    const variables = new Set(crossVariables.map(c => c.variable));
+    for (const source of [rule.value_changed, rule.new_value, ...crossVariables.map(c => c.value)]) {
+        try {
+            compileExpression(source).variables.forEach(v => variables.add(v));
+        } catch {
+            // plain lists of values such as "777,888" are not expressions
+        }
+    }
+    variables.delete(rule.variable);
+    return variables;
+}
+
+
+/**
+ * Builds the test of which log entries a selection picks. A selection is either a predicate over
+ * log entries or an object whose fields must all match; each field takes a single value or a list:
+ *   {ruleIndex: 3}, {variable: 'parity'}, {index: [4, 7]}, {subjectId: 'A12', variable: 'bmi'}
+ * An empty selection picks every change.
+ * @returns {function(Object): boolean}
+ */
+function entrySelector(selection = {}) {
+    if (typeof selection === 'function') return selection;
+    const fields = Object.entries(selection).filter(([, v]) => v !== undefined);
+    return (entry) => fields.every(([field, v]) => asList(v).some(x =>
+        field === 'variable' ? String(x).toLowerCase() === String(entry.variable).toLowerCase() : x === entry[field]));
+}
+
+
+/** Removes `.data.change` columns left without any comment, along with their study comment column. */
+function dropEmptyChangeColumns(data) {
+    const empty = new Set(data.columns.filter((col, c) =>
+        col.endsWith('.data.change') && !col.startsWith(STUDY_COMMENT_PREFIX)
+        && data.data.every(row => row[c] === null || row[c] === undefined)));
+    if (empty.size === 0) return data;
+
+    const keep = data.columns
+        .map((col, c) => [col, c])
+        .filter(([col]) => !empty.has(col) && !(col.startsWith(STUDY_COMMENT_PREFIX) && empty.has(col.slice(STUDY_COMMENT_PREFIX.length))));
+    return {
+        ...data,
+        columns: keep.map(([col]) => col),
+        data: data.data.map(row => keep.map(([, c]) => row[c]))
+    };
+}
+
+
+/**
+ * Reverts selected corrections of QC'd data. The corrections of each cell are replayed in log
+ * order from its original value, leaving out the reverted ones, and its `.data.change` comment is
+ * rebuilt from the kept corrections. A kept correction whose original value is no longer the value
+ * of the cell only fired because of a reverted one (e.g. 99 set to 777, then 777 set to 0): it is
+ * reverted too, with a warning. Reverted entries are taken out of the log. Warnings are left as
+ * they are; re-run `warningsQc` to refresh them.
+ *
+ * Corrections of other variables that read a reverted cell, e.g. as a cross variable, are kept.
+ * Pass the correction rules the log came from in `options.rules` to be warned about them.
+ *
+ * @param {Object} qcData - output of `changesQc` or `warningsQc`, in split orientation with a `log`
+ * @param {Object|function(Object): boolean} [selection] - which corrections to revert, e.g.
+ *  `{ruleIndex: 2}`, `{variable: 'bmi'}`, `{index: 14}` or a predicate over log entries; all by default
+ * @param {Object} [options]
+ * @param {Object[]} [options.rules] - the correction rules, by the `ruleIndex` of the log entries
+ * @returns {Object} a new dataset with the corrections reverted
+ */
+function revertChanges(qcData, selection = {}, options = {}) {
+    if (!Array.isArray(qcData.log)) {
+        // a log rebuilt from the comment columns does not know the original values
+        throw new Error('The QC data has no audit log, so its corrections cannot be reverted');
+    }
+    const selected = entrySelector(selection);
+    const log = qcData.log;
+    const reverted = log.filter(entry => entry.kind === 'change' && selected(entry));
+    if (reverted.length === 0) return qcData;
+
+    const data = copyDataset(qcData);
+    const rowOf = new Map(data.index.map((idx, r) => [idx, r]));
+    const revertedSet = new Set(reverted);
+
+    // every change of a cell touched by a reverted change, in log order
+    const cellKey = (entry) => `${entry.index}\u0000${entry.variable}`;
+    const touched = new Set(reverted.map(cellKey));
+    const cells = new Map();
+    for (const entry of log) {
+        if (entry.kind !== 'change' || !touched.has(cellKey(entry))) continue;
+        if (!cells.has(cellKey(entry))) cells.set(cellKey(entry), []);
+        cells.get(cellKey(entry)).push(entry);
+    }
+
+    for (const entries of cells.values()) {
+        const row = rowOf.get(entries[0].index);
+        const varIndex = data.columns.indexOf(entries[0].variable);
+        if (row === undefined || varIndex === -1) {
+            console.warn(`Row ${entries[0].index} or ${entries[0].variable} not present in data set, cannot revert this change`);
+            continue;
+        }
+        let value = entries[0].oldValue;
+        const kept = [];
+        for (const entry of entries) {
+            if (revertedSet.has(entry)) continue;
+            if (!sameValue(entry.oldValue, value)) {
+                console.warn(`Also reverting "${entry.comment}" of ${entry.variable} in row ${entry.index}: it changed ${entry.oldValue}, which the cell no longer holds`);
+                revertedSet.add(entry);
+                continue;
+            }
+            kept.push(entry);
+            value = entry.newValue;
+        }
+        data.data[row][varIndex] = value;
+
+        const commentIdx = data.columns.indexOf(entries[0].column ?? `${entries[0].variable}.data.change`);
+        if (commentIdx !== -1) {
+            data.data[row][commentIdx] = kept.length > 0 ? kept.map(entry => entry.comment).join(' | ') : null;
+        }
+    }
+
+    if (options.rules) {
+        const position = new Map(log.map((entry, i) => [entry, i]));
+        for (const entry of log) {
+            if (entry.kind !== 'change' || revertedSet.has(entry)) continue;
+            const reads = ruleReads(options.rules[entry.ruleIndex] ?? {});
+            const source = [...revertedSet].find(r => r.index === entry.index && reads.has(r.variable) && position.get(r) < position.get(entry));
+            if (source) {
+                console.warn(`"${entry.comment}" of ${entry.variable} in row ${entry.index} is kept, but it read ${source.variable}, whose change "${source.comment}" is reverted`);
+            }
+        }
+    }
+
+    return {...dropEmptyChangeColumns(data), log: log.filter(entry => !revertedSet.has(entry))};
+}
+
+
+/**
+ * Replays a saved change log onto a fresh copy of the raw data: each change sets its cell to the
+ * logged new value and adds its comment to the `.data.change` column, as `changesQc` did. Rows
+ * are matched on `index`, with `subject_id` confirming the match when the log and the data have
+ * it. When the row at `index` holds another participant, the change goes to the row of its
+ * `subject_id`, as long as only one row has it: incident data has several rows per participant,
+ * which `subject_id` alone cannot tell apart. A change is not replayed when its row or variable is
+ * missing, its `subject_id` is ambiguous, or the cell no longer holds the logged original value
+ * (the raw data has changed since); these are returned as conflicts.
+ *
+ * @param {Object} data - the raw dataset, in split orientation
+ * @param {Object[]} log - audit log entries, e.g. read back from `auditLogToJson` output;
+ *  warning entries are ignored
+ * @param {Object} [options]
+ * @param {string} [options.key='subject_id'] - column identifying a participant
+ * @returns {{data: Object, conflicts: {entry: Object, message: string}[]}} a new dataset with
+ *  the changes applied and their log, and the changes that were not replayed
+ */
+function replayChanges(data, log, options = {}) {
+    const key = options.key ?? 'subject_id';
+    let result = copyDataset(data);
+    const keyIdx = result.columns.indexOf(key);
+    const rowsByKey = new Map();
+    if (keyIdx !== -1) {
+        result.data.forEach((row, r) => {
+            const id = String(row[keyIdx]);
+            if (!rowsByKey.has(id)) rowsByKey.set(id, []);
+            rowsByKey.get(id).push(r);
+        });
+    }
+    const rowByIndex = new Map(result.index.map((idx, r) => [String(idx), r]));
+
+    /** The row of a log entry, or the reason it has none. */
+    const findRow = (entry) => {
+        const row = rowByIndex.get(String(entry.index));
+        if (keyIdx === -1 || entry.subjectId === null || entry.subjectId === undefined) {
+            return row === undefined ? {message: `row ${entry.index} not present in data set`} : {row};
+        }
+        if (row !== undefined && sameValue(result.data[row][keyIdx], entry.subjectId)) return {row};
+        const rows = rowsByKey.get(String(entry.subjectId)) ?? [];
+        if (rows.length === 1) return {row: rows[0]};
+        return rows.length === 0
+            ? {message: `row ${entry.subjectId} not present in data set`}
+            : {message: `${key} ${entry.subjectId} is on ${rows.length} rows, none of them at index ${entry.index}`};
+    };
+
+    const replayed = [];
+    const conflicts = [];
+    for (const entry of log) {
+        if (entry.kind !== 'change') continue;
+        const {row, message} = findRow(entry);
+        if (row === undefined) {
+            conflicts.push({entry, message});
+            continue;
+        }
+        const varIndex = result.columns.indexOf(entry.variable);
+        if (varIndex === -1) {
+            conflicts.push({entry, message: `${entry.variable} not present in data set`});
+            continue;
+        }
+        const current = result.data[row][varIndex];
+        if (!sameValue(current, entry.oldValue)) {
+            conflicts.push({entry, message: `${entry.variable} of row ${entry.subjectId ?? entry.index} is ${current}, not ${entry.oldValue}`});
+            continue;
+        }
+
+        const column = entry.column ?? `${entry.variable}.data.change`;
+        let commentIdx = result.columns.indexOf(column);
+        if (commentIdx === -1) {
+            commentIdx = result.columns.length;
+            result.columns.push(column);
+            for (const cells of result.data) {
+                cells.push(null);
+            }
+        }
+        result.data[row][varIndex] = entry.newValue;
+        result.data[row][commentIdx] = result.data[row][commentIdx]
+            ? `${result.data[row][commentIdx]} | ${entry.comment}`
+            : entry.comment;
+        replayed.push({...entry, index: result.index[row], subjectId: keyIdx === -1 ? entry.subjectId : result.data[row][keyIdx]});
+    }
+
+    result = arrangeChangeComments(result);
+    return {data: {...data, ...result, log: replayed}, conflicts};
+}
+
+
+export {revertChanges, replayChanges};
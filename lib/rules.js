@@ -0,0 +1,137 @@
+import {readTable} from './files.js';
+
+/**
+ * Loading of the correction and warning rule spreadsheets into the arrays of rule objects that
+ * `changesQc` and `warningsQc` take. Each rule is keyed by the sheet's column headers, which are
+ * the names the rule functions read, e.g. `params.value_changed` or `params['QC Type']`.
+ */
+
+
+/**
+ * Columns of each kind of rule sheet.
+ *  - `required`: columns that must be filled in on every rule row
+ *  - `optional`: other columns the rule functions read
+ *  - `values`: columns holding a single value; numeric text is converted to a number
+ *  - `crossVariables`: the numbered cross variable columns, as [variable column, value column] builders
+ * Every other column is kept as (trimmed) text.
+ */
+const RULE_SCHEMAS = {
+    corrections: {
+        typeField: 'type',
+        variableField: 'variable',
+        required: ['variable', 'type', 'value_changed', 'new_value', 'comment'],
+        optional: ['special_codes'],
+        values: ['new_value'],
+        crossVariables: [(n) => `cross_variable_${n}`, (n) => `cross_variable_${n}_value`]
+    },
+    warnings: {
+        typeField: 'QC Type',
+        variableField: 'Variable',
+        required: ['Variable', 'QC Type', 'Comments'],
+        optional: ['Valid Values', 'Code List', 'Formula_Condition', 'Formula_Variable', 'Comment_Variable', 'Special Codes'],
+        values: ['Valid Value Lower', 'Valid Value Higher'],
+        crossVariables: [(n) => `Cross Variable ${n}`, (n) => `Cross Variable ${n} Value`]
+    }
+};
+
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+
+/**
+ * Coerces a single cell of a rule sheet. Blank cells become null and text is trimmed; cells of
+ * `values` columns that hold a number written as text become numbers.
+ */
+function coerceRuleCell(value, column, schema) {
+    if (isBlank(value)) return null;
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value !== 'string') return value;
+
+    const text = value.trim();
+    if (schema.values.includes(column) && text !== '' && !Number.isNaN(Number(text))) {
+        return Number(text);
+    }
+    return text;
+}
+
+
+/**
+ * Builds rule objects from the header and rows of a rule sheet, as returned by `readTable`.
+ * Blank rows are dropped; rows missing a required field are left out and reported.
+ *
+ * Headers are matched to the expected column names without regard to case or surrounding
+ * spaces, so a sheet with "QC type" or "Variable " still loads.
+ *
+ * @param {string[]} headers - the header row
+ * @param {Array[]} rows - the data rows; row `k` is sheet row `k + 2`
+ * @param {'corrections'|'warnings'} kind - which rule sheet this is
+ * @returns {{rules: Object[], errors: {row: number, message: string}[]}} the valid rules and a
+ *  list of rejected rows, each with its sheet row number
+ */
+function parseRuleRows(headers, rows, kind) {
+    const schema = RULE_SCHEMAS[kind];
+    if (!schema) {
+        throw new Error(`Unknown rule sheet kind: ${kind}. Expected one of ${Object.keys(RULE_SCHEMAS).join(', ')}`);
+    }
+
+    // Canonical names for the known columns, so lookups don't depend on the sheet's capitalisation
+    const known = [...schema.required, ...schema.optional, ...schema.values];
+    for (let n = 1; n <= 10; n++) {
+        known.push(schema.crossVariables[0](n), schema.crossVariables[1](n));
+    }
+    const canonical = headers.map(h => known.find(k => k.toLowerCase() === h.toLowerCase()) ?? h);
+
+    const missingColumns = schema.required.filter(c => !canonical.includes(c));
+    if (missingColumns.length > 0) {
+        return {
+            rules: [],
+            errors: [{row: 1, message: `Row 1: missing required column(s) ${missingColumns.map(c => `"${c}"`).join(', ')}`}]
+        };
+    }
+
+    const rules = [];
+    const errors = [];
+    rows.forEach((cells, r) => {
+        const sheetRow = r + 2;
+        if (!cells || cells.every(isBlank)) return;
+
+        const rule = {};
+        canonical.forEach((column, c) => {
+            if (column === '') return;
+            rule[column] = coerceRuleCell(cells[c], column, schema);
+        });
+
+        const missing = schema.required.filter(field => rule[field] === null || rule[field] === undefined);
+        if (missing.length > 0) {
+            errors.push({
+                row: sheetRow,
+                message: `Row ${sheetRow}: missing required field(s) ${missing.map(f => `"${f}"`).join(', ')}`
+            });
+            return;
+        }
+        rules.push(rule);
+    });
+
+    return {rules, errors};
+}
+
+
+/**
+ * Loads a correction or warning rule sheet from a CSV or XLSX file.
+ *
+ * @param {Blob|File|ArrayBuffer|Uint8Array|string} source - the rule file
+ * @param {'corrections'|'warnings'} kind - which rule sheet this is
+ * @param {Object} [options] - passed to `readTable` (`format`, `fileName`, `sheet`)
+ * @returns {Promise<{rules: Object[], errors: {row: number, message: string}[]}>}
+ */
+async function loadRuleSheet(source, kind, options = {}) {
+    const {headers, rows} = await readTable(source, options);
+    const result = parseRuleRows(headers, rows, kind);
+    if (result.errors.length > 0) {
+        console.warn(`${result.errors.length} ${kind} rule row(s) rejected:\n${result.errors.map(e => e.message).join('\n')}`);
+    }
+    return result;
+}
+
+
+export {RULE_SCHEMAS, parseRuleRows, loadRuleSheet};
@@ -0,0 +1,153 @@
+/**
+ * Special (missing-data) codes, such as 777 for "unknown" or 888 for "not applicable". These are
+ * not measurements, so they must never be range-checked: `range.warnings` skips them and
+ * `<`, `<=`, `>`, `>=` in the expressions of warning rules treat them like NA. Correction rules
+ * compare them as numbers, as the R prototype does (e.g. "age_preg1 > 100" catches 777), unless
+ * the rule lists its own `special_codes`, which opts it in to treating them like NA.
+ *
+ * Codes can be given at three levels, the most specific winning:
+ *  1) per rule, in a `special_codes` column of the correction rules or a `Special Codes` column
+ *     of the warning rules
+ *  2) per variable, in a `Special Codes` column of the data dictionary
+ *  3) per dataset, as the `specialCodes` option of `changesQc`/`warningsQc`
+ * and default to `DEFAULT_SPECIAL_CODES`, the codes used by BCRPP.
+ *
+ * A code list is written either as an object (`{999: 'unknown', -9: 'not asked'}`) or as text,
+ * with an optional meaning after `=`: "777=unknown; 888=not applicable" or just "999,-9".
+ */
+
+
+/** BCRPP special codes and their meanings. */
+const DEFAULT_SPECIAL_CODES = {
+    666: 'not asked',
+    777: 'unknown',
+    888: 'not applicable'
+};
+
+/** Column of the warning rules and the data dictionary holding special codes. */
+const SPECIAL_CODES_FIELD = 'Special Codes';
+
+/** Column of the correction rules holding special codes. */
+const RULE_SPECIAL_CODES_FIELD = 'special_codes';
+
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+// Codes are stored as numbers when they are numeric, so they compare equal to numeric data
+const normalizeCode = (code) => {
+    const text = String(code).trim();
+    return text !== '' && !Number.isNaN(Number(text)) ? Number(text) : text;
+};
+
+
+/**
+ * Parses a list of special codes.
+ * @param {Object|Map|Array|string|number} spec - the codes, see the module description
+ * @returns {Map<number|string, string|null>} code -> meaning (null when no meaning is given)
+ */
+function parseSpecialCodes(spec) {
+    const codes = new Map();
+    if (isBlank(spec)) return codes;
+    if (spec instanceof Map) {
+        for (const [code, meaning] of spec) codes.set(normalizeCode(code), meaning ?? null);
+        return codes;
+    }
+    if (typeof spec === 'number') {
+        codes.set(spec, null);
+        return codes;
+    }
+    if (Array.isArray(spec)) {
+        spec.forEach(code => codes.set(normalizeCode(code), null));
+        return codes;
+    }
+    if (typeof spec === 'object') {
+        for (const [code, meaning] of Object.entries(spec)) codes.set(normalizeCode(code), meaning ?? null);
+        return codes;
+    }
+
+    for (const part of String(spec).split(/[;,]/)) {
+        if (part.trim() === '') continue;
+        const [code, ...meaning] = part.split('=');
+        codes.set(normalizeCode(code), meaning.length > 0 ? meaning.join('=').trim() : null);
+    }
+    return codes;
+}
+
+
+/**
+ * Builds the function that tells which special codes apply to a variable.
+ *
+ * @param {Object} [options]
+ * @param {Object|string|Array} [options.specialCodes] - dataset-level codes; defaults to `DEFAULT_SPECIAL_CODES`
+ * @param {Object[]} [options.dataDict] - dictionary rows, read for a `Special Codes` column
+ * @returns {function(string, Object=): Map} (variable, rule) -> code -> meaning
+ */
+function createSpecialCodeResolver(options = {}) {
+    const datasetCodes = parseSpecialCodes(options.specialCodes ?? DEFAULT_SPECIAL_CODES);
+    const variableCodes = new Map();
+    for (const row of options.dataDict ?? []) {
+        if (isBlank(row['Variable Name']) || isBlank(row[SPECIAL_CODES_FIELD])) continue;
+        variableCodes.set(String(row['Variable Name']).toLowerCase(), parseSpecialCodes(row[SPECIAL_CODES_FIELD]));
+    }
+    const ruleCodes = new WeakMap();
+
+    return (variable, rule) => {
+        const spec = rule && (isBlank(rule[SPECIAL_CODES_FIELD]) ? rule[RULE_SPECIAL_CODES_FIELD] : rule[SPECIAL_CODES_FIELD]);
+        if (!isBlank(spec)) {
+            if (!ruleCodes.has(rule)) ruleCodes.set(rule, parseSpecialCodes(spec));
+            return ruleCodes.get(rule);
+        }
+        return variableCodes.get(String(variable).toLowerCase()) ?? datasetCodes;
+    };
+}
+
+
+const defaultResolver = createSpecialCodeResolver();
+
+/**
+ * Special codes for a variable within a rule, using the resolver in the QC `context` (as set up
+ * by `changesQc`/`warningsQc`) or the defaults when there is none.
+ * @param {Object} [context] - the QC context, with an optional `specialCodes` resolver
+ * @param {string} variable - the variable being checked
+ * @param {Object} [rule] - the rule being applied
+ * @returns {Map} code -> meaning
+ */
+function getSpecialCodes(context, variable, rule) {
+    return (context?.specialCodes ?? defaultResolver)(variable, rule);
+}
+
+
+/**
+ * True when `value` is one of the special `codes`. Numeric text matches numeric codes.
+ * @param {Map} codes - code -> meaning
+ * @param {*} value - a data value
+ * @returns {boolean}
+ */
+function isSpecialCode(codes, value) {
+    if (value === null || value === undefined || codes.size === 0) return false;
+    return codes.has(normalizeCode(value));
+}
+
+
+/**
+ * Builds the `isSpecialCode` test of an expression environment for a rule: every column the
+ * rule refers to is checked against its own special codes.
+ * @param {Object} [context] - the QC context, with an optional `specialCodes` resolver
+ * @param {Object} rule - the rule being applied
+ * @returns {function(string, *): boolean} (column, value) -> whether value is a special code
+ */
+function specialCodeTester(context, rule) {
+    return (variable, value) => isSpecialCode(getSpecialCodes(context, variable, rule), value);
+}
+
+
+export {
+    DEFAULT_SPECIAL_CODES,
+    SPECIAL_CODES_FIELD,
+    RULE_SPECIAL_CODES_FIELD,
+    parseSpecialCodes,
+    createSpecialCodeResolver,
+    getSpecialCodes,
+    isSpecialCode,
+    specialCodeTester
+};
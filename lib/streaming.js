@@ -0,0 +1,333 @@
+import {createCsvParser, detectFormat, toCsv} from './files.js';
+import {createRowReader} from './dataset.js';
+import {
+    getCrossVariables, indexColumns, composeLayouts, changeCaseMatch, listMissingColumns,
+    changeCommentLayout, warningCommentLayout, allCommentLayout, studyCommentLayout, applyLayout, STUDY_COMMENT_PREFIX
+} from './utils.js';
+import {compileCondition, compileExpression, expressionColumns} from './expressions.js';
+import {changesQc, correctionFnMap, rangeChanges, crossRangeChanges} from './corrections.js';
+import {warningsQc, warningFnMap, warningCommentColumn, crossrangeWarnings, uniqueWarnings} from './warnings.js';
+import {REPORT_CATEGORIES, createReportBuilder} from './reporting.js';
+import {AUDIT_LOG_FIELDS} from './auditLog.js';
+import {withDictionaryWarnings} from './pipeline.js';
+
+/**
+ * QC of CSV files too large to hold in memory, in Node. The file is read in chunks of rows and
+ * every chunk goes through `changesQc` and `warningsQc`, which gives the same result as QC of the
+ * whole file for the row-wise rules. The corrected rows, the flagged rows and the audit log are
+ * written to streams as each chunk is done, and the summary report is built up chunk by chunk.
+ *
+ * Rules that read whole columns through `data$col` (e.g. `subject_id %in% is.Unique(data$subject_id)`),
+ * and unique.warnings rules, which compare the key of every row with all others, need the whole
+ * dataset. When the input can be opened twice, those columns are collected in a
+ * first pass over the file and the rules run in the second. Otherwise, or when an earlier correction
+ * rule changes such a column (so the collected values would be out of date), `streamQc` refuses to
+ * start and lists the rules at fault.
+ *
+ * Unlike `runQc`, which drops comment columns left empty, the columns of the outputs are fixed
+ * before the first chunk is read: every rule whose variable is in the file has its comment column.
+ */
+
+
+/** Rows per chunk, unless `options.chunkSize` says otherwise. */
+const DEFAULT_CHUNK_SIZE = 10000;
+
+
+/**
+ * Lists the columns a rule reads as a whole, through `data$col` in its expressions or as the key
+ * of a unique.warnings rule.
+ * @param {Object} rule - a correction or warning rule
+ * @param {'corrections'|'warnings'} ruleSet - which kind of rule it is
+ * @returns {string[]} the columns, none for rules that only read the row
+ */
+function ruleDatasetColumns(rule, ruleSet) {
+    const fn = ruleSet === 'corrections' ? correctionFnMap[rule.type] : warningFnMap[rule['QC Type']];
+    if (fn === uniqueWarnings) {
+        if (rule.Variable === undefined || rule.Variable === null || String(rule.Variable).trim() === '') return [];
+        return [...new Set([rule.Variable, ...getCrossVariables(rule, n => `Cross Variable ${n}`).map(c => c.variable)])];
+    }
+    try {
+        return [...new Set(compileRuleExpressions(rule, fn).map(compiled => compiled.ast).flatMap(expressionColumns))];
+    } catch {
+        // rules that don't parse are skipped by changesQc/warningsQc, with a message
+        return [];
+    }
+}
+
+
+/**
+ * Compiles the expressions of the rules that have any: the conditions and new value of
+ * range.changes and cross_range.changes rules, and the conditions of crossrange.warnings rules.
+ * @param {Object} rule - a correction or warning rule
+ * @param {Function} fn - the function applying the rule, from `correctionFnMap` or `warningFnMap`
+ * @returns {Object[]} the compiled expressions, with their `ast` and `variables`
+ * @throws {Error} when an expression does not parse
+ */
+function compileRuleExpressions(rule, fn) {
+    if (fn === rangeChanges) {
+        return [compileCondition(rule.value_changed), compileExpression(rule.new_value)];
+    }
+    if (fn === crossRangeChanges) {
+        return [
+            compileCondition(rule.value_changed, rule.variable),
+            compileExpression(rule.new_value),
+            ...getCrossVariables(rule).map(c => compileCondition(c.value, c.variable))
+        ];
+    }
+    if (fn === crossrangeWarnings) {
+        return [
+            compileCondition(rule.Formula_Condition),
+            ...getCrossVariables(rule, n => `Cross Variable ${n}`, n => `Cross Variable ${n} Value`)
+                .map(c => compileCondition(c.value, c.variable))
+        ];
+    }
+    return [];
+}
+
+
+/**
+ * Finds the rules that read columns missing from the file, which `changesQc`/`warningsQc` would
+ * skip in every chunk, logging it each time. Each is logged once here instead.
+ * @param {Object[]} rules - correction or warning rules
+ * @param {'corrections'|'warnings'} ruleSet - which kind of rules they are
+ * @param {Set<string>} present - the columns of the file
+ * @returns {Set<number>} the indices of the rules to skip, for `options.skipRules`
+ */
+function rulesMissingColumns(rules, ruleSet, present) {
+    const skipped = new Set();
+    rules.forEach((rule, ruleIndex) => {
+        const fn = ruleSet === 'corrections' ? correctionFnMap[rule.type] : warningFnMap[rule['QC Type']];
+        if (!fn) return;
+        const variables = ruleSet === 'corrections'
+            ? [rule.variable, ...getCrossVariables(rule).map(c => c.variable)]
+            : [rule.Variable, ...getCrossVariables(rule, n => `Cross Variable ${n}`).map(c => c.variable)];
+        try {
+            variables.push(...compileRuleExpressions(rule, fn).flatMap(compiled => compiled.variables));
+        } catch {
+            // left to changesQc/warningsQc, which report the parse error
+        }
+        const missing = [...new Set(variables)].filter(v => !present.has(v));
+        if (missing.length > 0) {
+            console.log(`${missing.join(', ')} not present in data set, skipping this QC step`);
+            skipped.add(ruleIndex);
+        }
+    });
+    return skipped;
+}
+
+
+/**
+ * Works out which rules need the whole dataset and whether they can run in a second pass.
+ * @returns {{columns: string[], problems: string[]}} the columns to collect in a first pass, and
+ *  why the rules needing them cannot be streamed, if they cannot
+ */
+function planDatasetColumns(correctionRules, warningRules, reopenable) {
+    const columns = new Set();
+    const problems = [];
+    const check = (rule, ruleIndex, ruleSet, changedBefore) => {
+        const needed = ruleDatasetColumns(rule, ruleSet);
+        if (needed.length === 0) return;
+        const name = ruleSet === 'corrections'
+            ? `Correction rule ${ruleIndex + 1} (${rule.type}, ${rule.variable})`
+            : `Warning rule ${ruleIndex + 1} (${rule['QC Type']}, ${rule.Variable})`;
+        const reads = needed.map(col => `data$${col}`).join(', ');
+        if (!reopenable) {
+            problems.push(`${name} reads ${reads}, so it needs the whole dataset: pass the input as a function that opens the file, so that it can be read twice`);
+            return;
+        }
+        for (const col of needed) {
+            const changer = changedBefore.findIndex(r => r.variable === col);
+            if (changer !== -1) {
+                problems.push(`${name} reads data$${col}, which correction rule ${changer + 1} changes first: the whole column is not known until the file has been corrected`);
+            }
+            columns.add(col);
+        }
+    };
+    correctionRules.forEach((rule, ruleIndex) => check(rule, ruleIndex, 'corrections', correctionRules.slice(0, ruleIndex)));
+    warningRules.forEach((rule, ruleIndex) => check(rule, ruleIndex, 'warnings', correctionRules));
+    return {columns: [...columns], problems};
+}
+
+
+/**
+ * Reads a CSV in batches of dataset rows. The first batch comes with the case-matched columns and
+ * may be empty, e.g. for a file holding only its header.
+ * @returns {AsyncGenerator<{columns: string[], rows: Array[]}>}
+ */
+async function* readDataset(input, dataDict, settings) {
+    const decoder = new TextDecoder();
+    const parser = createCsvParser(settings.delimiter);
+    let columns = null;
+    let reader = null;
+    let batch = [];
+
+    const take = function* (rows, flush) {
+        for (const row of rows) batch.push(row);
+        if (!columns && batch.length > 0) {
+            columns = changeCaseMatch(dataDict, {columns: batch.shift().map(String), index: [], data: []}).columns;
+            reader = createRowReader(columns, settings);
+            yield {columns, rows: []};
+        }
+        while (columns && (batch.length >= settings.chunkSize || (flush && batch.length > 0))) {
+            yield {columns, rows: reader.read(batch.splice(0, settings.chunkSize))};
+        }
+    };
+
+    for await (const chunk of input) {
+        yield* take(parser.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk, {stream: true})), false);
+    }
+    yield* take([...parser.push(decoder.decode()), ...parser.end()], true);
+}
+
+
+/** Layout taking the columns `names` by name from a chunk laid out as `columns`, empty when absent. */
+function layoutByName(names, columns) {
+    const positions = indexColumns(columns);
+    return {columns: names, sources: names.map(name => positions.get(name) ?? -1)};
+}
+
+
+/** Writes text to a Node Writable, waiting for it to drain when its buffer is full. */
+async function write(stream, text) {
+    if (!stream || text === '') return;
+    if (!stream.write(text)) {
+        await new Promise(resolve => stream.once('drain', resolve));
+    }
+}
+
+
+/**
+ * Runs the QC workflow of `runQc` on a CSV file streamed in chunks.
+ *
+ * @param {Object} inputs
+ * @param {AsyncIterable<Buffer|Uint8Array|string>|function(): AsyncIterable} inputs.input - the
+ *  CSV, e.g. `fs.createReadStream(path)`, or a function opening it, e.g. `() => fs.createReadStream(path)`,
+ *  which lets rules reading `data$col` run in a second pass
+ * @param {Object[]} inputs.dataDict - data dictionary rows, with `Variable Name` and `Category`
+ * @param {Object[]} [inputs.correctionRules] - rules for `changesQc`
+ * @param {Object[]} [inputs.warningRules] - rules for `warningsQc`
+ * @param {string} [inputs.studyName] - name of the study, used in the report
+ * @param {Object} [outputs] - Node Writables, left open for the caller to end
+ * @param {Writable} [outputs.corrected] - every row, corrected, with the change comment columns (CSV)
+ * @param {Writable} [outputs.flagged] - the rows with a change or warning, as `warningsQc` returns them (CSV)
+ * @param {Writable} [outputs.log] - the audit log (CSV, see `lib/auditLog.js`)
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize=10000] - rows per chunk
+ * @param {string} [options.delimiter] - field separator of the input; by default a tab for a
+ *  `options.fileName` ending in .tsv/.txt, a comma otherwise
+ * @param {Object} [options.types] - column -> 'number'|'date'|'string'; by default inferred from the first chunk
+ * @param {string[]} [options.dateColumns] - columns always read as dates, see `buildDataset`
+ * @param {'core'|'incident'} [options.report='core'] - which summary report to build
+ * @param {Object} [options.categories] - sheet name -> dictionary `Category`, overriding `options.report`
+ * @param {Object|string} [options.specialCodes] - special codes of the dataset, see `lib/specialCodes.js`
+ * @param {Object} [options.codeLists] - code lists of code.warnings rules by name, see `lib/codeLists.js`
+ * @param {boolean|Object} [options.dictionaryWarnings] - also apply the warning rules generated from
+ *  the dictionary, as `runQc` does
+ * @param {function(Object): void} [options.onProgress] - called after every chunk with
+ *  {pass: 'columns'|'qc', chunks, rows}, the chunks and rows done so far in that pass
+ * @returns {Promise<{columns: string[], missingColumns: string[]|string, rows: number,
+ *  flaggedRows: number, report: Object}>} the case-matched columns of the file, the dictionary
+ *  variables missing from it, the number of rows read and flagged, and the summary report
+ * @throws {Error} before reading anything, when rules need the whole dataset and cannot run in a second pass
+ */
+async function streamQc({input, dataDict, correctionRules = [], warningRules = [], studyName}, outputs = {}, options = {}) {
+    const categories = options.categories ?? REPORT_CATEGORIES[options.report ?? 'core'];
+    if (!categories) {
+        throw new Error(`Unknown report: ${options.report}. Expected one of ${Object.keys(REPORT_CATEGORIES).join(', ')}`);
+    }
+    warningRules = withDictionaryWarnings(warningRules, dataDict, options.dictionaryWarnings);
+    const reopenable = typeof input === 'function';
+    const plan = planDatasetColumns(correctionRules, warningRules, reopenable);
+    if (plan.problems.length > 0) {
+        throw new Error(`These rules cannot be applied to a streamed file:\n${plan.problems.map(p => ` - ${p}`).join('\n')}`);
+    }
+
+    const settings = {
+        chunkSize: options.chunkSize ?? DEFAULT_CHUNK_SIZE,
+        delimiter: options.delimiter ?? (detectFormat(options.fileName) === 'tsv' ? '\t' : ','),
+        types: options.types,
+        dateColumns: options.dateColumns,
+        specialCodes: options.specialCodes
+    };
+    const open = () => reopenable ? input() : input;
+
+    // first pass: the whole columns read by rules through data$col
+    let datasetColumns;
+    if (plan.columns.length > 0) {
+        datasetColumns = new Map(plan.columns.map(col => [col, []]));
+        let chunks = 0;
+        let rows = 0;
+        for await (const batch of readDataset(open(), dataDict, settings)) {
+            if (batch.rows.length === 0) continue;
+            const positions = indexColumns(batch.columns);
+            for (const [col, values] of datasetColumns) {
+                const idx = positions.get(col);
+                for (const row of batch.rows) values.push(idx === undefined ? null : row[idx]);
+            }
+            rows += batch.rows.length;
+            options.onProgress?.({pass: 'columns', chunks: ++chunks, rows});
+        }
+    }
+
+    // second (or only) pass: the QC, chunk by chunk
+    const qcOptions = {specialCodes: options.specialCodes, dataDict, datasetColumns, codeLists: options.codeLists};
+    let skipCorrections;
+    let skipWarnings;
+    const report = createReportBuilder(dataDict, categories, {specialCodes: options.specialCodes});
+    let columns = null;
+    let correctedLayout = null;
+    let flaggedLayout = null;
+    let chunks = 0;
+    let rows = 0;
+    let flaggedRows = 0;
+
+    await write(outputs.log, toCsv(AUDIT_LOG_FIELDS, []));
+    for await (const batch of readDataset(open(), dataDict, settings)) {
+        if (!columns) {
+            columns = batch.columns;
+            const present = new Set(columns);
+            skipCorrections = rulesMissingColumns(correctionRules, 'corrections', present);
+            skipWarnings = rulesMissingColumns(warningRules, 'warnings', present);
+
+            // the columns changesQc and warningsQc would give if every rule flagged something
+            const base = columns.filter(col => !col.endsWith('.data.change'));
+            const changeColumns = correctionRules
+                .filter(rule => correctionFnMap[rule.type] && present.has(rule.variable))
+                .map(rule => `${rule.variable}.data.change`);
+            correctedLayout = changeCommentLayout([...new Set([...base, ...changeColumns])]);
+
+            const warningBase = correctedLayout.columns
+                .filter(col => !col.endsWith('.data.warning') && !col.startsWith(STUDY_COMMENT_PREFIX));
+            const warningColumns = warningRules
+                .filter(rule => warningFnMap[rule['QC Type']] && present.has(rule.Variable))
+                .map(warningCommentColumn);
+            let layout = warningCommentLayout([...new Set([...warningBase, ...warningColumns])]);
+            layout = composeLayouts(layout, allCommentLayout(layout.columns));
+            flaggedLayout = composeLayouts(layout, studyCommentLayout(layout.columns));
+
+            await write(outputs.corrected, toCsv(correctedLayout.columns, []));
+            await write(outputs.flagged, toCsv(flaggedLayout.columns, []));
+        }
+        if (batch.rows.length === 0) continue;
+
+        const chunk = {columns, index: batch.rows.map((_, i) => rows + i), data: batch.rows};
+        const changes = changesQc(correctionRules, chunk, {...qcOptions, skipRules: skipCorrections});
+        const qcData = warningsQc(warningRules, changes, {...qcOptions, skipRules: skipWarnings});
+        report.add(qcData, changes);
+
+        await write(outputs.corrected, toCsv(null, applyLayout(changes, layoutByName(correctedLayout.columns, changes.columns)).data));
+        await write(outputs.flagged, toCsv(null, applyLayout(qcData, layoutByName(flaggedLayout.columns, qcData.columns)).data));
+        await write(outputs.log, toCsv(null, qcData.log.map(entry => AUDIT_LOG_FIELDS.map(field => entry[field]))));
+
+        rows += batch.rows.length;
+        flaggedRows += qcData.data.length;
+        options.onProgress?.({pass: 'qc', chunks: ++chunks, rows});
+    }
+
+    columns = columns ?? [];
+    const missingColumns = listMissingColumns(dataDict, {columns});
+    return {columns, missingColumns, rows, flaggedRows, report: report.report(studyName, missingColumns)};
+}
+
+
+export {DEFAULT_CHUNK_SIZE, ruleDatasetColumns, streamQc};
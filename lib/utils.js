@@ -42,44 +42,232 @@ function getRangeValues(valuesVector) {
 
 
 /**
- * Function to arrange the comment columns post QC filtering. This function rearranges a dataset containing
- * change comments and data columns, such that each change comment is paired with its corresponding data column.
- * @param data - The data, represented as a JSON in split orientation, where comment columns are to be arranged.
- * @returns {{data: *, columns: any[], index: *}} - data with the comment columns re-arranged after its
- *  corresponding variable.
+ * Collects the cross variable conditions of a rule. Rule sheets carry numbered column pairs such as
+ * `cross_variable_1`/`cross_variable_1_value` (corrections) or `Cross Variable 1`/`Cross Variable 1 Value`
+ * (warnings). Numbering starts at 1 and stops at the first pair whose column is absent from the rule;
+ * pairs left blank in the sheet are skipped.
+ *
+ * The R code had one function per number of cross variables (`crossvalid1.changes` to
+ * `crossvalid4.changes`, and so on); the rule functions here read the pairs through this function,
+ * so each takes as many as the rule row fills in and the numbered types share one function.
+ * @param {Object} params - a single rule object
+ * @param {function(number): string} variableKey - builds the name of the N-th cross variable column
+ * @param {function(number): string} valueKey - builds the name of the N-th cross variable value column
+ * @returns {{variable: string, value: *}[]} the cross variables in order
  */
-function arrangeChangeComments(data) {
-    // Extract column names
-    const allColumns = data.columns;
+function getCrossVariables(params, variableKey = (n) => `cross_variable_${n}`, valueKey = (n) => `cross_variable_${n}_value`) {
+    const crossVariables = [];
+    for (let n = 1; variableKey(n) in params; n++) {
+        const variable = params[variableKey(n)];
+        if (variable === undefined || variable === null || String(variable).trim() === '') continue;
+        crossVariables.push({variable: String(variable).trim(), value: params[valueKey(n)]});
+    }
+    return crossVariables;
+}
+
+
+/**
+ * Maps every column name to its position, for lookups inside row loops where `columns.indexOf`
+ * would scan the columns again for every cell. Duplicate names map to their first position, as
+ * with `indexOf`.
+ * @param {string[]} columns - column names
+ * @returns {Map<string, number>}
+ */
+function indexColumns(columns) {
+    const positions = new Map();
+    columns.forEach((col, idx) => {
+        if (!positions.has(col)) positions.set(col, idx);
+    });
+    return positions;
+}
+
+
+/**
+ * Positions of the columns of a dataset, for a rule function: the map `changesQc` and `warningsQc`
+ * share through the QC context, which the rules keep up to date as they add comment columns, or
+ * a new one when a rule is applied on its own.
+ * @param data - The data, represented as a JSON in split orientation.
+ * @param {Object} [context] - the QC context
+ * @returns {Map<string, number>}
+ */
+function columnPositions(data, context = {}) {
+    return context.columnIndex ?? indexColumns(data.columns);
+}
+
 
-    // Separate comment columns and data columns
-    const commentColumns = allColumns.filter((col) =>
-        col.endsWith(".data.change")
-    );
-    const dataColumns = allColumns.filter((col) => !col.endsWith(".data.change"));
+/*
+ * Column layouts. Rearranging columns is worked out on the column names alone, as a layout
+ * {columns, sources}: the new column names and, for each, the position of the column it is taken
+ * from (-1 for a new, empty column). Layouts compose, so `changesQc` and `warningsQc` can chain
+ * every rearrangement and then copy the rows once, in `applyLayout`.
+ */
+
+/** Layout keeping the columns as they are. */
+const identityLayout = (columns) => ({columns: [...columns], sources: columns.map((_, idx) => idx)});
 
-    // Create column pairs
-    const columnPairs = dataColumns.map((col, index) => [
-        commentColumns[index],
-        col
-    ]);
+/** Layout of columns given by their positions in `columns`. */
+const pickLayout = (columns, positions) => ({columns: positions.map(idx => columns[idx]), sources: positions});
+
+/**
+ * Applies `second`, worked out on the columns of `first`, after `first`.
+ * @returns {{columns: string[], sources: number[]}}
+ */
+function composeLayouts(first, second) {
+    return {
+        columns: second.columns,
+        sources: second.sources.map(idx => idx === -1 ? -1 : first.sources[idx])
+    };
+}
 
-    // Create a new column order
-    const newColumnOrder = columnPairs.flatMap((pair) => pair.filter(Boolean));
+/**
+ * Keeps the columns of a layout for which `keep(name, source)` is true.
+ * @returns {{columns: string[], sources: number[]}}
+ */
+function filterLayout(layout, keep) {
+    const positions = layout.columns.map((_, idx) => idx).filter(idx => keep(layout.columns[idx], layout.sources[idx]));
+    return {columns: positions.map(idx => layout.columns[idx]), sources: positions.map(idx => layout.sources[idx])};
+}
 
-    // Rearrange columns in the data
+/**
+ * Builds the rows of a dataset laid out as `layout`, in a single pass.
+ * @param data - The data, represented as a JSON in split orientation.
+ * @param {{columns: string[], sources: number[]}} layout - the new column layout
+ * @param {number[]} [rows] - positions of the rows to keep, all of them by default
+ * @returns {{data: *[][], columns: string[], index: *[]}}
+ */
+function applyLayout(data, layout, rows) {
+    const {sources} = layout;
+    const copyRow = (row) => {
+        const newRow = new Array(sources.length);
+        for (let c = 0; c < sources.length; c++) {
+            newRow[c] = sources[c] === -1 ? null : row[sources[c]];
+        }
+        return newRow;
+    };
     return {
-        columns: newColumnOrder,
-        index: data.index,
-        data: data.data.map((row) => {
-            const newRow = [];
-            newColumnOrder.forEach((col) => {
-                const colIndex = allColumns.indexOf(col);
-                newRow.push(row[colIndex]);
-            });
-            return newRow;
-        })
+        columns: layout.columns,
+        index: rows ? rows.map(r => data.index[r]) : [...data.index],
+        data: rows ? rows.map(r => copyRow(data.data[r])) : data.data.map(copyRow)
+    };
+}
+
+
+/**
+ * True when every cell of the column at `position` is missing (null or undefined).
+ * @param data - The data, represented as a JSON in split orientation.
+ * @param {number} position - position of the column
+ * @returns {boolean}
+ */
+function isEmptyColumn(data, position) {
+    return data.data.every(row => row[position] === null || row[position] === undefined);
+}
+
+
+/**
+ * Layout pairing each `.data.change` column with its variable, see `arrangeChangeComments`.
+ * @param {string[]} columns - column names
+ * @returns {{columns: string[], sources: number[]}}
+ */
+function changeCommentLayout(columns) {
+    const isComment = (col) => col.endsWith('.data.change');
+    const position = indexColumns(columns);
+
+    // each variable followed by its comment column
+    const order = [];
+    const placed = new Set();
+    columns.forEach((col, idx) => {
+        if (isComment(col)) return;
+        order.push(idx);
+        const comment = `${col}.data.change`;
+        if (position.has(comment)) {
+            order.push(position.get(comment));
+            placed.add(comment);
+        }
+    });
+
+    // keep comment columns whose variable is not in the data
+    columns.forEach((col, idx) => {
+        if (isComment(col) && !placed.has(col)) {
+            order.push(idx);
+            placed.add(col);
+        }
+    });
+    return pickLayout(columns, order);
+}
+
+
+/**
+ * Layout pairing each `.data.warning` column with its variable, see `arrangeWarningComments`.
+ * @param {string[]} columns - column names
+ * @returns {{columns: string[], sources: number[]}}
+ */
+function warningCommentLayout(columns) {
+    if (!columns.some(col => col.includes('warning'))) {
+        return identityLayout(columns);
+    }
+    const position = indexColumns(columns);
+
+    // each data column followed by its warning column
+    const order = [];
+    const placed = new Set();
+    const place = (col) => {
+        order.push(position.get(col));
+        placed.add(col);
     };
+    for (const col of columns) {
+        if (col.endsWith('.data.change') || col.endsWith('.data.warning')) continue;
+        place(col);
+        const warning = `${col}.data.warning`;
+        if (position.has(warning)) place(warning);
+    }
+
+    // add any remaining columns that weren't paired
+    for (const col of columns) {
+        if (!placed.has(col)) place(col);
+    }
+    return pickLayout(columns, order);
+}
+
+
+/**
+ * Layout putting each `.data.change` column after its variable, see `arrangeAllComments`.
+ * @param {string[]} columns - column names
+ * @returns {{columns: string[], sources: number[]}}
+ */
+function allCommentLayout(columns) {
+    if (!columns.some(col => col.includes('data.change'))) {
+        return identityLayout(columns);
+    }
+    const isComment = (col) => col.endsWith('.data.change');
+
+    // the comment column of each variable
+    const commentOf = new Map();
+    columns.forEach((col, idx) => {
+        const variable = col.replace('.data.change', '');
+        if (isComment(col) && !commentOf.has(variable)) commentOf.set(variable, idx);
+    });
+
+    const order = [];
+    columns.forEach((col, idx) => {
+        if (commentOf.has(col)) {
+            order.push(idx, commentOf.get(col));
+        } else if (!isComment(col)) {
+            order.push(idx);
+        }
+    });
+    return pickLayout(columns, order);
+}
+
+
+/**
+ * Function to arrange the comment columns post QC filtering. This function rearranges a dataset containing
+ * change comments and data columns, such that each change comment is paired with its corresponding data column.
+ * @param data - The data, represented as a JSON in split orientation, where comment columns are to be arranged.
+ * @returns {{data: *, columns: any[], index: *}} - data with the comment columns re-arranged after its
+ *  corresponding variable.
+ */
+function arrangeChangeComments(data) {
+    return applyLayout(data, changeCommentLayout(data.columns));
 }
 
 
@@ -96,40 +284,7 @@ function arrangeWarningComments(data) {
     if (!data.columns.some(col => col.includes('warning'))) {
         return data;
     }
-
-    // Extract column names
-    const allColumns = data.columns;
-
-    // Separate warning columns and data columns
-    const warningColumns = allColumns.filter(col => col.endsWith('.data.warning'));
-    const dataColumns = allColumns.filter(col => !col.endsWith('.data.change') && !col.endsWith('.data.warning'));
-
-    // Create column pairs
-    const columnPairs = dataColumns.map((col, index) => [warningColumns[index], col]);
-
-    // Create a new column order
-    const newColumnOrder = columnPairs.flatMap(pair => pair.filter(Boolean));
-
-    // Add any remaining columns that weren't paired
-    allColumns.forEach(col => {
-        if (!newColumnOrder.includes(col)) {
-            newColumnOrder.push(col);
-        }
-    });
-
-    // Rearrange columns in the data
-    return {
-        columns: newColumnOrder,
-        index: data.index,
-        data: data.data.map(row => {
-            const newRow = [];
-            newColumnOrder.forEach(col => {
-                const colIndex = allColumns.indexOf(col);
-                newRow.push(row[colIndex]);
-            });
-            return newRow;
-        })
-    };
+    return applyLayout(data, warningCommentLayout(data.columns));
 }
 
 
@@ -144,36 +299,66 @@ function arrangeAllComments(data) {
     if (!data.columns.some(col => col.includes('data.change'))) {
         return data;
     }
+    return applyLayout(data, allCommentLayout(data.columns));
+}
+
+
+/** Prefix of the columns in which participating studies respond to a change or warning. */
+const STUDY_COMMENT_PREFIX = 'Comments from Study for ';
+
+
+/** True for the `.data.change`/`.data.warning` columns studies respond to. */
+const isFlagColumn = (col) => !col.startsWith(STUDY_COMMENT_PREFIX)
+    && (col.endsWith('.data.change') || col.endsWith('.data.warning'));
 
-    // Extract column names
-    const allColumns = data.columns;
-
-    // Separate comment columns and data columns
-    const commentColumns = allColumns.filter(col => col.endsWith('.data.change'));
-    const dataColumns = commentColumns.map(col => col.replace('.data.change', ''));
-
-    // Create column pairs
-    const columnPairs = dataColumns.map((col, index) => [commentColumns[index], col]);
-
-    // Create a new column order
-    let newColumnOrder = [];
-    allColumns.forEach(col => {
-        if (dataColumns.includes(col)) {
-            const pair = columnPairs.find(pair => pair[1] === col);
-            newColumnOrder.push(col);
-            newColumnOrder.push(pair[0]);
-        } else if (!commentColumns.includes(col)) {
-            newColumnOrder.push(col);
+
+/**
+ * Layout with a new study comment column after every comment column, see `addStudyCommentColumns`.
+ * @param {string[]} columns - column names
+ * @returns {{columns: string[], sources: number[]}}
+ */
+function studyCommentLayout(columns) {
+    const names = new Set(columns);
+    const layout = {columns: [], sources: []};
+    columns.forEach((col, idx) => {
+        layout.columns.push(col);
+        layout.sources.push(idx);
+        if (isFlagColumn(col) && !names.has(STUDY_COMMENT_PREFIX + col)) {
+            layout.columns.push(STUDY_COMMENT_PREFIX + col);
+            layout.sources.push(-1);
         }
     });
+    return layout;
+}
+
+
+/**
+ * Inserts a blank “Comments from Study for <col>” column after every `.data.change` and
+ * `.data.warning` column, as the last step of R's warnings_qc() does. Studies fill these in
+ * when they return the report.
+ * @param data - The data, represented as a JSON in split orientation.
+ * @returns {{data: *, columns: *[], index: *}} - data with a study comment column after each comment column.
+ */
+function addStudyCommentColumns(data) {
+    if (!data.columns.some(isFlagColumn)) {
+        return data;
+    }
+    return applyLayout(data, studyCommentLayout(data.columns));
+}
 
-    // Rearrange columns in the data
+
+/**
+ * Copies a dataset deeply enough that adding, removing or editing columns and cells of the copy
+ * leaves the original untouched. Other fields (e.g. `types`, `log`) are carried over as they are.
+ * @param data - The data, represented as a JSON in split orientation.
+ * @returns {{data: *[][], columns: *[], index: *[]}} - a copy of the data.
+ */
+function copyDataset(data) {
     return {
-        columns: newColumnOrder,
-        index: data.index,
-        data: data.data.map(row => {
-            return newColumnOrder.map(col => row[allColumns.indexOf(col)]);
-        })
+        ...data,
+        columns: [...data.columns],
+        index: [...data.index],
+        data: data.data.map(row => [...row])
     };
 }
 
@@ -268,4 +453,4 @@ function listMissingColumns(dataDict, data) {
 }
 
 
-export {getRangeValues, arrangeChangeComments, arrangeWarningComments, arrangeAllComments, isUnique, changeCaseMatch, listMissingColumns};
\ No newline at end of file
+export {getRangeValues, getCrossVariables, copyDataset, indexColumns, columnPositions, identityLayout, composeLayouts, filterLayout, applyLayout, isEmptyColumn, changeCommentLayout, warningCommentLayout, allCommentLayout, studyCommentLayout, arrangeChangeComments, arrangeWarningComments, arrangeAllComments, STUDY_COMMENT_PREFIX, addStudyCommentColumns, isUnique, changeCaseMatch, listMissingColumns};
\ No newline at end of file
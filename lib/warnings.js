@@ -1,43 +1,108 @@
+import {
+    getRangeValues, getCrossVariables, columnPositions, isUnique, indexColumns, identityLayout, composeLayouts, filterLayout, applyLayout, isEmptyColumn,
+    warningCommentLayout, allCommentLayout, studyCommentLayout, STUDY_COMMENT_PREFIX
+} from './utils.js';
+import {createDataEnvironment, forEachRow, compileCondition} from './expressions.js';
+import {createSpecialCodeResolver, getSpecialCodes, isSpecialCode, specialCodeTester} from './specialCodes.js';
+import {recordEvent} from './auditLog.js';
+import {parseDate} from './dates.js';
+import {createCodeList} from './codeLists.js';
+
+/**
+ * Name of the comment column a warning rule writes to. The R rules use `Comment_Variable`
+ * to put a warning on a different column than the one being checked (e.g. flag `parous`
+ * when `parity` is inconsistent with it); when it is blank, the checked `Variable` is used.
+ */
+function warningCommentColumn(params) {
+    const commentVariable = params.Comment_Variable;
+    if (commentVariable === undefined || commentVariable === null || String(commentVariable).trim() === '') {
+        return `${params.Variable}.data.warning`;
+    }
+    return `${String(commentVariable).trim()}.data.warning`;
+}
+
+
+/**
+ * Finds the rule's `.data.warning` column, adding an empty one if it doesn't exist yet.
+ * @returns {number} index of the comment column
+ */
+function ensureWarningColumn(data, params, columnIndex) {
+    const commentCol = warningCommentColumn(params);
+    let commentIdx = columnIndex.get(commentCol);
+    if (commentIdx === undefined) {
+        commentIdx = data.columns.length;
+        data.columns.push(commentCol);
+        columnIndex.set(commentCol, commentIdx);
+        for (const row of data.data) {
+            row.push(null);
+        }
+    }
+    return commentIdx;
+}
+
+
+/**
+ * Appends the rule comment to a row's warning cell, pipe-separating multiple warnings, and
+ * records the warning, with the value of the variable at `varIndex`, in the audit log of the context.
+ * `duplicateOf` is the other rows of a unique.warnings key, for the `duplicateOf` of the entry.
+ */
+function addWarning(data, row, varIndex, commentIdx, params, context, duplicateOf) {
+    const cells = data.data[row];
+    if (!cells[commentIdx]) {
+        cells[commentIdx] = params.Comments;
+    } else {
+        cells[commentIdx] += ` | ${params.Comments}`;
+    }
+    const value = cells[varIndex];
+    recordEvent(context, data, row, {
+        kind: 'warning',
+        variable: params.Variable,
+        column: data.columns[commentIdx],
+        oldValue: value,
+        newValue: value,
+        ruleType: params['QC Type'],
+        comment: params.Comments,
+        duplicateOf
+    });
+}
+
+
+/** Cross variables of a warning rule, from its `Cross Variable N` / `Cross Variable N Value` columns. */
+function warningCrossVariables(params) {
+    return getCrossVariables(params, n => `Cross Variable ${n}`, n => `Cross Variable ${n} Value`);
+}
+
+
 /**
  * Range warnings. The R code used e.g. “range.warnings” to say:
  *   if rowValue < min or rowValue > max (excluding special codes like 777/888),
  *   then we add a comment in `.data.warning`.
  *
  * This is simplified. I assume `params['Valid Value Lower']` and
- * `params['Valid Value Higher']` are numeric. I skip rowValue if it’s in {666,777,888}.
+ * `params['Valid Value Higher']` are numeric. I skip rowValue if it’s one of the special
+ * codes of the variable (by default 666, 777 and 888, see `lib/specialCodes.js`).
  */
-function rangeWarnings(data, params) {
-    const varIndex = data.columns.indexOf(params.Variable);
+function rangeWarnings(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.Variable) ?? -1;
     if (varIndex === -1) {
         console.log(`${params.Variable} not present in data set, skipping this QC step`);
         return data;
     }
     // Prepare the comment column
-    const commentCol = `${params.Variable}.data.warning`;
-    let commentIdx = data.columns.indexOf(commentCol);
-    if (commentIdx === -1) {
-        commentIdx = data.columns.length;
-        data.columns.push(commentCol);
-        for (const row of data.data) {
-            row.push(null);
-        }
-    }
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
 
     const minVal = Number(params['Valid Value Lower']);
     const maxVal = Number(params['Valid Value Higher']);
-    const skipVals = [666, 777, 888]; // frequently used special codes
+    const skipVals = getSpecialCodes(context, params.Variable, params);
 
     for (let i = 0; i < data.data.length; i++) {
         const val = data.data[i][varIndex];
         if (val === undefined || val === null) continue;
-        if (skipVals.includes(val)) continue;
+        if (isSpecialCode(skipVals, val)) continue;
 
         if (val < minVal || val > maxVal) {
-            if (!data.data[i][commentIdx]) {
-                data.data[i][commentIdx] = params.Comments;
-            } else {
-                data.data[i][commentIdx] += ` | ${params.Comments}`;
-            }
+            addWarning(data, i, varIndex, commentIdx, params, context);
         }
     }
 
@@ -49,31 +114,59 @@ function rangeWarnings(data, params) {
  * valid.warnings checks that rowValue is in the “Valid Values” set.
  * If not, it logs a comment in `.data.warning`.
  */
-function validWarnings(data, params) {
-    const varIndex = data.columns.indexOf(params.Variable);
+function validWarnings(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.Variable) ?? -1;
     if (varIndex === -1) {
         console.log(`${params.Variable} not present - skipping this QC step`);
         return data;
     }
-    const commentCol = `${params.Variable}.data.warning`;
-    let commentIdx = data.columns.indexOf(commentCol);
-    if (commentIdx === -1) {
-        commentIdx = data.columns.length;
-        data.columns.push(commentCol);
-        for (const row of data.data) {
-            row.push(null);
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
+
+    const validVals = new Set(getRangeValues(params['Valid Values']).map(x => +x || x));
+    for (let i = 0; i < data.data.length; i++) {
+        const val = data.data[i][varIndex];
+        if (!validVals.has(val)) {
+            addWarning(data, i, varIndex, commentIdx, params, context);
         }
     }
 
-    const validVals = getRangeValues(params['Valid Values']).map(x => +x || x);
+    return data;
+}
+
+
+/**
+ * crossvalid1.warnings through crossvalid4.warnings. A row is flagged when the variable
+ * holds one of its “Valid Values” while any cross variable does NOT hold one of its
+ * “Cross Variable N Value” values, e.g. `parity` is 1+ but `parous` is not 1:
+ *
+ *   rowValue in Valid Values & ( cross1 not in Cross Variable 1 Value
+ *                              | cross2 not in Cross Variable 2 Value | ... )
+ *
+ * A rule without any cross variable is skipped.
+ */
+function crossvalidWarnings(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const crossVariables = warningCrossVariables(params);
+    const missing = [params.Variable, ...crossVariables.map(c => c.variable)]
+        .filter(v => !columnIndex.has(v));
+    if (missing.length > 0 || crossVariables.length === 0) {
+        console.log(`${params.Variable} or cross variables not present in data set, skipping this QC step`);
+        return data;
+    }
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
+
+    const varIndex = columnIndex.get(params.Variable);
+    const validVals = new Set(getRangeValues(params['Valid Values']).map(x => +x || x));
+    const crossChecks = crossVariables.map(c => ({
+        index: columnIndex.get(c.variable),
+        values: new Set(getRangeValues(c.value).map(x => +x || x))
+    }));
+
     for (let i = 0; i < data.data.length; i++) {
-        const val = data.data[i][varIndex];
-        if (!validVals.includes(val)) {
-            if (!data.data[i][commentIdx]) {
-                data.data[i][commentIdx] = params.Comments;
-            } else {
-                data.data[i][commentIdx] += ` | ${params.Comments}`;
-            }
+        const row = data.data[i];
+        if (validVals.has(row[varIndex]) && crossChecks.some(c => !c.values.has(row[c.index]))) {
+            addWarning(data, i, varIndex, commentIdx, params, context);
         }
     }
 
@@ -82,77 +175,338 @@ function validWarnings(data, params) {
 
 
 /**
- * Cross-range warnings. The CSV might specify a formula check, e.g. check that
- * “age_preg2 > age_preg1” or that if “baseline=0 then qcycle >=1,” etc.
- * I do a partial approach:
- * - I interpret params.Formula_Condition as a JS expression with variable references
- * - I interpret Cross Variable # / # Value in a minimal approach
+ * Cross-range warnings, “crossrange.warnings” and “crossrange2.warnings”. The CSV specifies a
+ * formula check, e.g. check that “age_preg2 > age_preg1” when “parous == 1”. As in the R code,
+ * a row is flagged when it matches every `Cross Variable N Value` and FAILS `Formula_Condition`;
+ * a formula that evaluates to NA is not treated as a failure.
+ *
+ * Each `Cross Variable N Value` is either a plain list of values matched against
+ * `Cross Variable N` (e.g. "1" or "777,888") or an R expression (e.g. "parous == 1").
  */
-function crossrangeWarnings(data, params) {
+function crossrangeWarnings(data, params, context = {}) {
     // We check if main variable + cross variables exist
-    if (!data.columns.includes(params.Variable)) {
-        console.log(`Either ${params.Variable} not present, skipping.`);
+    const columnIndex = columnPositions(data, context);
+    const crossVariables = warningCrossVariables(params);
+    const missingVars = [params.Variable, ...crossVariables.map(c => c.variable)]
+        .filter(v => !columnIndex.has(v));
+    if (missingVars.length > 0 || crossVariables.length === 0) {
+        console.log(`Either ${params.Variable} or cross variables not present in data set, skipping this QC step`);
+        return data;
+    }
+
+    let formula;
+    let crossConditions;
+    try {
+        formula = compileCondition(params.Formula_Condition);
+        crossConditions = crossVariables.map(c => compileCondition(c.value, c.variable));
+    } catch (err) {
+        console.warn(`Cannot parse condition of ${params['QC Type']} rule for ${params.Variable}: ${err.message}`);
+        return data;
+    }
+    const missing = [...formula.variables, ...crossConditions.flatMap(c => c.variables)]
+        .filter(v => !columnIndex.has(v));
+    if (missing.length > 0) {
+        console.log(`Either ${params.Variable} or formula variables not present in data set, skipping this QC step`);
         return data;
     }
-    const mainVarIdx = data.columns.indexOf(params.Variable);
 
     // Build up the comment col
-    const commentCol = `${params.Variable}.data.warning`;
-    let commentIdx = data.columns.indexOf(commentCol);
-    if (commentIdx === -1) {
-        commentIdx = data.columns.length;
-        data.columns.push(commentCol);
-        for (const row of data.data) {
-            row.push(null);
+    const varIndex = columnIndex.get(params.Variable);
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
+
+    const env = createDataEnvironment(data, {isSpecialCode: specialCodeTester(context, params), columns: context.datasetColumns});
+    forEachRow(data, env, `${params['QC Type']} rule for ${params.Variable}`, (i) => {
+        if (!crossConditions.every(c => c.test(env))) return;
+        if (formula.evaluate(env) === false) {
+            addWarning(data, i, varIndex, commentIdx, params, context);
         }
+    });
+    return data;
+}
+
+
+/**
+ * value_check.warnings flags rows where the variable is larger than `Cross Variable 1`,
+ * e.g. an age at first pregnancy above the age at baseline. Special codes (e.g. 777/888) in
+ * either variable are not checked, and rows where either value is missing are not flagged.
+ */
+function valueCheckWarnings(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.Variable) ?? -1;
+    const crossIndex = columnIndex.get(params['Cross Variable 1']) ?? -1;
+    if (varIndex === -1 || crossIndex === -1) {
+        console.log(`${params.Variable} or cross variables not present in data set, skipping this QC step`);
+        return data;
     }
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
+    const skipVals = getSpecialCodes(context, params.Variable, params);
+    const crossSkipVals = getSpecialCodes(context, params['Cross Variable 1'], params);
 
-    // We'll parse the formula condition into a function that references columns
-    // named in `params.Formula_Variable`.
-    // But we do not implement 100% coverage for R syntax.
-    let formulaFn = () => false;
-    if (params.Formula_Condition) {
-        // Example: "subject_id %in% is.Unique(data$subject_id)" is R code – we cannot parse that well.
-        // We'll do a minimal approach and skip complicated expressions.
-        // We'll just try a direct new Function, searching for variable references.
-        try {
-            // In the CSV, "Formula_Condition" might have "qcycle >=1 && qcycle !=888", etc.
-            // We'll create function with signature (row, data, columns).
-            // Then we replace variable references with row lookups. This is quite advanced to do robustly.
-            // For simplicity, do a naive approach: no rewriting, but the user must pass valid JS.
-            formulaFn = new Function('row', 'cols', `return (${params.Formula_Condition});`);
-        } catch (e) {
-            console.warn('Failed to parse formula condition:', params.Formula_Condition);
+    for (let i = 0; i < data.data.length; i++) {
+        const val = data.data[i][varIndex];
+        const crossVal = data.data[i][crossIndex];
+        if (val === undefined || val === null || crossVal === undefined || crossVal === null) continue;
+        if (isSpecialCode(skipVals, val) || isSpecialCode(crossSkipVals, crossVal)) continue;
+
+        if (Number(val) > Number(crossVal)) {
+            addWarning(data, i, varIndex, commentIdx, params, context);
         }
     }
 
-    // For cross var 1, we see if it is in data; we parse cross var 1 value.
-    // Then if row cross var 1 = that value, we check formula
-    if (params['Cross Variable 1'] && data.columns.includes(params['Cross Variable 1'])) {
-        const crossIdx = data.columns.indexOf(params['Cross Variable 1']);
+    return data;
+}
+
+
+/**
+ * date.warnings flags values of a date variable that are not dates: neither an ISO
+ * (“2020-03-15”), US (“03/15/2020”) nor Excel serial date (see `lib/dates.js`). Missing values
+ * and special codes are not flagged.
+ */
+function dateWarnings(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.Variable) ?? -1;
+    if (varIndex === -1) {
+        console.log(`${params.Variable} not present in data set, skipping this QC step`);
+        return data;
+    }
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
+    const skipVals = getSpecialCodes(context, params.Variable, params);
 
-        // parse cross var 1 value
-        let crossValFn = () => false;
-        try {
-            crossValFn = new Function('val', `return (${params['Cross Variable 1 Value']});`);
-        } catch (err) {
-            // fallback to membership approach
-            const triggers = getRangeValues(params['Cross Variable 1 Value']).map(x => +x || x);
-            crossValFn = (v) => triggers.includes(v);
+    for (let i = 0; i < data.data.length; i++) {
+        const val = data.data[i][varIndex];
+        if (val === undefined || val === null || isSpecialCode(skipVals, val)) continue;
+        if (parseDate(val) === null) {
+            addWarning(data, i, varIndex, commentIdx, params, context);
         }
+    }
+
+    return data;
+}
+
 
-        for (let i = 0; i < data.data.length; i++) {
-            const crossVal = data.data[i][crossIdx];
-            const formulaPass = formulaFn(data.data[i], data, data.columns);
-            if (crossValFn(crossVal) && formulaPass) {
-                if (!data.data[i][commentIdx]) {
-                    data.data[i][commentIdx] = params.Comments;
-                } else {
-                    data.data[i][commentIdx] += ` | ${params.Comments}`;
-                }
-            }
+/**
+ * daterange.warnings flags dates outside the study window, from `Valid Value Lower` to
+ * `Valid Value Higher` (both included), e.g. diagnosis dates after the end of follow-up. The
+ * bounds are dates in any of the forms `parseDate` reads; a blank bound leaves that side of the
+ * window open. Values that are not dates, special codes included, are left to date.warnings.
+ */
+function dateRangeWarnings(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.Variable) ?? -1;
+    if (varIndex === -1) {
+        console.log(`${params.Variable} not present in data set, skipping this QC step`);
+        return data;
+    }
+    const bound = (field) => {
+        const value = params[field];
+        if (value === undefined || value === null || String(value).trim() === '') return null;
+        const date = parseDate(value);
+        if (date === null) throw new Error(`${field} "${value}" is not a date`);
+        return date;
+    };
+    let lower;
+    let higher;
+    try {
+        lower = bound('Valid Value Lower');
+        higher = bound('Valid Value Higher');
+    } catch (err) {
+        console.warn(`Cannot read the window of ${params['QC Type']} rule for ${params.Variable}: ${err.message}`);
+        return data;
+    }
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
+    const skipVals = getSpecialCodes(context, params.Variable, params);
+
+    for (let i = 0; i < data.data.length; i++) {
+        const val = data.data[i][varIndex];
+        if (val === undefined || val === null || isSpecialCode(skipVals, val)) continue;
+        const date = parseDate(val);
+        // ISO dates compare as text
+        if (date !== null && ((lower !== null && date < lower) || (higher !== null && date > higher))) {
+            addWarning(data, i, varIndex, commentIdx, params, context);
+        }
+    }
+
+    return data;
+}
+
+
+/**
+ * dateorder.warnings flags rows where the date `Variable` is before the date `Cross Variable 1`,
+ * which it must be on or after, e.g. a last follow-up (`lastfup`) before the diagnosis date.
+ * Rows where either value is missing, a special code or not a date are not flagged.
+ */
+function dateOrderWarnings(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.Variable) ?? -1;
+    const crossIndex = columnIndex.get(params['Cross Variable 1']) ?? -1;
+    if (varIndex === -1 || crossIndex === -1) {
+        console.log(`${params.Variable} or cross variables not present in data set, skipping this QC step`);
+        return data;
+    }
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
+    const skipVals = getSpecialCodes(context, params.Variable, params);
+    const crossSkipVals = getSpecialCodes(context, params['Cross Variable 1'], params);
+
+    for (let i = 0; i < data.data.length; i++) {
+        const val = data.data[i][varIndex];
+        const crossVal = data.data[i][crossIndex];
+        if (isSpecialCode(skipVals, val) || isSpecialCode(crossSkipVals, crossVal)) continue;
+        const date = parseDate(val);
+        const crossDate = parseDate(crossVal);
+        if (date !== null && crossDate !== null && date < crossDate) {
+            addWarning(data, i, varIndex, commentIdx, params, context);
+        }
+    }
+
+    return data;
+}
+
+
+/**
+ * code.warnings flags values that are not valid codes, e.g. ICD-10 diagnosis or ICD-O-3
+ * morphology codes. The valid codes come from the code list named in `Code List`, as passed to
+ * `warningsQc` in `options.codeLists` (see `lib/codeLists.js`), and/or from `Valid Values`, a comma-
+ * or semicolon-separated list of codes, prefixes and ranges, e.g. "C50.0-C50.9". When both are
+ * given, a value must be in both, e.g. a valid ICD-10 code that is also a breast cancer code.
+ * Missing values and special codes are not flagged.
+ */
+function codeWarnings(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const varIndex = columnIndex.get(params.Variable) ?? -1;
+    if (varIndex === -1) {
+        console.log(`${params.Variable} not present in data set, skipping this QC step`);
+        return data;
+    }
+    const lists = [];
+    const listName = params['Code List'];
+    if (listName !== undefined && listName !== null && String(listName).trim() !== '') {
+        const list = context.codeLists?.[String(listName).trim()];
+        if (!list) {
+            console.warn(`Code list "${listName}" of ${params['QC Type']} rule for ${params.Variable} is not loaded, skipping this QC step`);
+            return data;
+        }
+        lists.push(Array.isArray(list) ? createCodeList(list) : list);
+    }
+    const validValues = params['Valid Values'];
+    if (validValues !== undefined && validValues !== null && String(validValues).trim() !== '') {
+        lists.push(createCodeList(String(validValues).split(/[,;]/)));
+    }
+    if (lists.length === 0) {
+        console.warn(`${params['QC Type']} rule for ${params.Variable} has no Code List or Valid Values, skipping this QC step`);
+        return data;
+    }
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
+    const skipVals = getSpecialCodes(context, params.Variable, params);
+
+    for (let i = 0; i < data.data.length; i++) {
+        const val = data.data[i][varIndex];
+        if (val === undefined || val === null || isSpecialCode(skipVals, val)) continue;
+        if (!lists.every(list => list.has(val))) {
+            addWarning(data, i, varIndex, commentIdx, params, context);
         }
     }
+
+    return data;
+}
+
+
+/**
+ * The comment of a unique.warnings rule for one duplicate row, citing the `index` entries of the
+ * other rows with the same key, e.g. "Duplicate subject_id (duplicate of rows 4, 9)".
+ */
+function duplicateComment(comment, otherRows) {
+    return `${comment} (duplicate of ${otherRows.length === 1 ? 'row' : 'rows'} ${otherRows.join(', ')})`;
+}
+
+/**
+ * The rule comment of a unique.warnings audit log entry, without the rows its `duplicateOf` cites.
+ * @param {Object} entry - an audit log entry recorded by `uniqueWarnings`
+ * @returns {string}
+ */
+function duplicateRuleComment(entry) {
+    const comment = String(entry.comment);
+    const suffix = duplicateComment('', entry.duplicateOf);
+    return comment.endsWith(suffix) ? comment.slice(0, -suffix.length) : comment;
+}
+
+
+/** Key groups of unique.warnings rules over the whole columns of streamed files, by `datasetColumns`. */
+const duplicateKeysCache = new WeakMap();
+
+/**
+ * Groups rows by their key. A key is made of the values of the key columns at a row; rows with a
+ * missing value have no key.
+ * @param {Array[]} keyColumns - the values of each key column
+ * @returns {{keys: Array<string|null>, duplicates: Map<string, number[]>}} the key of every row, and
+ *  the rows of each key that is not unique
+ */
+function duplicateKeys(keyColumns) {
+    const keys = keyColumns[0].map((_, position) => {
+        const parts = keyColumns.map(column => column[position]);
+        return parts.some(v => v === undefined || v === null || v === '') ? null : JSON.stringify(parts.map(String));
+    });
+    const uniqueKeys = new Set(isUnique(keys));
+    const duplicates = new Map();
+    keys.forEach((key, position) => {
+        if (key === null || uniqueKeys.has(key)) return;
+        if (!duplicates.has(key)) duplicates.set(key, []);
+        duplicates.get(key).push(position);
+    });
+    return {keys, duplicates};
+}
+
+
+/**
+ * unique.warnings flags records that share a key which should identify them, such as
+ * `subject_id`, or `subject_id` and `dxdate` in incident data, where a woman can have more than one
+ * diagnosis but not two on the same day. The key is the `Variable` and any `Cross Variable N`;
+ * the R rules wrote this as `subject_id %in% is.Unique(data$subject_id)`. Every row of a duplicate
+ * key is flagged, not just the repeats, with the rule comment followed by the `index` entries of
+ * the other rows of the key (see `duplicateComment`), which the audit log entry also holds as its
+ * `duplicateOf`. Rows with a missing key value are not flagged.
+ *
+ * When `data` is a chunk of a larger dataset, the key is looked up in the whole columns of
+ * `context.datasetColumns`, whose rows are the chunk's `index` entries (see `lib/streaming.js`).
+ */
+function uniqueWarnings(data, params, context = {}) {
+    const columnIndex = columnPositions(data, context);
+    const keyVariables = [params.Variable, ...warningCrossVariables(params).map(c => c.variable)];
+    if (keyVariables.some(v => !columnIndex.has(v))) {
+        console.log(`${params.Variable} or cross variables not present in data set, skipping this QC step`);
+        return data;
+    }
+    const varIndex = columnIndex.get(params.Variable);
+    const commentIdx = ensureWarningColumn(data, params, columnIndex);
+
+    // the key columns of the whole dataset, and where each row of `data` is in them
+    const whole = keyVariables.every(v => context.datasetColumns?.has(v));
+    const keyColumns = whole
+        ? keyVariables.map(v => context.datasetColumns.get(v))
+        : keyVariables.map(v => data.data.map(row => row[columnIndex.get(v)]));
+    const rowLabel = whole ? (position) => position : (position) => data.index[position];
+    const positionOf = whole ? (i) => data.index[i] : (i) => i;
+
+    let found;
+    if (whole) {
+        // the chunks of a streamed file share the whole columns, so their keys are grouped once
+        const cached = duplicateKeysCache.get(context.datasetColumns) ?? new Map();
+        duplicateKeysCache.set(context.datasetColumns, cached);
+        const name = JSON.stringify(keyVariables);
+        if (!cached.has(name)) cached.set(name, duplicateKeys(keyColumns));
+        found = cached.get(name);
+    } else {
+        found = duplicateKeys(keyColumns);
+    }
+    const {keys, duplicates} = found;
+
+    for (let i = 0; i < data.data.length; i++) {
+        const position = positionOf(i);
+        const group = duplicates.get(keys[position]);
+        if (!group) continue;
+        const otherRows = group.filter(p => p !== position).map(rowLabel);
+        addWarning(data, i, varIndex, commentIdx, {...params, Comments: duplicateComment(params.Comments, otherRows)}, context, otherRows);
+    }
+
     return data;
 }
 
@@ -161,25 +515,38 @@ function crossrangeWarnings(data, params) {
 const warningFnMap = {
     'range.warnings': rangeWarnings,
     'valid.warnings': validWarnings,
-    'crossrange.warnings': crossrangeWarnings
-    // also "crossvalid1.warnings", "crossvalid2.warnings", etc.
-    // in actual code, you would add them similarly
+    'crossvalid1.warnings': crossvalidWarnings,
+    'crossvalid2.warnings': crossvalidWarnings,
+    'crossvalid3.warnings': crossvalidWarnings,
+    'crossvalid4.warnings': crossvalidWarnings,
+    'crossrange.warnings': crossrangeWarnings,
+    'crossrange2.warnings': crossrangeWarnings,
+    'value_check.warnings': valueCheckWarnings,
+    'date.warnings': dateWarnings,
+    'daterange.warnings': dateRangeWarnings,
+    'dateorder.warnings': dateOrderWarnings,
+    'code.warnings': codeWarnings,
+    'unique.warnings': uniqueWarnings
 };
 
 
 /**
  * Handler for applying a single warning rule to the dataset.
  */
-function runQaTypeWarnings(data, params) {
+function runQaTypeWarnings(data, params, context) {
     const fn = warningFnMap[params['QC Type']];
     if (!fn) {
         console.warn(`No warning function mapped for type: ${params['QC Type']}`);
         return data;
     }
-    return fn(data, params);
+    return fn(data, params, context);
 }
 
 
+/** What `warningsQc` can return, see its `options.output`. */
+const WARNINGS_OUTPUT_MODES = ['flagged', 'all', 'indices'];
+
+
 /**
  * The main function for applying warning rules.
  *  1) Clear existing `.data.warning` columns
@@ -189,86 +556,86 @@ function runQaTypeWarnings(data, params) {
  *  5) Then filter the returned data so that only rows that have at least one
  *     comment (either data.change or data.warning) remain (the R code does
  *     something like that).
+ *  6) Insert a blank “Comments from Study for <col>” column after every
+ *     `.data.change`/`.data.warning` column, for studies to respond to the flags.
  *
  * In the original R code, the final data returned by warnings_qc() was
- * only those rows that had flagged warnings or changes. If you want to keep
- * the entire dataset, remove that final filter step.
+ * only those rows that had flagged warnings or changes. `options.output` selects what is returned:
+ *  - 'flagged' (default): the flagged rows, as in R
+ *  - 'all': every row, flagged or not, skipping step 5
+ *  - 'indices': only the `index` entries of the flagged rows
+ * The rules are applied to a copy: `data` itself is left untouched.
+ *
+ * `options.specialCodes` sets the special codes of the dataset and `options.dataDict` is read for
+ * per-variable codes (see `lib/specialCodes.js`); the defaults are 666, 777 and 888.
+ * `options.codeLists` maps the names in the `Code List` column of code.warnings rules to their
+ * code lists (see `lib/codeLists.js`).
+ * `options.onProgress` is called with {ruleIndex, ruleCount, rule} after each rule is applied.
+ * `options.datasetColumns` gives whole columns for `data$col` in rule expressions and for the keys
+ * of unique.warnings rules, when `data` is a chunk of a larger dataset (see `lib/streaming.js`).
+ * `options.skipRules` holds the indices of rules not to apply, as for `changesQc`.
+ *
+ * Every warning is also recorded in the `log` of the returned dataset (see `lib/auditLog.js`),
+ * after the change entries `changesQc` left in `data.log`.
  */
-function warningsQc(rules, data) {
-    // 1) remove existing .data.warning columns
-    const removeIndices = [];
-    data.columns.forEach((colName, idx) => {
-        if (colName.endsWith('.data.warning')) {
-            removeIndices.push(idx);
-        }
-    });
-    removeIndices.reverse().forEach(rmIdx => {
-        data.columns.splice(rmIdx, 1);
-        for (const row of data.data) {
-            row.splice(rmIdx, 1);
+function warningsQc(rules, data, options = {}) {
+    const output = options.output ?? 'flagged';
+    if (!WARNINGS_OUTPUT_MODES.includes(output)) {
+        throw new Error(`Unknown warningsQc output: ${output}. Expected one of ${WARNINGS_OUTPUT_MODES.join(', ')}`);
+    }
+    const log = (data.log ?? []).filter(entry => entry.kind !== 'warning');
+    const context = {
+        specialCodes: createSpecialCodeResolver({specialCodes: options.specialCodes, dataDict: options.dataDict}),
+        datasetColumns: options.datasetColumns,
+        codeLists: options.codeLists,
+        log
+    };
+
+    // 1) remove existing .data.warning and study comment columns, working on a copy of the data from here on
+    let updatedData = applyLayout(data, filterLayout(identityLayout(data.columns),
+        col => !col.endsWith('.data.warning') && !col.startsWith(STUDY_COMMENT_PREFIX)));
+
+    // 2) apply each rule in order, sharing the positions of the columns, which the rules keep up
+    //    to date as they add comment columns
+    context.columnIndex = indexColumns(updatedData.columns);
+    rules.forEach((rule, ruleIndex) => {
+        if (!options.skipRules?.has(ruleIndex)) {
+            updatedData = runQaTypeWarnings(updatedData, rule, {...context, ruleIndex});
         }
+        options.onProgress?.({ruleIndex, ruleCount: rules.length, rule});
     });
 
-    // 2) apply each rule in order
-    let updatedData = data;
-    for (const rule of rules) {
-        updatedData = runQaTypeWarnings(updatedData, rule);
-    }
-
     // 3) arrange warning comment columns
-    updatedData = arrangeWarningComments(updatedData);
+    let layout = warningCommentLayout(updatedData.columns);
     // 4) also re-arrange .data.change columns if needed
-    updatedData = arrangeAllComments(updatedData);
-
+    layout = composeLayouts(layout, allCommentLayout(layout.columns));
     // remove empty .data.warning columns
-    const remove2 = [];
-    updatedData.columns.forEach((col, cIndex) => {
-        if (col.endsWith('.data.warning')) {
-            let allEmpty = true;
-            for (const rowArr of updatedData.data) {
-                if (rowArr[cIndex] !== null && rowArr[cIndex] !== undefined) {
-                    allEmpty = false;
-                    break;
-                }
-            }
-            if (allEmpty) {
-                remove2.push(cIndex);
-            }
-        }
-    });
-    remove2.reverse().forEach(idx => {
-        updatedData.columns.splice(idx, 1);
-        for (const row of updatedData.data) {
-            row.splice(idx, 1);
-        }
-    });
+    layout = filterLayout(layout, (col, source) => !col.endsWith('.data.warning') || !isEmptyColumn(updatedData, source));
 
     // 5) filter rows that have no changes or warnings, if you want the final subset
     //    This is the logic from R: "filter(!if_all(ends_with('data.change'|'data.warning'), is.na))"
     //    i.e. keep only rows that have at least one change or warning
-    const changeWarningCols = updatedData.columns.filter(
-        c => c.endsWith('.data.change') || c.endsWith('.data.warning')
-    );
-    const keepRows = [];
+    const changeWarningIdx = filterLayout(layout, col => col.endsWith('.data.change') || col.endsWith('.data.warning')).sources;
+    const flaggedRows = [];
     for (let i = 0; i < updatedData.data.length; i++) {
         const rowArr = updatedData.data[i];
         // check if there's at least one non-null in the relevant columns
-        let hasFlag = false;
-        for (const colName of changeWarningCols) {
-            const colIndex = updatedData.columns.indexOf(colName);
-            if (rowArr[colIndex] !== null && rowArr[colIndex] !== undefined) {
-                hasFlag = true;
-                break;
-            }
-        }
-        if (hasFlag) {
-            keepRows.push(rowArr);
+        if (changeWarningIdx.some(colIndex => rowArr[colIndex] !== null && rowArr[colIndex] !== undefined)) {
+            flaggedRows.push(i);
         }
     }
-    updatedData.data = keepRows;
+    if (output === 'indices') {
+        return flaggedRows.map(i => updatedData.index[i]);
+    }
+
+    // 6) add a blank "Comments from Study for <col>" column after every change/warning
+    //    column, for the participating study to respond in
+    layout = composeLayouts(layout, studyCommentLayout(layout.columns));
 
-    return updatedData;
+    // lay out the rows once, for all of the steps above
+    return {...applyLayout(updatedData, layout, output === 'flagged' ? flaggedRows : undefined), log};
 }
 
 
-export {rangeWarnings, validWarnings, crossrangeWarnings, warningsQc};
\ No newline at end of file
+export {warningCommentColumn, rangeWarnings, validWarnings, crossvalidWarnings, crossrangeWarnings, valueCheckWarnings, dateWarnings, dateRangeWarnings, dateOrderWarnings, codeWarnings, uniqueWarnings,
+    duplicateComment, duplicateRuleComment, warningFnMap, WARNINGS_OUTPUT_MODES, warningsQc};
\ No newline at end of file
@@ -0,0 +1,208 @@
+import ExcelJS from 'exceljs';
+import {coreSummaryReport, incidentSummaryReport} from './reporting.js';
+
+/**
+ * Writing of the QC report workbook. The layout matches the R `core_summary_report()` and
+ * `incident_summary_report()` output: a "QC Data" sheet, a "Missing Variables" sheet and one
+ * summary sheet per dictionary category, listing the change and warning comments with their counts.
+ * When the data holds special codes, a "Special Codes" sheet counts them per variable, and when
+ * unique.warnings rules found duplicate records, a "Duplicate Records" sheet lists them by key.
+ */
+
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const HEADER_FILL = {type: 'pattern', pattern: 'solid', fgColor: {argb: 'FF1F4E78'}};
+const HEADER_FONT = {bold: true, color: {argb: 'FFFFFFFF'}};
+const CHANGE_FILL = {type: 'pattern', pattern: 'solid', fgColor: {argb: 'FFDDEBF7'}};
+const WARNING_FILL = {type: 'pattern', pattern: 'solid', fgColor: {argb: 'FFFCE4D6'}};
+
+
+/**
+ * Adds a worksheet with a styled, frozen header row.
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string} name - the sheet name
+ * @param {string[]} headers - the header row
+ * @param {Array[]} rows - the data rows
+ * @returns {ExcelJS.Worksheet}
+ */
+function addTableSheet(workbook, name, headers, rows) {
+    const sheet = workbook.addWorksheet(name, {views: [{state: 'frozen', ySplit: 1}]});
+    sheet.addRow(headers);
+    for (const row of rows) {
+        sheet.addRow(row.map(v => v === undefined ? null : v));
+    }
+
+    const header = sheet.getRow(1);
+    header.eachCell(cell => {
+        cell.fill = HEADER_FILL;
+        cell.font = HEADER_FONT;
+    });
+    headers.forEach((h, c) => {
+        sheet.getColumn(c + 1).width = Math.min(60, Math.max(10, String(h).length + 2));
+    });
+    if (headers.length > 0) {
+        sheet.autoFilter = {from: {row: 1, column: 1}, to: {row: 1, column: headers.length}};
+    }
+    return sheet;
+}
+
+
+/**
+ * Adds the "QC Data" sheet. Comment cells holding a change or a warning are shaded, along with
+ * the data cell they refer to, so flagged values stand out when the study opens the report.
+ * The last column holds the `index` of each row, by which the study responses are matched back
+ * to the rows when the report is returned (see `lib/feedback.js`).
+ */
+function addQcDataSheet(workbook, qcData) {
+    const sheet = addTableSheet(workbook, 'QC Data', [...qcData.columns, 'index'],
+        qcData.data.map((row, r) => [...row, qcData.index[r]]));
+
+    qcData.columns.forEach((col, c) => {
+        const suffix = col.endsWith('.data.change') ? '.data.change' : col.endsWith('.data.warning') ? '.data.warning' : null;
+        if (!suffix || col.startsWith('Comments')) return;
+        const fill = suffix === '.data.change' ? CHANGE_FILL : WARNING_FILL;
+        const varIdx = qcData.columns.indexOf(col.slice(0, -suffix.length));
+
+        qcData.data.forEach((row, r) => {
+            if (row[c] === null || row[c] === undefined) return;
+            sheet.getRow(r + 2).getCell(c + 1).fill = fill;
+            if (varIdx !== -1) {
+                sheet.getRow(r + 2).getCell(varIdx + 1).fill = fill;
+            }
+        });
+    });
+    return sheet;
+}
+
+
+/**
+ * Rows of a category summary sheet: the R `full_summ()` binds the changes summary and the
+ * warnings summary together, giving one row per comment under a "Changes" or a "Warnings" column.
+ */
+function summaryRows(entry) {
+    const rows = [];
+    const changes = Object.entries(entry.changes);
+    const warnings = Object.entries(entry.warnings);
+    if (changes.length === 0) rows.push(['No changes made', null, null]);
+    for (const [comment, count] of changes) {
+        rows.push([comment, null, count]);
+    }
+    if (warnings.length === 0) rows.push([null, 'No warnings detected', null]);
+    for (const [comment, count] of warnings) {
+        rows.push([null, comment, count]);
+    }
+    return rows;
+}
+
+
+/**
+ * Builds the QC report workbook from a summary report.
+ *
+ * @param {Object} report - a report from `summaryReport`, `coreSummaryReport` or `incidentSummaryReport`
+ * @param {Object} qcData - the QC'd dataset in split orientation
+ * @returns {ExcelJS.Workbook}
+ */
+function buildQcWorkbook(report, qcData) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    addQcDataSheet(workbook, qcData);
+
+    const missing = report.missingColumns;
+    addTableSheet(workbook, 'Missing Variables', ['Missing Variables'],
+        (Array.isArray(missing) ? missing : [missing]).map(v => [v]));
+
+    const specialCodeRows = Object.entries(report.specialCodes ?? {}).flatMap(([variable, codes]) =>
+        Object.entries(codes).map(([code, {meaning, count}]) => [variable, Number.isNaN(Number(code)) ? code : Number(code), meaning, count]));
+    if (specialCodeRows.length > 0) {
+        addTableSheet(workbook, 'Special Codes', ['Variable', 'Code', 'Meaning', 'Count'], specialCodeRows);
+    }
+
+    const duplicateRows = (report.duplicates ?? []).flatMap(({variable, comment, records}, group) =>
+        records.map(({index, subjectId}) => [group + 1, variable, comment, index, subjectId]));
+    if (duplicateRows.length > 0) {
+        const sheet = addTableSheet(workbook, 'Duplicate Records', ['Duplicate', 'Variable', 'Comment', 'Row', 'subject_id'], duplicateRows);
+        sheet.getColumn(3).width = 60;
+    }
+
+    for (const entry of report.categories) {
+        const sheet = addTableSheet(workbook, entry.sheet, ['Changes', 'Warnings', 'Count'], summaryRows(entry));
+        sheet.getColumn(1).width = 60;
+        sheet.getColumn(2).width = 60;
+    }
+    return workbook;
+}
+
+
+/**
+ * Builds the workbook of R's `core_summary_report()`.
+ * @param {Object[]} coreDict - array of dictionary row objects
+ * @param {Object} qcData - dataset in split orientation
+ * @param {string} studyName - name of the study
+ * @param {Object} [options] - `specialCodes` of the dataset, as for `warningsQc`
+ * @returns {ExcelJS.Workbook}
+ */
+function coreReportWorkbook(coreDict, qcData, studyName, options = {}) {
+    return buildQcWorkbook(coreSummaryReport(coreDict, qcData, studyName, options), qcData);
+}
+
+
+/**
+ * Builds the workbook of R's `incident_summary_report()`.
+ * @param {Object[]} incidentDict - array of dictionary row objects
+ * @param {Object} qcData - dataset in split orientation
+ * @param {string} studyName - name of the study
+ * @param {Object} [options] - `specialCodes` of the dataset, as for `warningsQc`
+ * @returns {ExcelJS.Workbook}
+ */
+function incidentReportWorkbook(incidentDict, qcData, studyName, options = {}) {
+    return buildQcWorkbook(incidentSummaryReport(incidentDict, qcData, studyName, options), qcData);
+}
+
+
+/**
+ * File name of a report, following the R naming, e.g. "PLCO BCRPP Core QC Report.xlsx".
+ * @param {string} studyName - name of the study
+ * @param {'core'|'incident'} kind - which report
+ * @returns {string}
+ */
+function reportFileName(studyName, kind) {
+    const title = kind === 'incident' ? 'BCRPP Incident Cases QC Report' : 'BCRPP Core QC Report';
+    return `${studyName ? `${studyName} ` : ''}${title}.xlsx`;
+}
+
+
+/**
+ * Serializes a workbook to a Blob, e.g. for a download link in the browser.
+ * @param {ExcelJS.Workbook} workbook
+ * @returns {Promise<Blob>}
+ */
+async function workbookToBlob(workbook) {
+    const buffer = await workbook.xlsx.writeBuffer();
+    return new Blob([buffer], {type: XLSX_MIME_TYPE});
+}
+
+
+/**
+ * Writes a workbook to a file. Node only.
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string} filePath - where to write the .xlsx file
+ * @returns {Promise<void>}
+ */
+async function writeWorkbookFile(workbook, filePath) {
+    const {writeFile} = await import('node:fs/promises');
+    const buffer = await workbook.xlsx.writeBuffer();
+    await writeFile(filePath, new Uint8Array(buffer));
+}
+
+
+export {
+    XLSX_MIME_TYPE,
+    buildQcWorkbook,
+    coreReportWorkbook,
+    incidentReportWorkbook,
+    reportFileName,
+    workbookToBlob,
+    writeWorkbookFile
+};
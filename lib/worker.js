@@ -0,0 +1,187 @@
+import {importDataset, importDataDictionary} from './dataset.js';
+import {loadRuleSheet} from './rules.js';
+import {lintRules, hasLintErrors} from './lint.js';
+import {runQc, withDictionaryWarnings} from './pipeline.js';
+import {toCsv} from './files.js';
+import {auditLogToCsv} from './auditLog.js';
+import {buildQcWorkbook, reportFileName, XLSX_MIME_TYPE} from './workbook.js';
+import {loadCodeList} from './codeLists.js';
+import {changeCaseMatch} from './utils.js';
+
+/**
+ * The QC side of the GUI's Web Worker (`qcWorker.js`). Files are posted to the worker as File/Blob
+ * objects, which are passed by reference rather than copied, and are read and QC'd there, so large
+ * datasets never block the page. Messages, each with an `id` the reply carries back:
+ *
+ *   {type: 'load', slot, file}              -> {type: 'loaded', slot, summary, errors}
+ *   {type: 'run', files, options}           -> {type: 'progress', event}..., then {type: 'done', buffer}
+ *   {type: 'download', what}                -> {type: 'file', buffer, mimeType, fileName}
+ *
+ * and {type: 'error', message, issues} when a request fails, where `issues` are the lint issues of
+ * a run refused because some rules cannot run as written. `slot` is one of 'data', 'dictionary',
+ * 'corrections', 'warnings' or 'codeList' (a code list of code.warnings rules, named after its file,
+ * e.g. "icd10" for icd10.csv; `files.codeLists` of a run lists them); `what` is 'data' (the
+ * corrected dataset as CSV), 'report' (the XLSX report) or 'log' (the audit log as CSV).
+ *
+ * The `buffer` of a reply is transferred rather than copied. For 'done' it holds the result as
+ * UTF-8 JSON, {qcData, missingColumns, issues, dataDict}: the rows of a large dataset then cross
+ * to the page as one block of bytes instead of being cloned cell by cell. JSON has no NaN or
+ * undefined, which arrive as null, the NA of the QC. A run is cancelled by terminating the worker.
+ */
+
+
+/** Identifies a file across messages, as each message carries a fresh copy of the File object. */
+const fileKey = (file) => `${file.name ?? ''}\u0000${file.size}\u0000${file.lastModified ?? ''}`;
+
+/** Name of the code list in a file, the file name without its extension. */
+const codeListName = (file) => String(file.name ?? '').replace(/\.[^.]*$/, '');
+
+/** Text as an ArrayBuffer of UTF-8, to be transferred to the page. */
+const textBuffer = (text) => new TextEncoder().encode(text).buffer;
+
+
+/**
+ * Reads the file of an input slot.
+ * @returns {Promise<{value: *, summary: string, errors: string[]}>}
+ */
+async function readInput(slot, file) {
+    switch (slot) {
+        case 'data': {
+            const data = await importDataset(file);
+            return {value: data, summary: `${data.data.length} rows, ${data.columns.length} columns`, errors: []};
+        }
+        case 'dictionary': {
+            const dict = await importDataDictionary(file);
+            if (dict.length > 0 && !Object.prototype.hasOwnProperty.call(dict[0], 'Variable Name')) {
+                throw new Error('The dictionary has no "Variable Name" column');
+            }
+            return {value: dict, summary: `${dict.length} variables`, errors: []};
+        }
+        case 'codeList': {
+            const list = await loadCodeList(file, {fileName: file.name});
+            return {value: list, summary: `${list.size} codes`, errors: []};
+        }
+        case 'corrections':
+        case 'warnings': {
+            const {rules, errors} = await loadRuleSheet(file, slot);
+            const rejected = errors.length > 0 ? `, ${errors.length} row(s) rejected` : '';
+            return {value: rules, summary: `${rules.length} rules${rejected}`, errors: errors.map(e => e.message)};
+        }
+        default:
+            throw new Error(`Unknown input: ${slot}`);
+    }
+}
+
+
+/**
+ * Builds the message handler of the worker.
+ * @param {function(Object, Transferable[]): void} post - sends a reply with the objects to transfer,
+ *  i.e. `self.postMessage` in the worker
+ * @returns {function(Object): Promise<void>} handles one message
+ */
+function createWorkerHandler(post) {
+    const inputs = new Map();
+    let last = null;
+
+    const load = async (slot, file) => {
+        // every code list has an input of its own
+        const name = slot === 'codeList' ? `${slot}\u0000${codeListName(file)}` : slot;
+        const cached = inputs.get(name);
+        if (cached && cached.key === fileKey(file)) return cached;
+        const input = {key: fileKey(file), ...await readInput(slot, file)};
+        inputs.set(name, input);
+        return input;
+    };
+
+    const handlers = {
+        async load({id, slot, file}) {
+            const {summary, errors} = await load(slot, file);
+            post({type: 'loaded', id, slot, summary, errors});
+        },
+
+        async run({id, files, options = {}}) {
+            last = null;
+            const value = async (slot) => files[slot] ? (await load(slot, files[slot])).value : undefined;
+            const dataDict = await value('dictionary');
+            const qcInputs = {
+                data: await value('data'),
+                dataDict,
+                correctionRules: await value('corrections') ?? [],
+                warningRules: withDictionaryWarnings(await value('warnings') ?? [], dataDict ?? [], options.dictionaryWarnings),
+                studyName: options.studyName
+            };
+            if (!qcInputs.data || !qcInputs.dataDict) {
+                throw new Error('A dataset and a data dictionary are needed to run the QC');
+            }
+            const codeLists = {};
+            for (const file of files.codeLists ?? []) {
+                codeLists[codeListName(file)] = (await load('codeList', file)).value;
+            }
+
+            // lint against the case-matched columns before running, as rules that cannot run as
+            // written would give a misleading result
+            const columns = changeCaseMatch(qcInputs.dataDict, {columns: [...qcInputs.data.columns], index: [], data: []});
+            const issues = lintRules({...qcInputs, data: columns, codeLists});
+            if (hasLintErrors(issues)) {
+                throw Object.assign(new Error('Some rules cannot run as written; fix them and run the QC again'), {issues});
+            }
+
+            const result = runQc(qcInputs, {
+                report: options.report,
+                specialCodes: options.specialCodes,
+                codeLists,
+                onProgress: (event) => post({type: 'progress', id, event})
+            });
+            last = {...result, studyName: options.studyName, reportKind: options.report ?? 'core'};
+            const buffer = textBuffer(JSON.stringify({
+                qcData: result.qcData,
+                missingColumns: result.missingColumns,
+                issues,
+                dataDict: qcInputs.dataDict
+            }));
+            post({type: 'done', id, buffer}, [buffer]);
+        },
+
+        async download({id, what}) {
+            if (!last) throw new Error('There is no QC result to download yet');
+            const prefix = last.studyName ? `${last.studyName} ` : '';
+            let buffer;
+            let mimeType = 'text/csv';
+            let fileName;
+            switch (what) {
+                case 'data':
+                    buffer = textBuffer(toCsv(last.changes.columns, last.changes.data));
+                    fileName = `${prefix}corrected data.csv`;
+                    break;
+                case 'report': {
+                    // exceljs gives a Node Buffer outside the browser, whose memory may be shared: copy it
+                    const bytes = await buildQcWorkbook(last.report, last.qcData).xlsx.writeBuffer();
+                    buffer = bytes instanceof ArrayBuffer ? bytes : new Uint8Array(bytes).buffer;
+                    mimeType = XLSX_MIME_TYPE;
+                    fileName = reportFileName(last.studyName, last.reportKind);
+                    break;
+                }
+                case 'log':
+                    buffer = textBuffer(auditLogToCsv(last.log));
+                    fileName = `${prefix}QC change log.csv`;
+                    break;
+                default:
+                    throw new Error(`Unknown download: ${what}`);
+            }
+            post({type: 'file', id, buffer, mimeType, fileName}, [buffer]);
+        }
+    };
+
+    return async (message) => {
+        try {
+            const handler = handlers[message.type];
+            if (!handler) throw new Error(`Unknown message: ${message.type}`);
+            await handler(message);
+        } catch (err) {
+            post({type: 'error', id: message.id, message: err.message, ...(err.issues ? {issues: err.issues} : {})});
+        }
+    };
+}
+
+
+export {createWorkerHandler};
@@ -0,0 +1,9 @@
+import {createWorkerHandler} from './lib/worker.js';
+
+/**
+ * Web Worker running the QC off the main thread; see `lib/worker.js` for the messages.
+ */
+
+const handle = createWorkerHandler((message, transfer = []) => self.postMessage(message, transfer));
+
+self.onmessage = (event) => handle(event.data);
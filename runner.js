@@ -0,0 +1,123 @@
+/**
+ * Runs the QC in a Web Worker (`qcWorker.js`), so the page stays responsive on large datasets.
+ * Each request returns a Promise; `cancel()` stops a run part-way by terminating the worker. A
+ * fresh worker is started straight away and given the files the old one had read, so that it reads
+ * them again in the background rather than when the QC next runs.
+ */
+
+
+/** Rejection reason of the requests pending when a run is cancelled. */
+class QcCancelledError extends Error {
+    constructor() {
+        super('The QC run was cancelled');
+        this.name = 'QcCancelledError';
+    }
+}
+
+
+/** Rejection reason of a run refused because some rules cannot run as written. */
+class QcLintError extends Error {
+    /** @param {string} message @param {Object[]} issues - the lint issues, see `lib/lint.js` */
+    constructor(message, issues) {
+        super(message);
+        this.name = 'QcLintError';
+        this.issues = issues;
+    }
+}
+
+
+/**
+ * Creates the client of the QC worker.
+ * @returns {{load: function(string, File): Promise<Object>, run: function(Object, Object, function(Object): void): Promise<Object>,
+ *  download: function(string): Promise<{blob: Blob, fileName: string}>, cancel: function(): void}}
+ */
+function createQcRunner() {
+    let worker = null;
+    let nextId = 0;
+    const pending = new Map();
+    // the files given to the worker, by slot (and name, for code lists), to give again to a fresh worker
+    const files = new Map();
+    const remember = (slot, file) => files.set(slot === 'codeList' ? `${slot}\u0000${file.name}` : slot, {slot, file});
+
+    const failAll = (error) => {
+        for (const request of pending.values()) request.reject(error);
+        pending.clear();
+    };
+
+    const start = () => {
+        worker = new Worker(new URL('./qcWorker.js', import.meta.url), {type: 'module'});
+        worker.onmessage = ({data: message}) => {
+            const request = pending.get(message.id);
+            if (!request) return;
+            switch (message.type) {
+                case 'progress':
+                    request.onProgress?.(message.event);
+                    return;
+                case 'error':
+                    request.reject(message.issues ? new QcLintError(message.message, message.issues) : new Error(message.message));
+                    break;
+                default:
+                    request.resolve(message);
+            }
+            pending.delete(message.id);
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            failAll(new Error(event.message || 'The QC worker failed'));
+            worker.terminate();
+            worker = null;
+        };
+    };
+
+    const request = (message, onProgress) => new Promise((resolve, reject) => {
+        if (!worker) start();
+        const id = ++nextId;
+        pending.set(id, {resolve, reject, onProgress});
+        worker.postMessage({...message, id});
+    });
+
+    return {
+        /** Reads the file of an input slot in the worker; resolves to {summary, errors}. */
+        load(slot, file) {
+            remember(slot, file);
+            return request({type: 'load', slot, file});
+        },
+
+        /**
+         * Runs the QC on the files of the input slots, calling `onProgress` with the `runQc`
+         * progress events; resolves to {qcData, missingColumns, issues, dataDict}, or rejects with
+         * a QcLintError when some rules cannot run as written.
+         */
+        run(inputs, options, onProgress) {
+            for (const [slot, file] of Object.entries(inputs)) {
+                if (slot !== 'codeLists') remember(slot, file);
+            }
+            (inputs.codeLists ?? []).forEach(file => remember('codeList', file));
+            return request({type: 'run', files: inputs, options}, onProgress)
+                .then(({buffer}) => JSON.parse(new TextDecoder().decode(buffer)));
+        },
+
+        /** Builds a download of the last result ('data', 'report' or 'log'); resolves to {blob, fileName}. */
+        download: (what) => request({type: 'download', what})
+            .then(({buffer, mimeType, fileName}) => ({blob: new Blob([buffer], {type: mimeType}), fileName})),
+
+        /**
+         * Stops whatever the worker is doing; pending requests reject with a QcCancelledError. The
+         * files of the stopped worker are read again by a fresh one.
+         */
+        cancel() {
+            if (!worker) return;
+            worker.terminate();
+            worker = null;
+            failAll(new QcCancelledError());
+            start();
+            // nothing waits for these replies, which the message handler ignores
+            for (const {slot, file} of files.values()) {
+                worker.postMessage({type: 'load', slot, file, id: ++nextId});
+            }
+        }
+    };
+}
+
+
+export {QcCancelledError, QcLintError, createQcRunner};
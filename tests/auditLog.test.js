@@ -0,0 +1,69 @@
+import { expect, test } from 'vitest';
+import { auditLogToCsv, auditLogToJson, logFromComments } from '../lib/auditLog';
+import { parseCsv } from '../lib/files';
+import { changesQc } from '../lib/corrections';
+import { warningsQc } from '../lib/warnings';
+import { changesSummary, warningsSummary } from '../lib/reporting';
+
+
+const data = () => ({
+  columns: ['subject_id', 'parity', 'bmi'],
+  index: [0, 1, 2],
+  data: [
+    ['A1', 777, 80],
+    ['A2', 2, 22],
+    ['A3', 888, 75]
+  ]
+});
+
+const correctionRules = [
+  {type: 'valid.changes', variable: 'parity', value_changed: '777', new_value: '0', comment: 'parity unknown set to 0'}
+];
+const warningRules = [
+  {'QC Type': 'range.warnings', Variable: 'bmi', 'Valid Value Lower': 15, 'Valid Value Higher': 60, Comments: 'BMI, too high'}
+];
+
+
+test('changesQc and warningsQc log every event with the original value', () => {
+  const changed = changesQc(correctionRules, data());
+  expect(changed.log).toStrictEqual([{
+    kind: 'change', index: 0, subjectId: 'A1', variable: 'parity', column: 'parity.data.change',
+    oldValue: 777, newValue: 0, ruleIndex: 0, ruleType: 'valid.changes', comment: 'parity unknown set to 0',
+    duplicateOf: null
+  }]);
+
+  const flagged = warningsQc(warningRules, changed);
+  expect(flagged.log.map(e => [e.kind, e.index, e.oldValue, e.ruleIndex])).toStrictEqual([
+    ['change', 0, 777, 0], ['warning', 0, 80, 0], ['warning', 2, 75, 0]
+  ]);
+  expect(flagged.index).toStrictEqual([0, 2]);
+
+  // summaries are counted from the log
+  expect(changesSummary(flagged)).toStrictEqual({'parity unknown set to 0': 1});
+  expect(warningsSummary(flagged)).toStrictEqual({'BMI, too high': 2});
+
+  // a second run replaces the entries of its own kind
+  expect(warningsQc(warningRules, flagged).log).toHaveLength(3);
+});
+
+test('the log exports as CSV and JSON', () => {
+  const log = warningsQc(warningRules, changesQc(correctionRules, data())).log;
+  const rows = parseCsv(auditLogToCsv(log));
+  expect(rows[0]).toStrictEqual(['kind', 'index', 'subjectId', 'variable', 'column', 'oldValue', 'newValue',
+    'ruleIndex', 'ruleType', 'comment', 'duplicateOf']);
+  expect(rows[2]).toStrictEqual(['warning', '0', 'A1', 'bmi', 'bmi.data.warning', '80', '80', '0',
+    'range.warnings', 'BMI, too high', '']);
+  expect(JSON.parse(auditLogToJson(log))).toStrictEqual(log);
+});
+
+test('QC data without a log is summarized from its comment columns', () => {
+  const qcData = {
+    columns: ['subject_id', 'parity', 'parity.data.change'],
+    index: [4, 7],
+    data: [['A1', 0, 'set to 0 | recoded'], ['A2', 1, null]]
+  };
+  expect(logFromComments(qcData).map(e => [e.index, e.subjectId, e.variable, e.comment])).toStrictEqual([
+    [4, 'A1', 'parity', 'set to 0'], [4, 'A1', 'parity', 'recoded']
+  ]);
+  expect(changesSummary(qcData)).toStrictEqual({'set to 0': 1, 'recoded': 1});
+});
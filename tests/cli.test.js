@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, expect, test } from 'vitest';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { EXIT_CODES, parseCliArgs, runCli } from '../lib/cli';
+import { parseCsv } from '../lib/files';
+
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'qc-cli-'));
+  await writeFile(join(dir, 'data.csv'), 'subject_id,PARITY,bmi\nA1,777,80\nA2,2,22\nA3,1,70\n');
+  await writeFile(join(dir, 'dict.csv'), 'Variable Name,Category\nsubject_id,Identification/Dates\nparity,Reproductive History\nbmi,Anthropometry\n');
+  await writeFile(join(dir, 'corrections.csv'), 'type,variable,value_changed,new_value,comment\nvalid.changes,parity,777,0,parity set to 0\n');
+  await writeFile(join(dir, 'warnings.csv'), 'QC Type,Variable,Valid Value Lower,Valid Value Higher,Comments\nrange.warnings,bmi,15,60,BMI too high\n');
+});
+
+afterEach(async () => {
+  await rm(dir, {recursive: true, force: true});
+});
+
+const run = async (...extra) => {
+  const messages = {log: [], error: []};
+  const code = await runCli([
+    '--data', join(dir, 'data.csv'), '--dictionary', join(dir, 'dict.csv'),
+    '--corrections', join(dir, 'corrections.csv'), '--warnings', join(dir, 'warnings.csv'),
+    '--out', join(dir, 'out'), ...extra
+  ], {log: m => messages.log.push(m), error: m => messages.error.push(m)});
+  return {code, ...messages};
+};
+
+
+test('parseCliArgs checks the required options and the values', () => {
+  expect(() => parseCliArgs(['--data', 'd.csv'])).toThrow('Missing --dictionary, --out');
+  expect(() => parseCliArgs(['--data', 'd.csv', '--dictionary', 'x.csv', '--out', 'o', '--report', 'full'])).toThrow('Unknown report: full');
+  expect(() => parseCliArgs(['--data', 'd.csv', '--dictionary', 'x.csv', '--out', 'o', '--max-warnings', 'ten'])).toThrow('--max-warnings must be a whole number');
+  expect(() => parseCliArgs(['--data', 'd.csv', '--dictionary', 'x.csv', '--out', 'o', '--verbose'])).toThrow();
+  expect(parseCliArgs(['--data', 'd.csv', '--dictionary', 'x.csv', '--out', 'o', '--max-warnings', '5'])).toMatchObject({report: 'core', 'max-warnings': 5});
+});
+
+test('runCli runs the QC and writes the corrected data, flagged data, report and log', async () => {
+  const {code, log} = await run('--study', 'PLCO');
+
+  expect(code).toBe(EXIT_CODES.ok);
+  expect((await readdir(join(dir, 'out'))).sort()).toStrictEqual([
+    'PLCO BCRPP Core QC Report.xlsx', 'PLCO QC change log.csv', 'PLCO corrected data.csv', 'PLCO flagged data.csv'
+  ]);
+  const corrected = parseCsv(await readFile(join(dir, 'out', 'PLCO corrected data.csv'), 'utf-8'));
+  expect(corrected.slice(1).map(row => row[1])).toStrictEqual(['0', '2', '1']);
+  const flagged = parseCsv(await readFile(join(dir, 'out', 'PLCO flagged data.csv'), 'utf-8'));
+  expect(flagged.slice(1).map(row => row[0])).toStrictEqual(['A1', 'A3']);
+  expect(log[0]).toBe('3 rows: 1 changes, 2 warnings, 2 rows flagged');
+});
+
+test('runCli exits non-zero when warnings go over --max-warnings', async () => {
+  expect((await run('--max-warnings', '2')).code).toBe(EXIT_CODES.ok);
+
+  const {code, error} = await run('--max-warnings', '1');
+  expect(code).toBe(EXIT_CODES.tooManyWarnings);
+  expect(error).toStrictEqual(['2 warnings, more than the 1 allowed by --max-warnings']);
+  expect(await readdir(join(dir, 'out'))).toHaveLength(4);
+});
+
+test('runCli applies the warning rules generated from the dictionary with --dictionary-warnings', async () => {
+  await writeFile(join(dir, 'dict.csv'), 'Variable Name,Category,Valid Values\nsubject_id,Identification/Dates,\nparity,Reproductive History,"0,1"\nbmi,Anthropometry,\n');
+
+  expect((await run()).log[0]).toBe('3 rows: 1 changes, 2 warnings, 2 rows flagged');
+  expect((await run('--dictionary-warnings')).log[0]).toBe('3 rows: 1 changes, 3 warnings, 3 rows flagged');
+});
+
+test('runCli reads the --date-columns as dates', async () => {
+  await writeFile(join(dir, 'data.csv'), 'subject_id,PARITY,bmi,dx_date\nA1,777,80,43905\nA2,2,22,777\nA3,1,70,03/01/2021\n');
+  await run('--date-columns', 'dx_date');
+
+  const corrected = parseCsv(await readFile(join(dir, 'out', 'corrected data.csv'), 'utf-8'));
+  expect(corrected.slice(1).map(row => row.at(-1))).toStrictEqual(['2020-03-15', '777', '2021-03-01']);
+});
+
+test('runCli loads the code lists of code.warnings rules', async () => {
+  await writeFile(join(dir, 'data.csv'), 'subject_id,PARITY,bmi,topography\nA1,777,22,C50.9\nA2,2,22,C18.7\nA3,1,22,\n');
+  await writeFile(join(dir, 'warnings.csv'), 'QC Type,Variable,Code List,Comments\ncode.warnings,topography,icd10,not a breast code\n');
+  await writeFile(join(dir, 'icd10.csv'), 'Code\nC50*\n');
+
+  expect((await run('--code-list', `icd10=${join(dir, 'icd10.csv')}`)).log[0]).toBe('3 rows: 1 changes, 1 warnings, 2 rows flagged');
+  const unloaded = await run();
+  expect(unloaded.code).toBe(EXIT_CODES.lintErrors);
+  expect(unloaded.error[0]).toContain('code list "icd10" is not loaded');
+  expect(parseCliArgs(['--data', 'd', '--dictionary', 'x', '--out', 'o', '--code-list', 'a=b.csv', '--code-list', 'c = d.csv'])['code-list'])
+    .toStrictEqual([{name: 'a', path: 'b.csv'}, {name: 'c', path: 'd.csv'}]);
+  expect(() => parseCliArgs(['--data', 'd', '--dictionary', 'x', '--out', 'o', '--code-list', 'icd10.csv'])).toThrow('--code-list must be given as name=file');
+});
+
+test('runCli exits non-zero without writing anything when rules fail to lint', async () => {
+  await writeFile(join(dir, 'corrections.csv'), 'type,variable,value_changed,new_value,comment\nrange.changes,bmi,bmi >,0,broken\n');
+  const {code, error} = await run();
+
+  expect(code).toBe(EXIT_CODES.lintErrors);
+  expect(error[0]).toMatch(/^ERROR corrections #0 \(range.changes, bmi\)/);
+  await expect(readdir(join(dir, 'out'))).rejects.toThrow();
+});
+
+test('runCli exits non-zero with a message when the outputs cannot be written', async () => {
+  await writeFile(join(dir, 'out'), 'not a directory');
+  const {code, error} = await run();
+
+  expect(code).toBe(EXIT_CODES.failed);
+  expect(error[0]).toMatch(/^QC failed: /);
+});
+
+test('runCli reports unreadable inputs and bad arguments', async () => {
+  await rm(join(dir, 'data.csv'));
+  const missing = await run();
+  expect(missing.code).toBe(EXIT_CODES.usage);
+  expect(missing.error[0]).toMatch(/^Cannot read the inputs: ENOENT/);
+
+  const bad = await run('--report', 'full');
+  expect(bad.code).toBe(EXIT_CODES.usage);
+  expect(bad.error[0]).toMatch(/^Unknown report: full/);
+});
@@ -0,0 +1,45 @@
+import { expect, test } from 'vitest';
+import { createCodeList, loadCodeList, normalizeCode } from '../lib/codeLists';
+
+
+test('normalizeCode compares codes without case, spaces or dots', () => {
+  expect(normalizeCode('c50.9')).toBe('C509');
+  expect(normalizeCode(' C 50.9 ')).toBe('C509');
+  expect(normalizeCode('8500/3')).toBe('8500/3');
+  expect(normalizeCode(8500)).toBe('8500');
+});
+
+test('createCodeList matches codes, prefixes and ranges', () => {
+  const list = createCodeList(['D05.1', 'C50*', 'C00-C14', 'C76.0–C76.8', '8500/3', '', null]);
+
+  expect(list.size).toBe(5);
+  expect(['D051', 'd05.1', 'C50', 'C50.9', 'C509', 'C00', 'C14.2', 'C76.3', '8500/3'].map(code => list.has(code)))
+    .toStrictEqual([true, true, true, true, true, true, true, true, true]);
+  expect(['D05.9', 'C15', 'C51.0', 'C76.9', '8500/2', 8500, '', null].map(code => list.has(code)))
+    .toStrictEqual([false, false, false, false, false, false, false, false]);
+});
+
+test('createCodeList matches morphology ranges and not codes shorter than the bounds', () => {
+  const list = createCodeList(['C00-C14', '8500/3-8543/3', '8010/2 - 8010/3']);
+
+  expect(['C14.2', 'C0', 'C1', 'C'].map(code => list.has(code))).toStrictEqual([true, false, false, false]);
+  expect(['8500/3', '8520/3', '8543/3', '8010/2', '8010/3'].map(code => list.has(code)))
+    .toStrictEqual([true, true, true, true, true]);
+  expect(['8520/2', '8544/3', '8499/3', '8520', '85', 8520].map(code => list.has(code)))
+    .toStrictEqual([false, false, false, false, false, false]);
+});
+
+test('loadCodeList reads the code column of a CSV, with or without a header', async () => {
+  const withHeader = await loadCodeList('Code,Description\nC50.9,"Breast, unspecified"\nC50.1,Central portion of breast\n', {fileName: 'icd10.csv'});
+  expect(withHeader.size).toBe(2);
+  expect(withHeader.has('C509')).toBe(true);
+  expect(withHeader.has('Code')).toBe(false);
+
+  const plain = await loadCodeList('8500/3\n8520/3\n', {fileName: 'morphology.txt'});
+  expect(plain.size).toBe(2);
+  expect(plain.has('8500/3')).toBe(true);
+
+  const named = await loadCodeList('Description,ICD-O-3\nDuctal,8500/3\n', {fileName: 'morphology.csv', column: 'ICD-O-3'});
+  expect(named.has('8500/3')).toBe(true);
+  await expect(loadCodeList('a,b\n', {fileName: 'x.csv', column: 'code'})).rejects.toThrow('Code list has no "code" column');
+});
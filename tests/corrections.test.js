@@ -0,0 +1,63 @@
+import { expect, test } from 'vitest';
+import { crossValidChanges, crossRangeChanges, changesQc } from '../lib/corrections';
+
+
+const data = () => ({
+  columns: ['subject_id', 'parity', 'parous', 'menostat'],
+  index: [0, 1, 2],
+  data: [
+    ['A1', 777, 0, 1],
+    ['A2', 777, 1, 1],
+    ['A3', 888, 0, 2]
+  ]
+});
+
+
+test('crossValidChanges requires every cross variable to match', () => {
+  const result = crossValidChanges(data(), {
+    type: 'crossvalid2.changes', variable: 'parity', value_changed: '777,888', new_value: '0',
+    cross_variable_1: 'parous', cross_variable_1_value: '0',
+    cross_variable_2: 'menostat', cross_variable_2_value: '1',
+    cross_variable_3: null, cross_variable_3_value: null,
+    comment: 'parity set to 0 for nulliparous'
+  });
+  expect(result.data.map(row => row[1])).toStrictEqual([0, 777, 888]);
+  expect(result.data.map(row => row[4])).toStrictEqual(['parity set to 0 for nulliparous', null, null]);
+});
+
+test('crossvalid rules are dispatched by changesQc', () => {
+  const result = changesQc([{
+    type: 'crossvalid1.changes', variable: 'parity', value_changed: '777', new_value: '0',
+    cross_variable_1: 'parous', cross_variable_1_value: '0', comment: 'changed'
+  }], data());
+  expect(result.columns).toStrictEqual(['subject_id', 'parity', 'parity.data.change', 'parous', 'menostat']);
+  expect(result.data[0].slice(1, 3)).toStrictEqual([0, 'changed']);
+});
+
+test('crossValidChanges skips rules whose cross variable is missing', () => {
+  const result = crossValidChanges(data(), {
+    type: 'crossvalid1.changes', variable: 'parity', value_changed: '777', new_value: '0',
+    cross_variable_1: 'gravid', cross_variable_1_value: '0', comment: 'changed'
+  });
+  expect(result).toStrictEqual(data());
+});
+
+test('crossRangeChanges ANDs every cross variable condition', () => {
+  const result = crossRangeChanges(data(), {
+    type: 'cross_range2.changes', variable: 'parity', value_changed: 'parity %in% c(777, 888)',
+    cross_variable_1: 'parous', cross_variable_1_value: 'parous == 0',
+    cross_variable_2: 'menostat', cross_variable_2_value: 'menostat > 1',
+    new_value: 'parous', comment: 'parity set from parous'
+  });
+  expect(result.data.map(row => row[1])).toStrictEqual([777, 777, 0]);
+  expect(result.data.map(row => row[4])).toStrictEqual([null, null, 'parity set from parous']);
+});
+
+test('changesQc leaves its input untouched', () => {
+  const input = data();
+  const result = changesQc([{
+    type: 'valid.changes', variable: 'parity', value_changed: '777,888', new_value: '0', comment: 'changed'
+  }], input);
+  expect(result.data.map(row => row[1])).toStrictEqual([0, 0, 0]);
+  expect(input).toStrictEqual(data());
+});
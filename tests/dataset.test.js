@@ -0,0 +1,62 @@
+import { expect, test } from 'vitest';
+import { importDataset, importDataDictionary, inferColumnType } from '../lib/dataset';
+import { changesQc } from '../lib/corrections';
+
+
+test('inferColumnType keeps leading-zero identifiers as text', () => {
+  expect(inferColumnType(['1', '2.5', null, '-3'])).toBe('number');
+  expect(inferColumnType(['007', '10'])).toBe('string');
+  expect(inferColumnType(['0', '0.5'])).toBe('number');
+  expect(inferColumnType([null, null])).toBe('string');
+});
+
+test('importDataset builds a typed split-orientation dataset from CSV', async () => {
+  const csv = 'subject_id,age,parity,study\n0012,54,777,PLCO\n0013,NA,,PLCO\n\n';
+  const result = await importDataset(csv, {fileName: 'core.csv'});
+  expect(result.columns).toStrictEqual(['subject_id', 'age', 'parity', 'study']);
+  expect(result.index).toStrictEqual([0, 1]);
+  expect(result.data).toStrictEqual([['0012', 54, 777, 'PLCO'], ['0013', null, null, 'PLCO']]);
+  expect(result.types).toStrictEqual({subject_id: 'string', age: 'number', parity: 'number', study: 'string'});
+});
+
+test('importDataset reads TSV and JSON records', async () => {
+  const tsv = await importDataset('subject_id\tbmi\n1\t22.5\n', {fileName: 'core.tsv'});
+  expect(tsv.data).toStrictEqual([['1', 22.5]]);
+
+  const json = await importDataset(JSON.stringify([{subject_id: 'A', bmi: 20}, {subject_id: 'B', height: '1.6'}]), {format: 'json'});
+  expect(json.columns).toStrictEqual(['subject_id', 'bmi', 'height']);
+  expect(json.data).toStrictEqual([['A', 20, null], ['B', null, 1.6]]);
+});
+
+test('corrections match numeric values in a column read as text because of one dirty cell', async () => {
+  const data = await importDataset('subject_id,parity,parous\nA1,777,1\nA2,unknown,1\nA3,2,1\nA4,777,0\n', {fileName: 'core.csv'});
+  expect(data.data.map(row => row[1])).toStrictEqual(['777', 'unknown', '2', '777']);
+
+  const changed = changesQc([
+    {type: 'valid.changes', variable: 'parity', value_changed: '777', new_value: '0', comment: 'parity unknown'},
+    {type: 'crossvalid1.changes', variable: 'parous', value_changed: '1', cross_variable_1: 'parity', cross_variable_1_value: '2', new_value: '9', comment: 'parous check'}
+  ], data);
+  expect(changed.data.map(row => [row[1], row[3]])).toStrictEqual([[0, 1], ['unknown', 1], ['2', 9], [0, 0]]);
+});
+
+test('importDataDictionary reads dictionary rows as objects', async () => {
+  const csv = 'Variable Name,Category,Special Codes\nparity, Reproductive History ,777=unknown\n,,\nbmi,Anthropometry,\n';
+  expect(await importDataDictionary(csv, {fileName: 'dict.csv'})).toStrictEqual([
+    {'Variable Name': 'parity', Category: 'Reproductive History', 'Special Codes': '777=unknown'},
+    {'Variable Name': 'bmi', Category: 'Anthropometry', 'Special Codes': null}
+  ]);
+});
+
+test('importDataset reads ISO and US date columns as ISO dates, keeping special codes and bad dates', async () => {
+  const csv = 'subject_id,dx_date,lastfup,entry\nA1,2020-03-15,03/01/2021,43905\nA2,777,12/31/2020,777\nA3,,2/30/2021,44000\n';
+  const result = await importDataset(csv, {fileName: 'incident.csv', dateColumns: ['entry']});
+
+  expect(result.types).toStrictEqual({subject_id: 'string', dx_date: 'date', lastfup: 'string', entry: 'date'});
+  expect(result.data).toStrictEqual([
+    ['A1', '2020-03-15', '03/01/2021', '2020-03-15'],
+    ['A2', 777, '12/31/2020', 777],
+    ['A3', null, '2/30/2021', '2020-06-18']
+  ]);
+  expect(inferColumnType(['03/01/2021', '777', null])).toBe('date');
+  expect(inferColumnType(['777', '888'])).toBe('number');
+});
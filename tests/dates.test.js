@@ -0,0 +1,43 @@
+import { expect, test } from 'vitest';
+import { isDateText, parseDate } from '../lib/dates';
+
+
+test('parseDate reads ISO, US and Excel serial dates', () => {
+  expect(parseDate('2020-03-15')).toBe('2020-03-15');
+  expect(parseDate('2020-3-5')).toBe('2020-03-05');
+  expect(parseDate('2020-03-15T10:30:00Z')).toBe('2020-03-15');
+  expect(parseDate(' 03/15/2020 ')).toBe('2020-03-15');
+  expect(parseDate('3/5/2020')).toBe('2020-03-05');
+  expect(parseDate(43905)).toBe('2020-03-15');
+  expect(parseDate('43905')).toBe('2020-03-15');
+  expect(parseDate(43905.75)).toBe('2020-03-15');
+  expect(parseDate(new Date(Date.UTC(2020, 2, 15)))).toBe('2020-03-15');
+});
+
+test('parseDate follows the Excel serial calendar around its phantom 29 February 1900', () => {
+  expect(parseDate(1)).toBe('1900-01-01');
+  expect(parseDate(59)).toBe('1900-02-28');
+  expect(parseDate(60)).toBe(null);
+  expect(parseDate(61)).toBe('1900-03-01');
+  expect(parseDate(2958465)).toBe('9999-12-31');
+  expect(parseDate(2958466)).toBe(null);
+});
+
+test('parseDate rejects days that do not exist and text that is not a date', () => {
+  expect(parseDate('2021-02-29')).toBe(null);
+  expect(parseDate('2020-02-29')).toBe('2020-02-29');
+  expect(parseDate('15/03/2020')).toBe(null);
+  expect(parseDate('2020-13-01')).toBe(null);
+  expect(parseDate('March 2020')).toBe(null);
+  expect(parseDate('')).toBe(null);
+  expect(parseDate(null)).toBe(null);
+  expect(parseDate(0)).toBe(null);
+  expect(parseDate(43905, {serial: false})).toBe(null);
+});
+
+test('isDateText accepts ISO and US dates only', () => {
+  expect(isDateText('2020-03-15')).toBe(true);
+  expect(isDateText('03/15/2020')).toBe(true);
+  expect(isDateText('43905')).toBe(false);
+  expect(isDateText(43905)).toBe(false);
+});
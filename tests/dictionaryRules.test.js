@@ -0,0 +1,60 @@
+import { expect, test } from 'vitest';
+import { generateWarningRules, mergeWarningRules, runQc, lintRules } from '../lib/qc';
+
+
+const dataDict = [
+  {'Variable Name': 'subject_id', Category: 'Identification/Dates'},
+  {'Variable Name': 'parity', Category: 'Reproductive History', 'Valid Values': '0, 1, 2, 777'},
+  {'Variable Name': 'bmi', Category: 'Anthropometry', 'Valid Value Lower': '15', 'Valid Value Higher': '60'},
+  {'Variable Name': 'height', Category: 'Anthropometry', 'Valid Value Lower': '1.2'},
+  {'Variable Name': 'smoker', Category: 'Alcohol and Tobacco', 'Valid Values': '0,1', 'Valid Value Lower': 0, 'Valid Value Higher': 1}
+];
+
+
+test('generateWarningRules gives valid.warnings for coded variables and range.warnings for continuous ones', () => {
+  const rules = generateWarningRules(dataDict);
+
+  expect(rules).toStrictEqual([
+    {Variable: 'parity', 'QC Type': 'valid.warnings', 'Valid Values': '0, 1, 2, 777', Comments: 'parity is not one of the valid values 0, 1, 2, 777'},
+    {Variable: 'bmi', 'QC Type': 'range.warnings', 'Valid Value Lower': 15, 'Valid Value Higher': 60, Comments: 'bmi is outside the valid range 15 to 60'},
+    {Variable: 'smoker', 'QC Type': 'valid.warnings', 'Valid Values': '0,1', Comments: 'smoker is not one of the valid values 0,1'}
+  ]);
+  expect(lintRules({dataDict, warningRules: rules})).toStrictEqual([]);
+});
+
+test('generateWarningRules fills in custom comment templates', () => {
+  const rules = generateWarningRules(dataDict, {templates: {'range.warnings': 'Check {variable}: expected {lower}-{higher} {units}'}});
+
+  expect(rules.map(rule => rule.Comments)).toStrictEqual([
+    'parity is not one of the valid values 0, 1, 2, 777',
+    'Check bmi: expected 15-60 {units}',
+    'smoker is not one of the valid values 0,1'
+  ]);
+});
+
+test('mergeWarningRules lets hand-written rules take precedence over generated ones', () => {
+  const written = [
+    {Variable: 'BMI', 'QC Type': 'range.warnings', 'Valid Value Lower': 10, 'Valid Value Higher': 80, Comments: 'BMI implausible'},
+    {Variable: 'parity', 'QC Type': 'range.warnings', 'Valid Value Lower': 0, 'Valid Value Higher': 20, Comments: 'parity implausible'}
+  ];
+  const merged = mergeWarningRules(written, generateWarningRules(dataDict));
+
+  expect(merged.map(rule => [rule.Variable, rule['QC Type']])).toStrictEqual([
+    ['BMI', 'range.warnings'], ['parity', 'range.warnings'], ['parity', 'valid.warnings'], ['smoker', 'valid.warnings']
+  ]);
+});
+
+test('runQc applies the generated rules with the dictionaryWarnings option', () => {
+  const inputs = {
+    data: {columns: ['subject_id', 'parity', 'bmi'], index: [0, 1], data: [['A1', 5, 80], ['A2', 1, 22]]},
+    dataDict,
+    warningRules: [{Variable: 'bmi', 'QC Type': 'range.warnings', 'Valid Value Lower': 10, 'Valid Value Higher': 90, Comments: 'BMI implausible'}]
+  };
+
+  expect(runQc(inputs).log).toStrictEqual([]);
+  const result = runQc(inputs, {dictionaryWarnings: true});
+  expect(result.warningRules).toHaveLength(3);
+  expect(result.log.map(entry => [entry.subjectId, entry.comment])).toStrictEqual([
+    ['A1', 'parity is not one of the valid values 0, 1, 2, 777']
+  ]);
+});
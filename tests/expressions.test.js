@@ -0,0 +1,122 @@
+import { expect, test, vi } from 'vitest';
+import { parseExpression, expressionVariables, evaluateExpression, createDataEnvironment, compileCondition, ExpressionError } from '../lib/expressions';
+import { rangeChanges, crossRange1Changes, changesQc } from '../lib/corrections';
+import { crossrangeWarnings, warningsQc } from '../lib/warnings';
+
+
+const data = () => ({
+  columns: ['subject_id', 'parous', 'age_preg1', 'age_preg2'],
+  index: [0, 1, 2, 3],
+  data: [
+    ['A1', 1, 20, 25],
+    ['A2', 1, 30, 22],
+    ['A2', 888, null, 40],
+    ['A4', 0, 777, 19]
+  ]
+});
+
+const evaluate = (source, row = 0) => {
+  const env = createDataEnvironment(data());
+  env.row = row;
+  return evaluateExpression(parseExpression(source), env);
+};
+
+
+test('identifiers resolve to the current row', () => {
+  expect(evaluate('age_preg2 > age_preg1', 0)).toBe(true);
+  expect(evaluate('age_preg2 > age_preg1', 1)).toBe(false);
+});
+
+test('%in% and c() match values, including numeric strings', () => {
+  expect(evaluate('parous %in% c(777, 888)', 2)).toBe(true);
+  expect(evaluate('!parous %in% c(777, 888)', 2)).toBe(false);
+  expect(evaluate('"888" %in% c(777, 888)')).toBe(true);
+});
+
+test('NA propagates like R', () => {
+  expect(evaluate('age_preg1 > 10', 2)).toBe(null);
+  expect(evaluate('age_preg1 > 10 & FALSE', 2)).toBe(false);
+  expect(evaluate('age_preg1 > 10 | TRUE', 2)).toBe(true);
+  expect(evaluate('is.na(age_preg1)', 2)).toBe(true);
+  expect(evaluate('NA %in% c(1, NA)')).toBe(true);
+});
+
+test('operator precedence follows R', () => {
+  expect(evaluate('-2^2')).toBe(-4);
+  expect(evaluate('1 + 2 * 3')).toBe(7);
+  expect(evaluate('7 %% 3 == 1 && 7 %/% 3 == 2')).toBe(true);
+  expect(evaluate('3 %in% 1:5')).toBe(true);
+});
+
+test('data$col gives the whole column for is.Unique', () => {
+  expect(evaluate('subject_id %in% is.Unique(data$subject_id)', 0)).toBe(true);
+  expect(evaluate('subject_id %in% is.Unique(data$subject_id)', 1)).toBe(false);
+});
+
+test('expressionVariables lists referenced columns', () => {
+  expect(expressionVariables(parseExpression('`age preg` > age_preg1 & is.na(data$parous)')))
+    .toStrictEqual(['age preg', 'age_preg1', 'parous']);
+});
+
+test('parse errors report their position', () => {
+  expect(() => parseExpression('age_preg1 > ')).toThrow(ExpressionError);
+  expect(() => parseExpression('age_preg1 > 1)')).toThrow(/position 13/);
+  expect(() => parseExpression('system("rm")')).toThrow(/could not find function/);
+});
+
+test('compileCondition treats a plain value list as membership', () => {
+  const env = createDataEnvironment(data());
+  const condition = compileCondition('777,888', 'parous');
+  env.row = 2;
+  expect(condition.test(env)).toBe(true);
+  env.row = 0;
+  expect(condition.test(env)).toBe(false);
+});
+
+test('rangeChanges evaluates R expressions', () => {
+  const result = rangeChanges(data(), {
+    type: 'range.changes', variable: 'age_preg1', value_changed: 'age_preg1 > 100 & age_preg1 %in% c(777)',
+    new_value: '888', comment: 'age changed'
+  });
+  expect(result.data[3][2]).toBe(888);
+  expect(result.data[3][4]).toBe('age changed');
+  expect(result.data[2][2]).toBe(null);
+});
+
+test('a cell an expression cannot be evaluated on counts as NA for that row only', () => {
+  const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  const dirty = {columns: ['subject_id', 'bmi'], index: [0, 1, 2], data: [['A1', 60], ['A2', 'unknown'], ['A3', 55]]};
+  const changed = changesQc([
+    {type: 'range.changes', variable: 'bmi', value_changed: 'bmi + 1 > 50', new_value: 'NA', comment: 'BMI too high'}
+  ], dirty);
+  expect(changed.data.map(row => row[1])).toStrictEqual([null, 'unknown', null]);
+  expect(changed.data.map(row => row[2])).toStrictEqual(['BMI too high', null, 'BMI too high']);
+
+  const flagged = warningsQc([
+    {'QC Type': 'crossrange.warnings', Variable: 'bmi', 'Cross Variable 1': 'subject_id', 'Cross Variable 1 Value': 'A1,A2,A3',
+      Formula_Condition: 'bmi * 2 < 100', Comments: 'BMI too high'}
+  ], dirty);
+  expect(flagged.index).toStrictEqual([0, 2]);
+
+  expect(warn.mock.calls.map(call => call[0])).toStrictEqual([
+    "range.changes rule for bmi cannot be evaluated on row 1 (non-numeric argument to binary operator '+'), taken as NA",
+    "crossrange.warnings rule for bmi cannot be evaluated on row 1 (non-numeric argument to binary operator '*'), taken as NA"
+  ]);
+  warn.mockRestore();
+});
+
+test('crossRange1Changes skips rules with unparsable expressions', () => {
+  const result = crossRange1Changes(data(), {
+    type: 'cross_range1.changes', variable: 'age_preg1', value_changed: 'age_preg1 >',
+    cross_variable_1: 'parous', cross_variable_1_value: 'parous == 1', new_value: '888', comment: 'x'
+  });
+  expect(result.columns).toStrictEqual(data().columns);
+});
+
+test('crossrangeWarnings flags rows failing the formula', () => {
+  const result = crossrangeWarnings(data(), {
+    'QC Type': 'crossrange.warnings', Variable: 'age_preg2', 'Cross Variable 1': 'parous',
+    'Cross Variable 1 Value': '1', Formula_Condition: 'age_preg2 > age_preg1', Comments: 'preg2 before preg1'
+  });
+  expect(result.data.map(row => row[4])).toStrictEqual([null, 'preg2 before preg1', null, null]);
+});
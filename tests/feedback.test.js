@@ -0,0 +1,76 @@
+import { expect, test } from 'vitest';
+import { classifyResponse, importStudyResponses } from '../lib/feedback';
+import { buildQcWorkbook } from '../lib/workbook';
+
+
+const qcData = {
+  columns: ['subject_id', 'bmi', 'bmi.data.warning', 'Comments from Study for bmi.data.warning'],
+  index: [4, 9, 12],
+  data: [
+    ['0001', 80, 'BMI too high', null],
+    ['0002', 90, 'BMI too high', null],
+    ['0003', 5, 'BMI too low', null]
+  ]
+};
+
+
+test('classifyResponse recognises resolved, disputed and unanswered flags', () => {
+  expect(classifyResponse('Fixed in source data')).toBe('resolved');
+  expect(classifyResponse('Disagree - value confirmed with site')).toBe('disputed');
+  expect(classifyResponse('  ')).toBe('unanswered');
+  expect(classifyResponse('will check next week')).toBe('commented');
+});
+
+test('classifyResponse leaves responses that only start with yes, no or ok as comments', () => {
+  expect(classifyResponse('No problem, fixed')).toBe('commented');
+  expect(classifyResponse('No change needed, corrected in source')).toBe('commented');
+  expect(classifyResponse('OK, will check')).toBe('commented');
+  expect(classifyResponse('Yes')).toBe('commented');
+  expect(classifyResponse('Not an error, confirmed by the site')).toBe('disputed');
+});
+
+test('importStudyResponses matches responses back to rows by subject_id', async () => {
+  const returned = [
+    'subject_id,bmi,bmi.data.warning,Comments from Study for bmi.data.warning',
+    '0003,5,BMI too low,Corrected to 25',
+    '0001,80,BMI too high,Data is correct',
+    '0002,90,BMI too high,'
+  ].join('\n');
+  const {responses, summary} = await importStudyResponses(returned, qcData, {fileName: 'returned.csv'});
+
+  expect(responses.map(r => [r.subjectId, r.index, r.status])).toStrictEqual([
+    ['0003', 12, 'resolved'],
+    ['0001', 4, 'disputed'],
+    ['0002', 9, 'unanswered']
+  ]);
+  expect(responses[0]).toMatchObject({variable: 'bmi', column: 'bmi.data.warning', flag: 'BMI too low'});
+  expect(summary).toStrictEqual({resolved: 1, disputed: 1, commented: 0, unanswered: 1});
+});
+
+test('importStudyResponses matches a returned workbook on its index when subject_id repeats', async () => {
+  const incident = {
+    columns: ['subject_id', 'dxdate', 'dxdate.data.warning', 'Comments from Study for dxdate.data.warning'],
+    index: [3, 8, 11],
+    data: [
+      ['0001', '2020-03-15', 'dxdate after follow-up', null],
+      ['0001', '2021-06-01', 'dxdate after follow-up', null],
+      ['0002', '2019-01-01', 'dxdate after follow-up', null]
+    ]
+  };
+  const workbook = buildQcWorkbook({missingColumns: [], categories: []}, incident);
+  const sheet = workbook.getWorksheet('QC Data');
+  expect(sheet.getRow(1).getCell(5).value).toBe('index');
+  sheet.getRow(3).getCell(4).value = 'Corrected to 2021-05-01';
+  sheet.getRow(2).getCell(4).value = 'Data is correct';
+  const {responses} = await importStudyResponses(new Uint8Array(await workbook.xlsx.writeBuffer()), incident, {fileName: 'returned.xlsx'});
+
+  expect(responses.map(r => [r.subjectId, r.index, r.status])).toStrictEqual([
+    ['0001', 3, 'disputed'], ['0001', 8, 'resolved'], ['0002', 11, 'unanswered']
+  ]);
+
+  // without the index column, a repeated subject_id is left unmatched
+  const csv = ['subject_id,dxdate.data.warning,Comments from Study for dxdate.data.warning',
+    '0001,dxdate after follow-up,Fixed', '0002,dxdate after follow-up,Fixed'].join('\n');
+  const byKey = await importStudyResponses(csv, incident, {fileName: 'returned.csv'});
+  expect(byKey.responses.map(r => r.index)).toStrictEqual([null, 11]);
+});
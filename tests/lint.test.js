@@ -0,0 +1,99 @@
+import { expect, test } from 'vitest';
+import { lintRules, hasLintErrors } from '../lib/lint';
+
+
+const dataDict = [
+  {'Variable Name': 'parity', Category: 'Reproductive History'},
+  {'Variable Name': 'parous', Category: 'Reproductive History'},
+  {'Variable Name': 'bmi', Category: 'Anthropometry'}
+];
+const data = {columns: ['subject_id', 'parity', 'parous'], index: [], data: []};
+
+
+test('lintRules reports every problem with its rule index', () => {
+  const issues = lintRules({
+    dataDict,
+    data,
+    correctionRules: [
+      {variable: 'parity', type: 'valid.changes', value_changed: '777', new_value: 'zero', comment: 'x'},
+      {variable: 'parity', type: 'cross_range9.changes', value_changed: 'parity > 1', new_value: 0, comment: 'x'},
+      {variable: 'parity', type: 'range.changes', value_changed: 'parity >', new_value: 0, comment: 'x'}
+    ],
+    warningRules: [
+      {Variable: 'bmi', 'QC Type': 'range.warnings', 'Valid Value Lower': 60, 'Valid Value Higher': 10, Comments: 'x'},
+      {Variable: 'parity', 'QC Type': 'crossrange.warnings', 'Cross Variable 1': 'gravid', 'Cross Variable 1 Value': '1',
+        Formula_Condition: 'parity >= 1', Formula_Variable: 'parity', Comments: 'x'}
+    ]
+  });
+
+  expect(issues.map(i => [i.severity, i.ruleSet, i.ruleIndex])).toStrictEqual([
+    ['error', 'corrections', 0],
+    ['error', 'corrections', 1],
+    ['error', 'corrections', 2],
+    ['warning', 'warnings', 0],
+    ['error', 'warnings', 0],
+    ['warning', 'warnings', 1],
+    ['warning', 'warnings', 1]
+  ]);
+  expect(issues[0].message).toBe('new_value "zero" is not a number');
+  expect(issues[3].message).toMatch(/"bmi" is in the data dictionary but missing from the dataset/);
+  expect(issues[4].message).toBe('Valid Value Lower (60) is greater than Valid Value Higher (10)');
+  expect(issues[5].message).toMatch(/Cross Variable 1 "gravid" is not in the data dictionary/);
+  expect(hasLintErrors(issues)).toBe(true);
+});
+
+test('lintRules passes valid rules', () => {
+  const issues = lintRules({
+    dataDict,
+    data,
+    correctionRules: [{variable: 'parity', type: 'cross_range1.changes', value_changed: 'parity == 777',
+      cross_variable_1: 'parous', cross_variable_1_value: 'parous == 0', new_value: 0, comment: 'x'}]
+  });
+  expect(issues).toStrictEqual([]);
+});
+
+test('lintRules checks the dates of daterange rules and the cross variable of dateorder rules', () => {
+  const issues = lintRules({
+    warningRules: [
+      {Variable: 'dx_date', 'QC Type': 'daterange.warnings', 'Valid Value Lower': '2020-01-01', 'Valid Value Higher': '12/31/2019', Comments: 'x'},
+      {Variable: 'dx_date', 'QC Type': 'daterange.warnings', 'Valid Value Lower': 'last year', Comments: 'x'},
+      {Variable: 'dx_date', 'QC Type': 'daterange.warnings', Comments: 'x'},
+      {Variable: 'lastfup', 'QC Type': 'dateorder.warnings', Comments: 'x'},
+      {Variable: 'dx_date', 'QC Type': 'date.warnings', Comments: 'x'}
+    ]
+  });
+
+  expect(issues.map(i => [i.ruleIndex, i.message])).toStrictEqual([
+    [0, 'Valid Value Lower (2020-01-01) is after Valid Value Higher (2019-12-31)'],
+    [1, 'Valid Value Lower "last year" is not a date'],
+    [2, 'neither Valid Value Lower nor Valid Value Higher is given'],
+    [3, 'no cross variables given']
+  ]);
+});
+
+test('lintRules checks that code.warnings rules have a code list that is loaded', () => {
+  const warningRules = [
+    {Variable: 'topography', 'QC Type': 'code.warnings', 'Code List': 'icd10', Comments: 'x'},
+    {Variable: 'topography', 'QC Type': 'code.warnings', Comments: 'x'},
+    {Variable: 'topography', 'QC Type': 'code.warnings', 'Valid Values': 'C50.0-C50.9', Comments: 'x'}
+  ];
+
+  expect(lintRules({warningRules}).map(i => [i.ruleIndex, i.message])).toStrictEqual([
+    [1, 'neither Code List nor Valid Values is given']
+  ]);
+  expect(lintRules({warningRules, codeLists: {icdo3: ['8500/3']}}).map(i => [i.ruleIndex, i.message])).toStrictEqual([
+    [0, 'code list "icd10" is not loaded'],
+    [1, 'neither Code List nor Valid Values is given']
+  ]);
+});
+
+test('lintRules warns about a unique.warnings key naming a variable twice', () => {
+  const warningRules = [
+    {Variable: 'subject_id', 'QC Type': 'unique.warnings', 'Cross Variable 1': 'dxdate', Comments: 'x'},
+    {Variable: 'subject_id', 'QC Type': 'unique.warnings', 'Cross Variable 1': 'subject_id', Comments: 'x'}
+  ];
+
+  expect(lintRules({warningRules}).map(i => [i.ruleIndex, i.severity, i.message])).toStrictEqual([
+    [1, 'warning', 'subject_id is in the key more than once']
+  ]);
+});
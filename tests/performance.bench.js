@@ -0,0 +1,167 @@
+import { bench, describe } from 'vitest';
+import {
+  arrangeChangeComments, arrangeWarningComments, arrangeAllComments, addStudyCommentColumns,
+  applyLayout, composeLayouts, filterLayout, isEmptyColumn, warningCommentLayout, allCommentLayout, studyCommentLayout
+} from '../lib/utils';
+import { changesQc } from '../lib/corrections';
+import { warningsQc } from '../lib/warnings';
+
+// Benchmarks on a synthetic cohort file: `npm run bench`. QC_BENCH_ROWS and QC_BENCH_COLUMNS set
+// its size (the wide cohort files this was tuned for have 300+ columns and up to 500k rows).
+const ROWS = Number(process.env.QC_BENCH_ROWS ?? 1000);
+const COLUMNS = Number(process.env.QC_BENCH_COLUMNS ?? 300);
+const OPTIONS = {time: 0, iterations: 3, warmupIterations: 1};
+
+
+function syntheticDataset(rows, columns) {
+  let seed = 42;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const variables = Array.from({length: columns}, (_, c) => `v${c + 1}`);
+  return {
+    columns: ['subject_id', ...variables],
+    index: Array.from({length: rows}, (_, r) => r),
+    data: Array.from({length: rows}, (_, r) => [
+      `S${r + 1}`,
+      ...variables.map(() => {
+        const u = random();
+        return u < 0.02 ? 777 : u < 0.04 ? 888 : u < 0.1 ? null : Math.floor(u * 100);
+      })
+    ])
+  };
+}
+
+const data = syntheticDataset(ROWS, COLUMNS);
+const variables = data.columns.slice(1);
+const correctionRules = variables.filter((_, c) => c % 3 === 0).map(variable => (
+  {type: 'valid.changes', variable, value_changed: '777', new_value: '-1', comment: `${variable} set to -1`}
+));
+const warningRules = variables.flatMap((variable, c) => [
+  {'QC Type': 'range.warnings', Variable: variable, 'Valid Value Lower': 5, 'Valid Value Higher': 95, Comments: `${variable} out of range`},
+  ...(c % 2 === 0 ? [{'QC Type': 'valid.warnings', Variable: variable, 'Valid Values': '0,1,2,3,4,5,6,7,8,9,10', Comments: `${variable} invalid`}] : [])
+]);
+
+const corrected = changesQc(correctionRules, data);
+const warned = warningsQc(warningRules, corrected, {output: 'all'});
+// the columns warningsQc lays out at its end: comment columns appended by the rules, unarranged
+const appended = {
+  columns: [...corrected.columns.filter(col => !col.endsWith('.data.change')), ...corrected.columns.filter(col => col.endsWith('.data.change')),
+    ...warned.columns.filter(col => col.endsWith('.data.warning'))],
+  index: corrected.index
+};
+appended.data = data.data.map((_, r) => appended.columns.map(col => {
+  const source = warned.columns.indexOf(col);
+  return source === -1 ? null : warned.data[r][source];
+}));
+
+
+/*
+ * The comment column rearrangement before the redesign, kept as the baseline: a column lookup
+ * with `indexOf` for every cell and a splice per row for every column removed.
+ */
+const legacy = {
+  arrangeChangeComments(data) {
+    const allColumns = data.columns;
+    const commentColumns = allColumns.filter(col => col.endsWith('.data.change'));
+    const dataColumns = allColumns.filter(col => !col.endsWith('.data.change'));
+    const newColumnOrder = dataColumns.flatMap(col => [col, commentColumns.find(comment => comment === `${col}.data.change`)].filter(Boolean));
+    commentColumns.forEach(col => {
+      if (!newColumnOrder.includes(col)) newColumnOrder.push(col);
+    });
+    return {columns: newColumnOrder, index: data.index, data: data.data.map(row => newColumnOrder.map(col => row[allColumns.indexOf(col)]))};
+  },
+
+  arrangeWarningComments(data) {
+    const allColumns = data.columns;
+    const warningColumns = allColumns.filter(col => col.endsWith('.data.warning'));
+    const dataColumns = allColumns.filter(col => !col.endsWith('.data.change') && !col.endsWith('.data.warning'));
+    const newColumnOrder = dataColumns.flatMap(col => [col, warningColumns.find(warning => warning === `${col}.data.warning`)].filter(Boolean));
+    allColumns.forEach(col => {
+      if (!newColumnOrder.includes(col)) newColumnOrder.push(col);
+    });
+    return {columns: newColumnOrder, index: data.index, data: data.data.map(row => newColumnOrder.map(col => row[allColumns.indexOf(col)]))};
+  },
+
+  arrangeAllComments(data) {
+    const allColumns = data.columns;
+    const commentColumns = allColumns.filter(col => col.endsWith('.data.change'));
+    const dataColumns = commentColumns.map(col => col.replace('.data.change', ''));
+    const columnPairs = dataColumns.map((col, index) => [commentColumns[index], col]);
+    const newColumnOrder = [];
+    allColumns.forEach(col => {
+      if (dataColumns.includes(col)) {
+        newColumnOrder.push(col, columnPairs.find(pair => pair[1] === col)[0]);
+      } else if (!commentColumns.includes(col)) {
+        newColumnOrder.push(col);
+      }
+    });
+    return {columns: newColumnOrder, index: data.index, data: data.data.map(row => newColumnOrder.map(col => row[allColumns.indexOf(col)]))};
+  },
+
+  removeEmptyColumns(data, suffix) {
+    const remove = [];
+    data.columns.forEach((col, c) => {
+      if (col.endsWith(suffix) && data.data.every(row => row[c] === null || row[c] === undefined)) remove.push(c);
+    });
+    remove.reverse().forEach(c => {
+      data.columns.splice(c, 1);
+      for (const row of data.data) row.splice(c, 1);
+    });
+    return data;
+  },
+
+  // steps 3 to 6 of warningsQc
+  finishWarnings(data) {
+    let updated = legacy.arrangeAllComments(legacy.arrangeWarningComments(data));
+    updated = legacy.removeEmptyColumns(updated, '.data.warning');
+    const flagIdx = [];
+    updated.columns.forEach((c, i) => {
+      if (c.endsWith('.data.change') || c.endsWith('.data.warning')) flagIdx.push(i);
+    });
+    const flagged = updated.data.map((_, i) => i).filter(i => flagIdx.some(c => updated.data[i][c] !== null));
+    updated.data = flagged.map(i => updated.data[i]);
+    updated.index = flagged.map(i => updated.index[i]);
+    return addStudyCommentColumns(updated);
+  }
+};
+
+
+describe(`arrange change comments (${ROWS} rows, ${appended.columns.length} columns)`, () => {
+  bench('before: indexOf per cell', () => {
+    legacy.arrangeChangeComments(appended);
+  }, OPTIONS);
+  bench('after: precomputed layout', () => {
+    arrangeChangeComments(appended);
+  }, OPTIONS);
+});
+
+describe(`arrange warning and change comments (${ROWS} rows, ${appended.columns.length} columns)`, () => {
+  bench('before: indexOf per cell, one pass per arrangement', () => {
+    legacy.arrangeAllComments(legacy.arrangeWarningComments(appended));
+  }, OPTIONS);
+  bench('after: precomputed layouts, one pass per arrangement', () => {
+    arrangeAllComments(arrangeWarningComments(appended));
+  }, OPTIONS);
+});
+
+describe(`final column-order pass of warningsQc (${ROWS} rows, ${appended.columns.length} columns)`, () => {
+  bench('before: arrange, drop empty columns, filter rows and add study comments one after the other', () => {
+    legacy.finishWarnings({columns: [...appended.columns], index: appended.index, data: appended.data.map(row => [...row])});
+  }, OPTIONS);
+  bench('after: composed layouts applied to the flagged rows once', () => {
+    const first = warningCommentLayout(appended.columns);
+    let layout = composeLayouts(first, allCommentLayout(first.columns));
+    layout = filterLayout(layout, (col, source) => !col.endsWith('.data.warning') || !isEmptyColumn(appended, source));
+    const flagIdx = filterLayout(layout, col => col.endsWith('.data.change') || col.endsWith('.data.warning')).sources;
+    const flagged = appended.data.map((_, i) => i).filter(i => flagIdx.some(c => appended.data[i][c] !== null));
+    applyLayout(appended, composeLayouts(layout, studyCommentLayout(layout.columns)), flagged);
+  }, OPTIONS);
+});
+
+describe(`changesQc and warningsQc (${ROWS} rows, ${COLUMNS} variables)`, () => {
+  bench(`changesQc, ${correctionRules.length} rules`, () => {
+    changesQc(correctionRules, data);
+  }, OPTIONS);
+  bench(`warningsQc, ${warningRules.length} rules`, () => {
+    warningsQc(warningRules, corrected);
+  }, OPTIONS);
+});
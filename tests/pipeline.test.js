@@ -0,0 +1,74 @@
+import { expect, test } from 'vitest';
+import { runQc, QC_STEPS, changesQc, warningsQc, coreReportWorkbook } from '../lib/qc';
+
+
+const inputs = () => ({
+  data: {
+    columns: ['subject_id', 'PARITY', 'bmi'],
+    index: [0, 1, 2],
+    data: [
+      ['A1', 777, 80],
+      ['A2', 2, 22],
+      ['A3', 1, 24]
+    ]
+  },
+  dataDict: [
+    {'Variable Name': 'subject_id', Category: 'Identification/Dates'},
+    {'Variable Name': 'parity', Category: 'Reproductive History'},
+    {'Variable Name': 'bmi', Category: 'Anthropometry'},
+    {'Variable Name': 'height', Category: 'Anthropometry'}
+  ],
+  correctionRules: [
+    {type: 'valid.changes', variable: 'parity', value_changed: '777', new_value: '0', comment: 'parity set to 0'}
+  ],
+  warningRules: [
+    {'QC Type': 'range.warnings', Variable: 'bmi', 'Valid Value Lower': 15, 'Valid Value Higher': 60, Comments: 'BMI too high'},
+    {'QC Type': 'valid.warnings', Variable: 'parity', 'Valid Values': '0,1,2', Comments: 'invalid parity'}
+  ],
+  studyName: 'PLCO'
+});
+
+
+test('qc.js exports every module', () => {
+  expect(typeof changesQc).toBe('function');
+  expect(typeof warningsQc).toBe('function');
+  expect(typeof coreReportWorkbook).toBe('function');
+});
+
+test('runQc runs the R workflow and returns every intermediate result', () => {
+  const input = inputs();
+  const result = runQc(input);
+
+  expect(result.data.columns).toStrictEqual(['subject_id', 'parity', 'bmi']);
+  expect(result.missingColumns).toStrictEqual(['height']);
+  expect(result.changes.data.map(row => row[1])).toStrictEqual([0, 2, 1]);
+  expect(result.qcData.index).toStrictEqual([0]);
+  expect(result.log.map(e => e.kind)).toStrictEqual(['change', 'warning']);
+  expect(result.report.studyName).toBe('PLCO');
+  expect(result.report.changes).toStrictEqual({'parity set to 0': 1});
+  expect(input.data.columns).toStrictEqual(['subject_id', 'PARITY', 'bmi']);
+});
+
+test('runQc counts the special codes of every row, not only the flagged ones', () => {
+  const input = inputs();
+  input.data.data[2][2] = 888;
+  const result = runQc(input);
+
+  expect(result.qcData.index).toStrictEqual([0]);
+  expect(result.report.specialCodes.bmi).toStrictEqual({888: {meaning: expect.anything(), count: 1}});
+});
+
+test('runQc reports progress per step and per rule', () => {
+  const events = [];
+  runQc(inputs(), {report: 'incident', onProgress: e => events.push(e)});
+
+  expect(events.filter(e => e.status === 'start').map(e => e.step)).toStrictEqual(QC_STEPS);
+  expect(events.filter(e => e.status === 'rule').map(e => [e.step, e.ruleIndex, e.ruleCount])).toStrictEqual([
+    ['changes', 0, 1], ['warnings', 0, 2], ['warnings', 1, 2]
+  ]);
+  const progress = events.map(e => e.progress);
+  expect(progress).toStrictEqual([...progress].sort((a, b) => a - b));
+  expect(progress[progress.length - 1]).toBe(1);
+
+  expect(() => runQc(inputs(), {report: 'other'})).toThrow(/Unknown report/);
+});
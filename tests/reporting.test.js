@@ -0,0 +1,69 @@
+import { expect, test } from 'vitest';
+import { coreSummaryReport, incidentSummaryReport } from '../lib/reporting';
+import { warningsQc } from '../lib/warnings';
+
+
+const dict = [
+  {'Variable Name': 'bmi', Category: 'Anthropometry'},
+  {'Variable Name': 'parity', Category: 'Reproductive History'},
+  {'Variable Name': 'dxdate', Category: 'Diagnostic'}
+];
+const qcData = {
+  columns: ['bmi', 'bmi.data.warning', 'parity', 'parity.data.change', 'study', 'study.data.warning'],
+  index: [0, 1],
+  data: [
+    [80, 'BMI too high', 0, 'parity set to 0 | parity recoded', 'X', 'unknown study'],
+    [90, 'BMI too high', 1, null, 'Y', null]
+  ]
+};
+
+
+test('coreSummaryReport breaks comments down by category and variable', () => {
+  const report = coreSummaryReport(dict, qcData, 'PLCO');
+  const bySheet = Object.fromEntries(report.categories.map(c => [c.sheet, c]));
+
+  expect(report.categories.map(c => c.sheet)).toContain('ID');
+  expect(bySheet['Anthropometry'].warnings).toStrictEqual({'BMI too high': 2});
+  expect(bySheet['Anthropometry'].variables).toStrictEqual({bmi: {changes: 0, warnings: 2}});
+  expect(bySheet['Reproductive History'].changes).toStrictEqual({'parity set to 0': 1, 'parity recoded': 1});
+  expect(bySheet['Other']).toStrictEqual({
+    sheet: 'Other', category: null, changes: {}, warnings: {'unknown study': 1},
+    variables: {study: {changes: 0, warnings: 1}}
+  });
+});
+
+test('incidentSummaryReport uses the incident categories', () => {
+  const report = incidentSummaryReport(dict, qcData, 'PLCO');
+  expect(report.categories.map(c => c.sheet)).toStrictEqual(['Diagnostic', 'Pathology', 'Other']);
+  expect(report.missingColumns).toStrictEqual(['dxdate']);
+});
+
+test('the report lists the duplicate records of unique.warnings rules', () => {
+  const data = {
+    columns: ['subject_id', 'dxdate'],
+    index: [0, 1, 2, 3, 4],
+    data: [['A1', '2020-03-15'], ['A2', '2020-03-15'], ['A1', '2020-03-15'], ['A3', '2019-01-01'], ['A1', '2021-06-01']]
+  };
+  const rules = [{'QC Type': 'unique.warnings', Variable: 'subject_id', 'Cross Variable 1': 'dxdate', Comments: 'Duplicate diagnosis'}];
+  const report = incidentSummaryReport(dict, warningsQc(rules, data), 'PLCO');
+
+  expect(report.warnings).toStrictEqual({'Duplicate diagnosis': 2});
+  expect(report.categories.find(c => c.sheet === 'Other').warnings).toStrictEqual({'Duplicate diagnosis': 2});
+  expect(report.duplicates).toStrictEqual([{
+    variable: 'subject_id', comment: 'Duplicate diagnosis',
+    records: [{index: 0, subjectId: 'A1'}, {index: 2, subjectId: 'A1'}]
+  }]);
+  expect(coreSummaryReport(dict, qcData, 'PLCO').duplicates).toStrictEqual([]);
+});
+
+test('duplicate records are grouped from the audit log, not from the comment wording', () => {
+  const data = {columns: ['subject_id'], index: [0, 1, 2], data: [['A1'], ['A2'], ['A1']]};
+  const rules = [{'QC Type': 'unique.warnings', Variable: 'subject_id', Comments: 'Same as baseline (duplicate of row 7)'}];
+  const report = coreSummaryReport(dict, warningsQc(rules, data), 'PLCO');
+
+  expect(report.warnings).toStrictEqual({'Same as baseline (duplicate of row 7)': 2});
+  expect(report.duplicates).toStrictEqual([{
+    variable: 'subject_id', comment: 'Same as baseline (duplicate of row 7)',
+    records: [{index: 0, subjectId: 'A1'}, {index: 2, subjectId: 'A1'}]
+  }]);
+});
@@ -0,0 +1,55 @@
+import { expect, test } from 'vitest';
+import { indexFlags, flaggingRules, filterResultRows, resultColumns } from '../lib/results';
+import { changesQc } from '../lib/corrections';
+import { warningsQc } from '../lib/warnings';
+
+
+const qcData = () => warningsQc([
+  {'QC Type': 'range.warnings', Variable: 'bmi', 'Valid Value Lower': 15, 'Valid Value Higher': 60, Comments: 'BMI too high'},
+  {'QC Type': 'valid.warnings', Variable: 'parity', 'Valid Values': '0,1,2', Comment_Variable: 'parous', Comments: 'parity out of range'}
+], changesQc([
+  {type: 'valid.changes', variable: 'parity', value_changed: '777', new_value: '0', comment: 'parity set to 0'}
+], {
+  columns: ['subject_id', 'parity', 'parous', 'bmi'],
+  index: [0, 1, 2, 3],
+  data: [
+    ['A1', 777, 0, 80],
+    ['A2', 2, 1, 22],
+    ['A3', 5, 1, 24],
+    ['A4', 1, 1, 90]
+  ]
+}));
+
+const dataDict = [
+  {'Variable Name': 'parity', Category: 'Reproductive History'},
+  {'Variable Name': 'parous', Category: 'Reproductive History'},
+  {'Variable Name': 'bmi', Category: 'Anthropometry'}
+];
+
+
+test('indexFlags puts changes and warnings on the cells they were written to', () => {
+  const data = qcData();
+  const flags = indexFlags(data);
+  expect(data.index).toStrictEqual([0, 2, 3]);
+  expect(flags.cell(0, 'parity').changes.map(e => e.oldValue)).toStrictEqual([777]);
+  expect(flags.cell(0, 'bmi').warnings.map(e => e.comment)).toStrictEqual(['BMI too high']);
+  expect(flags.cell(1, 'parous').warnings.map(e => e.comment)).toStrictEqual(['parity out of range']);
+  expect(flags.cell(1, 'parity')).toBeUndefined();
+});
+
+test('filterResultRows filters by variable, rule, comment and category', () => {
+  const data = qcData();
+  expect(filterResultRows(data)).toStrictEqual([0, 1, 2]);
+  expect(filterResultRows(data, {variable: 'bmi'})).toStrictEqual([0, 2]);
+  expect(filterResultRows(data, {rule: 'change:0'})).toStrictEqual([0]);
+  expect(filterResultRows(data, {comment: 'OUT OF'})).toStrictEqual([1]);
+  expect(filterResultRows(data, {category: 'Reproductive History'}, dataDict)).toStrictEqual([0, 1]);
+  expect(filterResultRows(data, {variable: 'bmi', comment: 'parity'})).toStrictEqual([]);
+  expect(flaggingRules(data).map(r => r.key)).toStrictEqual(['change:0', 'warning:0', 'warning:1']);
+});
+
+test('resultColumns hides the comment columns unless asked for', () => {
+  const data = qcData();
+  expect(resultColumns(data, false).map(c => c.name)).toStrictEqual(['subject_id', 'parity', 'parous', 'bmi']);
+  expect(resultColumns(data, true)).toHaveLength(data.columns.length);
+});
@@ -0,0 +1,119 @@
+import { expect, test, vi } from 'vitest';
+import { revertChanges, replayChanges } from '../lib/revert';
+import { auditLogToJson } from '../lib/auditLog';
+import { changesQc } from '../lib/corrections';
+import { warningsQc } from '../lib/warnings';
+
+
+const raw = () => ({
+  columns: ['subject_id', 'parity', 'bmi'],
+  index: [0, 1, 2],
+  data: [
+    ['A1', 777, 80],
+    ['A2', 888, 22],
+    ['A3', 2, 999]
+  ]
+});
+
+const rules = [
+  {type: 'valid.changes', variable: 'parity', value_changed: '777,888', new_value: '0', comment: 'parity set to 0'},
+  {type: 'valid.changes', variable: 'parity', value_changed: '0', new_value: '1', comment: 'parity recoded'},
+  {type: 'valid.changes', variable: 'bmi', value_changed: '999', new_value: '888', comment: 'bmi not applicable'}
+];
+
+const column = (data, name) => data.data.map(row => row[data.columns.indexOf(name)]);
+
+
+test('revertChanges restores original values and comments for a selection', () => {
+  const qcData = changesQc(rules, raw());
+  expect(column(qcData, 'parity')).toStrictEqual([1, 1, 2]);
+
+  // one row: both parity changes and the comment go
+  const row = revertChanges(qcData, {index: 0, variable: 'parity'});
+  expect(column(row, 'parity')).toStrictEqual([777, 1, 2]);
+  expect(column(row, 'parity.data.change')).toStrictEqual([null, 'parity set to 0 | parity recoded', null]);
+  expect(row.log).toHaveLength(3);
+
+  // one rule: the cell keeps the value of the correction that is kept
+  const rule = revertChanges(qcData, {ruleIndex: 1});
+  expect(column(rule, 'parity')).toStrictEqual([0, 0, 2]);
+  expect(column(rule, 'parity.data.change')).toStrictEqual(['parity set to 0', 'parity set to 0', null]);
+
+  // everything: the change columns go too, and the input is left untouched
+  const all = revertChanges(qcData);
+  expect(all.columns).toStrictEqual(['subject_id', 'parity', 'bmi']);
+  expect(all.data).toStrictEqual(raw().data);
+  expect(all.log).toStrictEqual([]);
+  expect(column(qcData, 'parity')).toStrictEqual([1, 1, 2]);
+});
+
+test('revertChanges works on warningsQc output and needs a log', () => {
+  const flagged = warningsQc([], changesQc(rules, raw()));
+  const reverted = revertChanges(flagged, {variable: 'bmi'});
+  expect(reverted.columns).toStrictEqual(['subject_id', 'parity', 'parity.data.change',
+    'Comments from Study for parity.data.change', 'bmi']);
+  expect(column(reverted, 'bmi')).toStrictEqual([80, 22, 999]);
+
+  expect(() => revertChanges({columns: [], index: [], data: []})).toThrow(/no audit log/);
+});
+
+test('replayChanges applies a saved log to fresh raw data and reports conflicts', () => {
+  const saved = JSON.parse(auditLogToJson(changesQc(rules, raw()).log));
+  const fresh = raw();
+  fresh.data[1][1] = 3;
+
+  const {data, conflicts} = replayChanges(fresh, saved);
+  expect(data.columns).toStrictEqual(['subject_id', 'parity', 'parity.data.change', 'bmi', 'bmi.data.change']);
+  expect(column(data, 'parity')).toStrictEqual([1, 3, 2]);
+  expect(column(data, 'bmi')).toStrictEqual([80, 22, 888]);
+  expect(data.log).toHaveLength(3);
+  expect(conflicts.map(c => c.message)).toStrictEqual(['parity of row A2 is 3, not 888', 'parity of row A2 is 3, not 0']);
+  expect(fresh.columns).toHaveLength(3);
+});
+
+test('revertChanges also reverts the corrections that fired on the reverted value', () => {
+  const chained = [
+    {type: 'valid.changes', variable: 'parity', value_changed: '99', new_value: '777', comment: 'parity unknown'},
+    {type: 'valid.changes', variable: 'parity', value_changed: '777', new_value: '0', comment: 'parity set to 0'},
+    {type: 'crossvalid1.changes', variable: 'bmi', value_changed: '80', new_value: '888',
+      cross_variable_1: 'parity', cross_variable_1_value: '0', comment: 'bmi not applicable'}
+  ];
+  const data = {columns: ['subject_id', 'parity', 'bmi'], index: [0, 1], data: [['A1', 99, 80], ['A2', 777, 22]]};
+  const qcData = changesQc(chained, data);
+  expect(column(qcData, 'parity')).toStrictEqual([0, 0]);
+  expect(column(qcData, 'bmi')).toStrictEqual([888, 22]);
+
+  const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  const reverted = revertChanges(qcData, {ruleIndex: 0}, {rules: chained});
+  const warnings = warn.mock.calls.map(([message]) => message);
+  warn.mockRestore();
+
+  expect(column(reverted, 'parity')).toStrictEqual([99, 0]);
+  expect(column(reverted, 'parity.data.change')).toStrictEqual([null, 'parity set to 0']);
+  expect(reverted.log.map(entry => [entry.index, entry.ruleIndex])).toStrictEqual([[1, 1], [0, 2]]);
+  expect(warnings).toStrictEqual([
+    'Also reverting "parity set to 0" of parity in row 0: it changed 777, which the cell no longer holds',
+    '"bmi not applicable" of bmi in row 0 is kept, but it read parity, whose change "parity unknown" is reverted'
+  ]);
+});
+
+test('replayChanges matches rows on index when subject_id repeats', () => {
+  const incident = () => ({
+    columns: ['subject_id', 'parity'],
+    index: [0, 1, 2],
+    data: [['A1', 777], ['A1', 888], ['A2', 777]]
+  });
+  const saved = changesQc([rules[0]], incident()).log;
+
+  const {data, conflicts} = replayChanges(incident(), saved);
+  expect(column(data, 'parity')).toStrictEqual([0, 0, 0]);
+  expect(conflicts).toStrictEqual([]);
+
+  // rows in another order: a unique subject_id still finds its row, a repeated one cannot
+  const reordered = {...incident(), index: [5, 6, 7]};
+  const replayed = replayChanges(reordered, saved);
+  expect(column(replayed.data, 'parity')).toStrictEqual([777, 888, 0]);
+  expect(replayed.conflicts.map(c => c.message)).toStrictEqual([
+    'subject_id A1 is on 2 rows, none of them at index 0', 'subject_id A1 is on 2 rows, none of them at index 1'
+  ]);
+});
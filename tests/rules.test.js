@@ -0,0 +1,43 @@
+import { expect, test } from 'vitest';
+import ExcelJS from 'exceljs';
+import { parseCsv } from '../lib/files';
+import { loadRuleSheet } from '../lib/rules';
+
+
+test('parseCsv handles quoted fields, embedded delimiters and CRLF', () => {
+  expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n1,\n')).toStrictEqual([['a', 'b'], ['x, y', 'say "hi"'], ['1', '']]);
+});
+
+test('loadRuleSheet reads correction rules from CSV', async () => {
+  const csv = [
+    'variable,type,value_changed,new_value,comment,cross_variable_1,cross_variable_1_value',
+    'parity,valid.changes,"777,888",0,parity fixed,,',
+    ',,,,,,',
+    'parous,crossvalid1.changes,777, 1 ,parous fixed,parity,"1,2"',
+    'menostat,valid.changes,777,,no new value,,'
+  ].join('\n');
+  const {rules, errors} = await loadRuleSheet(csv, 'corrections');
+  expect(rules).toStrictEqual([
+    {variable: 'parity', type: 'valid.changes', value_changed: '777,888', new_value: 0, comment: 'parity fixed',
+      cross_variable_1: null, cross_variable_1_value: null},
+    {variable: 'parous', type: 'crossvalid1.changes', value_changed: '777', new_value: 1, comment: 'parous fixed',
+      cross_variable_1: 'parity', cross_variable_1_value: '1,2'}
+  ]);
+  expect(errors).toStrictEqual([{row: 5, message: 'Row 5: missing required field(s) "new_value"'}]);
+});
+
+test('loadRuleSheet reads warning rules from XLSX', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('rules');
+  sheet.addRow(['Variable', 'QC type', 'Valid Value Lower', 'Valid Value Higher', 'Comments']);
+  sheet.addRow(['bmi', 'range.warnings', 10, '60', 'BMI out of range']);
+  sheet.addRow([]);
+  sheet.addRow(['height', 'range.warnings', 1, 2.5, null]);
+  const buffer = await workbook.xlsx.writeBuffer();
+
+  const {rules, errors} = await loadRuleSheet(new Uint8Array(buffer), 'warnings', {fileName: 'rules.xlsx'});
+  expect(rules).toStrictEqual([
+    {Variable: 'bmi', 'QC Type': 'range.warnings', 'Valid Value Lower': 10, 'Valid Value Higher': 60, Comments: 'BMI out of range'}
+  ]);
+  expect(errors.map(e => e.row)).toStrictEqual([4]);
+});
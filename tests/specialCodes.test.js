@@ -0,0 +1,88 @@
+import { expect, test } from 'vitest';
+import { parseSpecialCodes, createSpecialCodeResolver } from '../lib/specialCodes';
+import { changesQc } from '../lib/corrections';
+import { rangeWarnings, warningsQc } from '../lib/warnings';
+import { summaryReport } from '../lib/reporting';
+
+
+const data = () => ({
+  columns: ['subject_id', 'age', 'bmi'],
+  index: [0, 1, 2, 3],
+  data: [
+    ['A1', 150, 22],
+    ['A2', 999, 999],
+    ['A3', 777, -9],
+    ['A4', 45, 70]
+  ]
+});
+
+const dataDict = [
+  {'Variable Name': 'age'},
+  {'Variable Name': 'bmi', 'Special Codes': '-9=not asked; 999=unknown'}
+];
+
+const flagged = (result, column) => result.data.map(row => row[result.columns.indexOf(column)]);
+
+
+test('parseSpecialCodes reads objects and text lists with meanings', () => {
+  expect(parseSpecialCodes({999: 'unknown'})).toStrictEqual(new Map([[999, 'unknown']]));
+  expect(parseSpecialCodes('777=unknown; 888=not applicable')).toStrictEqual(new Map([[777, 'unknown'], [888, 'not applicable']]));
+  expect(parseSpecialCodes('999, -9')).toStrictEqual(new Map([[999, null], [-9, null]]));
+});
+
+test('special codes resolve per rule, then per dictionary variable, then per dataset', () => {
+  const resolve = createSpecialCodeResolver({specialCodes: '999', dataDict});
+  expect([...resolve('age').keys()]).toStrictEqual([999]);
+  expect([...resolve('BMI').keys()]).toStrictEqual([-9, 999]);
+  expect([...resolve('bmi', {'Special Codes': '0'}).keys()]).toStrictEqual([0]);
+  expect([...createSpecialCodeResolver()('age').keys()]).toStrictEqual([666, 777, 888]);
+});
+
+test('range.warnings skips the special codes of the dataset and the dictionary', () => {
+  const rules = [
+    {'QC Type': 'range.warnings', Variable: 'age', 'Valid Value Lower': 18, 'Valid Value Higher': 100, Comments: 'age out of range'},
+    {'QC Type': 'range.warnings', Variable: 'bmi', 'Valid Value Lower': 15, 'Valid Value Higher': 60, Comments: 'bmi out of range'}
+  ];
+  const result = warningsQc(rules, data(), {specialCodes: {999: 'unknown'}, dataDict});
+  expect(result.index).toStrictEqual([0, 2, 3]);
+  expect(flagged(result, 'age.data.warning')).toStrictEqual(['age out of range', 'age out of range', null]);
+  expect(flagged(result, 'bmi.data.warning')).toStrictEqual([null, null, 'bmi out of range']);
+
+  // without a context, the defaults apply
+  const defaults = rangeWarnings(data(), rules[0]);
+  expect(flagged(defaults, 'age.data.warning')).toStrictEqual(['age out of range', 'age out of range', null, null]);
+});
+
+test('a rule can override the special codes', () => {
+  const result = warningsQc([{
+    'QC Type': 'range.warnings', Variable: 'age', 'Valid Value Lower': 18, 'Valid Value Higher': 100,
+    'Special Codes': '150', Comments: 'age out of range'
+  }], data());
+  expect(result.index).toStrictEqual([1, 2]);
+});
+
+test('comparisons in correction rules treat special codes as NA only when the rule lists them', () => {
+  const rule = {type: 'range.changes', variable: 'age', value_changed: 'age > 100', new_value: 'NA', comment: 'implausible age'};
+  const asNumbers = changesQc([rule], data(), {specialCodes: '999,777'});
+  expect(flagged(asNumbers, 'age')).toStrictEqual([null, null, null, 45]);
+
+  const result = changesQc([{...rule, special_codes: '999,777'}], data());
+  expect(flagged(result, 'age')).toStrictEqual([null, 999, 777, 45]);
+  expect(flagged(result, 'age.data.change')).toStrictEqual(['implausible age', null, null, null]);
+});
+
+test('comparisons in warning rules treat special codes as NA', () => {
+  const result = warningsQc([{
+    'QC Type': 'crossrange.warnings', Variable: 'age', 'Cross Variable 1': 'subject_id', 'Cross Variable 1 Value': 'A1,A2,A3,A4',
+    Formula_Condition: 'age < 100', Comments: 'implausible age'
+  }], data(), {specialCodes: '999,777'});
+  expect(result.index).toStrictEqual([0]);
+});
+
+test('summaryReport counts the special codes of every variable', () => {
+  const report = summaryReport(dataDict, data(), 'Test', {}, {specialCodes: {999: 'unknown', 777: 'refused'}});
+  expect(report.specialCodes).toStrictEqual({
+    age: {999: {meaning: 'unknown', count: 1}, 777: {meaning: 'refused', count: 1}},
+    bmi: {999: {meaning: 'unknown', count: 1}, '-9': {meaning: 'not asked', count: 1}}
+  });
+});
@@ -0,0 +1,197 @@
+import { expect, test, vi } from 'vitest';
+import { Readable } from 'node:stream';
+import { createCsvParser, streamQc, ruleDatasetColumns, runQc, parseCsv, buildDataset, AUDIT_LOG_FIELDS } from '../lib/qc';
+
+
+const CSV = [
+  'subject_id,PARITY,bmi,note',
+  'A1,777,80,"first, with comma"',
+  'A2,2,22,',
+  'A3,1,24,"two\nlines"',
+  'A4,777,10,',
+  'A5,3,25,'
+].join('\r\n') + '\r\n';
+
+const dataDict = [
+  {'Variable Name': 'subject_id', Category: 'Identification/Dates'},
+  {'Variable Name': 'parity', Category: 'Reproductive History'},
+  {'Variable Name': 'bmi', Category: 'Anthropometry'},
+  {'Variable Name': 'height', Category: 'Anthropometry'}
+];
+const correctionRules = [
+  {type: 'valid.changes', variable: 'parity', value_changed: '777', new_value: '0', comment: 'parity set to 0'}
+];
+const warningRules = [
+  {'QC Type': 'range.warnings', Variable: 'bmi', 'Valid Value Lower': 15, 'Valid Value Higher': 60, Comments: 'BMI out of range'},
+  {'QC Type': 'valid.warnings', Variable: 'parity', 'Valid Values': '0,1,2', Comments: 'invalid parity'}
+];
+
+// the file cut into chunks of `size` bytes, as a Node stream would deliver it
+const chunked = (text, size) => {
+  const bytes = new TextEncoder().encode(text);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) chunks.push(Buffer.from(bytes.subarray(i, i + size)));
+  return Readable.from(chunks);
+};
+
+const collector = () => {
+  const output = {text: '', write(chunk) { output.text += chunk; return true; }, once() {}};
+  return output;
+};
+
+
+test('createCsvParser gives the same rows whatever the chunk boundaries', () => {
+  const whole = parseCsv(CSV);
+  for (const size of [1, 2, 3, 7]) {
+    const parser = createCsvParser();
+    const rows = [];
+    for (let i = 0; i < CSV.length; i += size) rows.push(...parser.push(CSV.slice(i, i + size)));
+    rows.push(...parser.end());
+    expect(rows).toStrictEqual(whole);
+  }
+});
+
+test('streamQc writes the same rows and builds the same report as runQc', async () => {
+  const outputs = {corrected: collector(), flagged: collector(), log: collector()};
+  const progress = [];
+  const result = await streamQc(
+    {input: chunked(CSV, 5), dataDict, correctionRules, warningRules, studyName: 'PLCO'},
+    outputs,
+    {chunkSize: 2, onProgress: e => progress.push(e)}
+  );
+
+  const [header, ...rows] = parseCsv(CSV);
+  const expected = runQc({data: buildDataset(header, rows), dataDict, correctionRules, warningRules, studyName: 'PLCO'});
+  expect(result.columns).toStrictEqual(['subject_id', 'parity', 'bmi', 'note']);
+  expect(result.missingColumns).toStrictEqual(['height']);
+  expect(result.rows).toBe(5);
+  expect(result.flaggedRows).toBe(expected.qcData.data.length);
+  expect(result.report).toStrictEqual(expected.report);
+  expect(progress).toStrictEqual([
+    {pass: 'qc', chunks: 1, rows: 2}, {pass: 'qc', chunks: 2, rows: 4}, {pass: 'qc', chunks: 3, rows: 5}
+  ]);
+
+  const corrected = parseCsv(outputs.corrected.text);
+  expect(corrected[0]).toStrictEqual(expected.changes.columns);
+  expect(corrected.slice(1).map(row => row[1])).toStrictEqual(['0', '2', '1', '0', '3']);
+  expect(corrected[3][4]).toBe('two\nlines');
+
+  const flagged = parseCsv(outputs.flagged.text);
+  expect(flagged[0]).toStrictEqual(expected.qcData.columns);
+  expect(flagged.slice(1).map(row => row[0])).toStrictEqual(expected.qcData.data.map(row => row[0]));
+
+  const log = parseCsv(outputs.log.text);
+  expect(log[0]).toStrictEqual(AUDIT_LOG_FIELDS);
+  expect(log.length - 1).toBe(expected.log.length);
+});
+
+test('streamQc counts the special codes of every row, not only the flagged ones', async () => {
+  const result = await streamQc({input: chunked(CSV + 'A6,1,888,\r\n', 16), dataDict, correctionRules, warningRules}, {}, {chunkSize: 2});
+
+  expect(result.flaggedRows).toBe(3);
+  expect(result.report.specialCodes.bmi[888].count).toBe(1);
+});
+
+test('streamQc applies the warning rules generated from the dictionary', async () => {
+  const dict = dataDict.map(row => row['Variable Name'] === 'parity' ? {...row, 'Valid Values': '0,1,2'} : row);
+  const outputs = {log: collector()};
+  const result = await streamQc({input: chunked(CSV, 64), dataDict: dict, correctionRules}, outputs, {chunkSize: 2, dictionaryWarnings: true});
+
+  expect(result.flaggedRows).toBe(3);
+  expect(result.report.warnings).toStrictEqual({'parity is not one of the valid values 0,1,2': 1});
+});
+
+test('streamQc keeps comment columns left empty, so every chunk has the same columns', async () => {
+  const outputs = {corrected: collector(), flagged: collector()};
+  const rules = [...warningRules, {'QC Type': 'range.warnings', Variable: 'parity', 'Valid Value Lower': 0, 'Valid Value Higher': 20, Comments: 'parity out of range'}];
+  await streamQc({input: chunked(CSV, 64), dataDict, warningRules: rules}, outputs, {chunkSize: 2});
+
+  const flagged = parseCsv(outputs.flagged.text);
+  expect(flagged[0]).toContain('parity.data.warning');
+  expect(flagged[0]).toContain('Comments from Study for parity.data.warning');
+  expect(flagged.every(row => row.length === flagged[0].length)).toBe(true);
+});
+
+test('streamQc waits for a full output stream to drain', async () => {
+  const output = collector();
+  let waits = 0;
+  output.write = (chunk) => { output.text += chunk; return false; };
+  output.once = (event, listener) => { waits += 1; setTimeout(listener, 0); };
+  await streamQc({input: chunked(CSV, 64), dataDict, correctionRules}, {corrected: output}, {chunkSize: 2});
+
+  expect(waits).toBe(4);
+  expect(parseCsv(output.text)).toHaveLength(6);
+});
+
+test('rules reading columns missing from the file are reported once, not for every chunk', async () => {
+  const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+  const outputs = {log: collector()};
+  const rules = [
+    {'QC Type': 'crossrange.warnings', Variable: 'bmi', Formula_Condition: 'height < 100', Comments: 'short'},
+    ...warningRules
+  ];
+  const corrections = [{type: 'valid.changes', variable: 'height', value_changed: '999', new_value: 'NA', comment: 'height unknown'}, ...correctionRules];
+  await streamQc({input: chunked(CSV, 64), dataDict, correctionRules: corrections, warningRules: rules}, outputs, {chunkSize: 1});
+
+  const skipped = log.mock.calls.map(call => call[0]).filter(message => /skipping this QC step/.test(message));
+  expect(skipped).toStrictEqual(['height not present in data set, skipping this QC step', 'height not present in data set, skipping this QC step']);
+  const entries = parseCsv(outputs.log.text).slice(1);
+  // the other rules keep their place in the rule sets
+  expect(entries.map(entry => [entry[0], entry[1], entry[7]])).toStrictEqual([
+    ['change', '0', '1'], ['warning', '0', '1'], ['change', '3', '1'], ['warning', '3', '1'], ['warning', '4', '2']
+  ]);
+  log.mockRestore();
+});
+
+test('rules reading data$ columns run in a second pass over a reopenable input', async () => {
+  const duplicated = CSV + 'A2,1,23,\r\n';
+  const rules = [
+    {'QC Type': 'crossrange.warnings', Variable: 'subject_id', 'Cross Variable 1': 'bmi', 'Cross Variable 1 Value': 'bmi > 0',
+      Formula_Condition: 'subject_id %in% is.Unique(data$subject_id)', Comments: 'duplicated subject_id'}
+  ];
+  expect(ruleDatasetColumns(rules[0], 'warnings')).toStrictEqual(['subject_id']);
+
+  const outputs = {flagged: collector()};
+  const progress = [];
+  const result = await streamQc(
+    {input: () => chunked(duplicated, 9), dataDict, warningRules: rules},
+    outputs,
+    {chunkSize: 2, onProgress: e => progress.push(e.pass)}
+  );
+
+  expect(progress).toStrictEqual(['columns', 'columns', 'columns', 'qc', 'qc', 'qc']);
+  expect(result.flaggedRows).toBe(2);
+  expect(parseCsv(outputs.flagged.text).slice(1).map(row => row[0])).toStrictEqual(['A2', 'A2']);
+});
+
+test('unique.warnings rules find duplicates across chunks', async () => {
+  const duplicated = CSV + 'A2,1,23,\r\n';
+  const rules = [{'QC Type': 'unique.warnings', Variable: 'subject_id', Comments: 'Duplicate subject_id'}];
+  expect(ruleDatasetColumns(rules[0], 'warnings')).toStrictEqual(['subject_id']);
+
+  const outputs = {flagged: collector()};
+  const result = await streamQc({input: () => chunked(duplicated, 9), dataDict, warningRules: rules}, outputs, {chunkSize: 2});
+
+  const flagged = parseCsv(outputs.flagged.text);
+  expect(flagged.slice(1).map(row => [row[0], row[1]])).toStrictEqual([
+    ['A2', 'Duplicate subject_id (duplicate of row 5)'], ['A2', 'Duplicate subject_id (duplicate of row 1)']
+  ]);
+  expect(result.report.duplicates).toStrictEqual([{
+    variable: 'subject_id', comment: 'Duplicate subject_id',
+    records: [{index: 1, subjectId: 'A2'}, {index: 5, subjectId: 'A2'}]
+  }]);
+  await expect(streamQc({input: chunked(duplicated, 9), dataDict, warningRules: rules}))
+    .rejects.toThrow('Warning rule 1 (unique.warnings, subject_id) reads data$subject_id, so it needs the whole dataset');
+});
+
+test('rules needing the whole dataset are rejected when they cannot be streamed', async () => {
+  const unique = {type: 'range.changes', variable: 'bmi', value_changed: '!(subject_id %in% is.Unique(data$subject_id))', new_value: 'NA', comment: 'duplicate'};
+
+  await expect(streamQc({input: chunked(CSV, 64), dataDict, correctionRules: [unique]}))
+    .rejects.toThrow('Correction rule 1 (range.changes, bmi) reads data$subject_id, so it needs the whole dataset');
+
+  const changesId = {type: 'valid.changes', variable: 'subject_id', value_changed: 'A5', new_value: 'A1', comment: 'typo'};
+  await expect(streamQc({input: () => chunked(CSV, 64), dataDict, correctionRules: [changesId, unique]}))
+    .rejects.toThrow('Correction rule 2 (range.changes, bmi) reads data$subject_id, which correction rule 1 changes first');
+  await expect(streamQc({input: () => chunked(CSV, 64), dataDict, correctionRules: [unique, changesId]})).resolves.toMatchObject({rows: 5});
+});
@@ -1,5 +1,8 @@
 import { expect, test } from 'vitest';
-import { getRangeValues } from '../lib/utils';
+import {
+  getRangeValues, arrangeChangeComments, arrangeWarningComments, arrangeAllComments, addStudyCommentColumns,
+  applyLayout, composeLayouts, warningCommentLayout, allCommentLayout
+} from '../lib/utils';
 
 
 test('getRangeValues(1) returns [1]', () => {
@@ -37,3 +40,52 @@ test(`getRangeValues([1, 2, 'c']) returns ['1', '2', 'c']`, () => {
 test(`getRangeValues([1, 2, '3']) returns [1, 2, 3]`, () => {
   expect(getRangeValues([1, 2, '3'])).toStrictEqual([1, 2, 3])
 });
+
+
+const commented = () => ({
+  columns: ['id', 'b.data.change', 'a', 'b', 'a.data.warning', 'z.data.change', 'a.data.change'],
+  index: [0, 1],
+  data: [
+    [1, 'b fixed', 5, 6, 'a odd', 'z fixed', null],
+    [2, null, 7, 8, null, null, 'a fixed']
+  ]
+});
+
+test('arrangeChangeComments puts change comments after their variable, unpaired ones last', () => {
+  const arranged = arrangeChangeComments(commented());
+  expect(arranged.columns).toStrictEqual(['id', 'a', 'a.data.change', 'b', 'b.data.change', 'a.data.warning', 'z.data.change']);
+  expect(arranged.data).toStrictEqual([
+    [1, 5, null, 6, 'b fixed', 'a odd', 'z fixed'],
+    [2, 7, 'a fixed', 8, null, null, null]
+  ]);
+});
+
+test('arrangeWarningComments and arrangeAllComments pair every comment with its variable', () => {
+  const arranged = arrangeAllComments(arrangeWarningComments(commented()));
+  expect(arranged.columns).toStrictEqual(['id', 'a', 'a.data.change', 'a.data.warning', 'b', 'b.data.change']);
+  expect(arranged.data[1]).toStrictEqual([2, 7, 'a fixed', null, 8, null]);
+
+  const plain = {columns: ['id'], index: [0], data: [[1]]};
+  expect(arrangeWarningComments(plain)).toBe(plain);
+  expect(arrangeAllComments(plain)).toBe(plain);
+});
+
+test('composed layouts lay out the rows once, as the arrange functions do one after the other', () => {
+  const data = commented();
+  const first = warningCommentLayout(data.columns);
+  const layout = composeLayouts(first, allCommentLayout(first.columns));
+  expect(applyLayout(data, layout)).toStrictEqual(arrangeAllComments(arrangeWarningComments(data)));
+  expect(applyLayout(data, layout, [1]).index).toStrictEqual([1]);
+  expect(data).toStrictEqual(commented());
+});
+
+test('addStudyCommentColumns adds a blank study comment column after each comment column', () => {
+  const withStudy = addStudyCommentColumns(arrangeChangeComments(commented()));
+  expect(withStudy.columns.filter(col => col.startsWith('Comments from Study'))).toStrictEqual([
+    'Comments from Study for a.data.change',
+    'Comments from Study for b.data.change',
+    'Comments from Study for a.data.warning',
+    'Comments from Study for z.data.change'
+  ]);
+  expect(withStudy.data[0].slice(0, 4)).toStrictEqual([1, 5, null, null]);
+});
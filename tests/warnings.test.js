@@ -0,0 +1,141 @@
+import { expect, test } from 'vitest';
+import { crossvalidWarnings, valueCheckWarnings, validWarnings, warningsQc } from '../lib/warnings';
+import { createCodeList } from '../lib/codeLists';
+
+
+const data = () => ({
+  columns: ['subject_id', 'parity', 'parous', 'age_preg1', 'age'],
+  index: [0, 1, 2],
+  data: [
+    ['A1', 2, 1, 25, 50],
+    ['A2', 1, 0, 60, 55],
+    ['A3', 0, 0, 777, 40]
+  ]
+});
+
+
+test('crossvalidWarnings flags when any cross variable is outside its values', () => {
+  const result = crossvalidWarnings(data(), {
+    'QC Type': 'crossvalid1.warnings', Variable: 'parity', 'Valid Values': '1,2,3',
+    'Cross Variable 1': 'parous', 'Cross Variable 1 Value': '1', Comments: 'parous but parity 0'
+  });
+  expect(result.data.map(row => row[5])).toStrictEqual([null, 'parous but parity 0', null]);
+});
+
+test('valueCheckWarnings compares against the cross variable and skips special codes', () => {
+  const result = valueCheckWarnings(data(), {
+    'QC Type': 'value_check.warnings', Variable: 'age_preg1', 'Cross Variable 1': 'age',
+    Comments: 'pregnancy after baseline'
+  });
+  expect(result.data.map(row => row[5])).toStrictEqual([null, 'pregnancy after baseline', null]);
+});
+
+test('Comment_Variable puts the warning on another column', () => {
+  const result = validWarnings(data(), {
+    'QC Type': 'valid.warnings', Variable: 'parity', 'Valid Values': '1,2', Comment_Variable: 'parous',
+    Comments: 'invalid parity'
+  });
+  expect(result.columns[5]).toBe('parous.data.warning');
+  expect(result.data[2][5]).toBe('invalid parity');
+});
+
+test('warningsQc keeps only flagged rows with warnings and study comments next to their variable', () => {
+  const result = warningsQc([{
+    'QC Type': 'crossrange2.warnings', Variable: 'age_preg1',
+    'Cross Variable 1': 'parous', 'Cross Variable 1 Value': 'parous == 0',
+    'Cross Variable 2': 'parity', 'Cross Variable 2 Value': '1',
+    Formula_Condition: 'age_preg1 < age', Comments: 'pregnancy after baseline'
+  }], data());
+  expect(result.columns).toStrictEqual(['subject_id', 'parity', 'parous', 'age_preg1', 'age_preg1.data.warning',
+    'Comments from Study for age_preg1.data.warning', 'age']);
+  expect(result.index).toStrictEqual([1]);
+  expect(result.data).toStrictEqual([['A2', 1, 0, 60, 'pregnancy after baseline', null, 55]]);
+});
+
+test('warningsQc leaves its input untouched and can return all rows or flagged indices', () => {
+  const rules = [{'QC Type': 'valid.warnings', Variable: 'parity', 'Valid Values': '1,2', Comments: 'invalid parity'}];
+  const input = data();
+
+  const all = warningsQc(rules, input, {output: 'all'});
+  expect(all.index).toStrictEqual([0, 1, 2]);
+  expect(all.data.map(row => row[2])).toStrictEqual([null, null, 'invalid parity']);
+  expect(all.log).toHaveLength(1);
+
+  expect(warningsQc(rules, input, {output: 'indices'})).toStrictEqual([2]);
+  expect(warningsQc(rules, input).index).toStrictEqual([2]);
+  expect(input).toStrictEqual(data());
+  expect(() => warningsQc(rules, input, {output: 'some'})).toThrow(/Unknown warningsQc output/);
+});
+
+test('date warnings flag unparseable dates, dates outside the study window and dates out of order', () => {
+  const dates = {
+    columns: ['subject_id', 'dx_date', 'lastfup'],
+    index: [0, 1, 2, 3],
+    data: [
+      ['A1', '2020-03-15', '03/01/2021'],
+      ['A2', '2020-13-01', '2020-01-01'],
+      ['A3', 777, 43800],
+      ['A4', '1989-06-30', '1990-01-01']
+    ]
+  };
+  const rules = [
+    {'QC Type': 'date.warnings', Variable: 'dx_date', Comments: 'dx_date not a date'},
+    {'QC Type': 'daterange.warnings', Variable: 'dx_date', 'Valid Value Lower': '01/01/1993', 'Valid Value Higher': null, Comments: 'dx_date before the study'},
+    {'QC Type': 'dateorder.warnings', Variable: 'lastfup', 'Cross Variable 1': 'dx_date', Comments: 'follow-up before diagnosis'}
+  ];
+  const result = warningsQc(rules, dates, {output: 'all'});
+
+  expect(result.columns).toStrictEqual(['subject_id', 'dx_date', 'dx_date.data.warning', 'Comments from Study for dx_date.data.warning', 'lastfup']);
+  expect(result.data.map(row => row[2])).toStrictEqual([null, 'dx_date not a date', null, 'dx_date before the study']);
+
+  const reversed = warningsQc([rules[2]], {...dates, index: [0, 1], data: [['A1', '2021-03-01', '2020-12-31'], ['A2', '2021-03-01', 44256]]}, {output: 'all'});
+  expect(reversed.columns[3]).toBe('lastfup.data.warning');
+  expect(reversed.data.map(row => row[3])).toStrictEqual(['follow-up before diagnosis', null]);
+});
+
+test('codeWarnings checks codes against a loaded code list and inline ranges', () => {
+  const incident = {
+    columns: ['subject_id', 'topography', 'morphology'],
+    index: [0, 1, 2, 3],
+    data: [['A1', 'C50.4', '8500/3'], ['A2', 'c509', '8500/2'], ['A3', 'C18.7', 777], ['A4', 'X99', null]]
+  };
+  const codeLists = {icd10: createCodeList(['C18.7', 'C50*']), morphology: ['8500/3', '8520/3']};
+  const rules = [
+    {'QC Type': 'code.warnings', Variable: 'topography', 'Code List': 'icd10', 'Valid Values': 'C50.0-C50.9', Comments: 'not a breast cancer code'},
+    {'QC Type': 'code.warnings', Variable: 'morphology', 'Code List': 'morphology', Comments: 'unknown morphology'},
+    {'QC Type': 'code.warnings', Variable: 'morphology', 'Code List': 'icdo3', Comments: 'not loaded'}
+  ];
+  const result = warningsQc(rules, incident, {output: 'all', codeLists});
+
+  expect([result.columns[2], result.columns[5]]).toStrictEqual(['topography.data.warning', 'morphology.data.warning']);
+  expect(result.data.map(row => [row[2], row[5]])).toStrictEqual([
+    [null, null], [null, 'unknown morphology'], ['not a breast cancer code', null], ['not a breast cancer code', null]
+  ]);
+});
+
+test('uniqueWarnings flags every row of a duplicate key, citing the other rows', () => {
+  const incident = {
+    columns: ['subject_id', 'dxdate'],
+    index: [10, 11, 12, 13, 14, 15],
+    data: [
+      ['A1', '2020-03-15'], ['A1', '2021-06-01'], ['A2', '2019-01-01'],
+      ['A1', '2020-03-15'], ['A2', '2019-01-01'], [null, '2019-01-01']
+    ]
+  };
+  const byId = warningsQc([{'QC Type': 'unique.warnings', Variable: 'subject_id', Comments: 'Duplicate subject_id'}], incident, {output: 'all'});
+  expect(byId.columns).toStrictEqual(['subject_id', 'subject_id.data.warning', 'Comments from Study for subject_id.data.warning', 'dxdate']);
+  expect(byId.data.map(row => row[1])).toStrictEqual([
+    'Duplicate subject_id (duplicate of rows 11, 13)', 'Duplicate subject_id (duplicate of rows 10, 13)', 'Duplicate subject_id (duplicate of row 14)',
+    'Duplicate subject_id (duplicate of rows 10, 11)', 'Duplicate subject_id (duplicate of row 12)', null
+  ]);
+
+  const rule = {'QC Type': 'unique.warnings', Variable: 'subject_id', 'Cross Variable 1': 'dxdate', Comments: 'Duplicate diagnosis'};
+  const byDiagnosis = warningsQc([rule], incident);
+  expect(byDiagnosis.index).toStrictEqual([10, 12, 13, 14]);
+  expect(byDiagnosis.data.map(row => row[1])).toStrictEqual([
+    'Duplicate diagnosis (duplicate of row 13)', 'Duplicate diagnosis (duplicate of row 14)',
+    'Duplicate diagnosis (duplicate of row 10)', 'Duplicate diagnosis (duplicate of row 12)'
+  ]);
+  expect(byDiagnosis.log.map(entry => entry.comment)).toStrictEqual(byDiagnosis.data.map(row => row[1]));
+  expect(byDiagnosis.log.map(entry => entry.duplicateOf)).toStrictEqual([[13], [14], [10], [12]]);
+});
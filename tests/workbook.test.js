@@ -0,0 +1,69 @@
+import { expect, test } from 'vitest';
+import ExcelJS from 'exceljs';
+import { coreReportWorkbook, reportFileName, workbookToBlob } from '../lib/workbook';
+import { warningsQc } from '../lib/warnings';
+
+
+const coreDict = [
+  {'Variable Name': 'subject_id', Category: 'Identification/Dates'},
+  {'Variable Name': 'bmi', Category: 'Anthropometry'},
+  {'Variable Name': 'parity', Category: 'Reproductive History'},
+  {'Variable Name': 'height', Category: 'Anthropometry'}
+];
+const qcData = {
+  columns: ['subject_id', 'bmi', 'bmi.data.warning', 'parity', 'parity.data.change'],
+  index: [0, 1],
+  data: [
+    ['A1', 80, 'BMI too high', 0, 'parity set to 0'],
+    ['A2', 22, null, 1, null]
+  ]
+};
+
+
+test('coreReportWorkbook follows the R sheet layout', async () => {
+  const workbook = coreReportWorkbook(coreDict, qcData);
+  expect(workbook.worksheets.map(s => s.name)).toStrictEqual([
+    'QC Data', 'Missing Variables', 'ID', 'Demographics', 'Anthropometry', 'Alcohol and Tobacco',
+    'Personal and Family History', 'Reproductive History', 'Hormone Replacement Therapy',
+    'Physical Activity', 'Screening History'
+  ]);
+
+  // round trip through the file format
+  const reread = new ExcelJS.Workbook();
+  await reread.xlsx.load(await workbook.xlsx.writeBuffer());
+
+  const data = reread.getWorksheet('QC Data');
+  expect(data.views[0].state).toBe('frozen');
+  expect(data.getRow(1).getCell(1).font.bold).toBe(true);
+  expect(data.getRow(2).getCell(3).fill.fgColor.argb).toBe('FFFCE4D6');
+  expect(data.getRow(2).getCell(2).fill.fgColor.argb).toBe('FFFCE4D6');
+  expect(data.getRow(2).getCell(5).fill.fgColor.argb).toBe('FFDDEBF7');
+  expect(data.getRow(3).getCell(2).fill).toBeUndefined();
+
+  expect(reread.getWorksheet('Missing Variables').getRow(2).getCell(1).value).toBe('height');
+  const anthropometry = reread.getWorksheet('Anthropometry');
+  const cells = (sheet, r) => [1, 2, 3].map(c => sheet.getRow(r).getCell(c).value);
+  expect(cells(anthropometry, 3)).toStrictEqual([null, 'BMI too high', 1]);
+  const reproductive = reread.getWorksheet('Reproductive History');
+  expect(cells(reproductive, 2)).toStrictEqual(['parity set to 0', null, 1]);
+});
+
+test('duplicate records get a sheet of their own', () => {
+  const duplicated = {columns: ['subject_id', 'bmi'], index: [0, 1, 2], data: [['A1', 20], ['A2', 22], ['A1', 24]]};
+  const rules = [{'QC Type': 'unique.warnings', Variable: 'subject_id', Comments: 'Duplicate subject_id'}];
+  const workbook = coreReportWorkbook(coreDict, warningsQc(rules, duplicated));
+
+  const sheet = workbook.getWorksheet('Duplicate Records');
+  expect(sheet.getSheetValues().slice(1).map(row => row.slice(1))).toStrictEqual([
+    ['Duplicate', 'Variable', 'Comment', 'Row', 'subject_id'],
+    [1, 'subject_id', 'Duplicate subject_id', 0, 'A1'],
+    [1, 'subject_id', 'Duplicate subject_id', 2, 'A1']
+  ]);
+});
+
+test('reports can be downloaded as a Blob', async () => {
+  const blob = await workbookToBlob(coreReportWorkbook(coreDict, qcData));
+  expect(blob.type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  expect(blob.size).toBeGreaterThan(0);
+  expect(reportFileName('PLCO', 'core')).toBe('PLCO BCRPP Core QC Report.xlsx');
+});
@@ -0,0 +1,118 @@
+import { expect, test } from 'vitest';
+import { createWorkerHandler } from '../lib/worker';
+
+
+const files = () => ({
+  data: new File(['subject_id,PARITY,bmi\nA1,777,80\nA2,2,22\nA3,1,24\n'], 'data.csv', {lastModified: 1}),
+  dictionary: new File(['Variable Name,Category\nsubject_id,Identification/Dates\nparity,Reproductive History\nbmi,Anthropometry\n'], 'dict.csv', {lastModified: 1}),
+  corrections: new File(['type,variable,value_changed,new_value,comment\nvalid.changes,parity,777,0,parity set to 0\n'], 'corrections.csv', {lastModified: 1}),
+  warnings: new File(['QC Type,Variable,Valid Value Lower,Valid Value Higher,Comments\nrange.warnings,bmi,15,60,BMI too high\n'], 'warnings.csv', {lastModified: 1})
+});
+
+const worker = () => {
+  const messages = [];
+  const transfers = [];
+  return {messages, transfers, handle: createWorkerHandler((message, transfer = []) => {
+    messages.push(message);
+    transfers.push(transfer);
+  })};
+};
+
+// the QC result of a 'done' message, posted as JSON bytes
+const resultOf = (message) => JSON.parse(new TextDecoder().decode(message.buffer));
+
+
+test('the worker reads dropped files and summarises them', async () => {
+  const {messages, handle} = worker();
+  await handle({id: 1, type: 'load', slot: 'data', file: files().data});
+  await handle({id: 2, type: 'load', slot: 'corrections', file: files().corrections});
+  expect(messages).toStrictEqual([
+    {type: 'loaded', id: 1, slot: 'data', summary: '3 rows, 3 columns', errors: []},
+    {type: 'loaded', id: 2, slot: 'corrections', summary: '1 rules', errors: []}
+  ]);
+});
+
+test('the worker streams progress per rule and posts the QC result', async () => {
+  const {messages, transfers, handle} = worker();
+  await handle({id: 7, type: 'run', files: files(), options: {studyName: 'PLCO'}});
+
+  const progress = messages.filter(m => m.type === 'progress');
+  expect(progress.every(m => m.id === 7)).toBe(true);
+  expect(progress.filter(m => m.event.status === 'rule').map(m => m.event.step)).toStrictEqual(['changes', 'warnings']);
+
+  const done = messages.at(-1);
+  expect(done.type).toBe('done');
+  expect(done.id).toBe(7);
+  expect(transfers.at(-1)).toStrictEqual([done.buffer]);
+  const result = resultOf(done);
+  expect(result.qcData.index).toStrictEqual([0]);
+  expect(result.qcData.data[0].slice(0, 3)).toStrictEqual(['A1', 0, 'parity set to 0']);
+  expect(result.qcData.log.map(e => e.kind)).toStrictEqual(['change', 'warning']);
+  expect(result.dataDict).toHaveLength(3);
+  expect(result.issues).toStrictEqual([]);
+});
+
+test('the worker builds downloads of the last result', async () => {
+  const {messages, transfers, handle} = worker();
+  await handle({id: 1, type: 'download', what: 'data'});
+  expect(messages.pop()).toStrictEqual({type: 'error', id: 1, message: 'There is no QC result to download yet'});
+
+  await handle({id: 2, type: 'run', files: files(), options: {studyName: 'PLCO'}});
+  await handle({id: 3, type: 'download', what: 'data'});
+  const file = messages.pop();
+  expect(file.fileName).toBe('PLCO corrected data.csv');
+  expect(file.mimeType).toBe('text/csv');
+  expect(transfers.pop()).toStrictEqual([file.buffer]);
+  expect(new TextDecoder().decode(file.buffer)).toBe('subject_id,parity,parity.data.change,bmi\nA1,0,parity set to 0,80\nA2,2,,22\nA3,1,,24\n');
+
+  await handle({id: 4, type: 'download', what: 'log'});
+  expect(messages.pop().fileName).toBe('PLCO QC change log.csv');
+
+  await handle({id: 5, type: 'download', what: 'report'});
+  const report = messages.pop();
+  expect(report.fileName).toBe('PLCO BCRPP Core QC Report.xlsx');
+  expect(report.buffer).toBeInstanceOf(ArrayBuffer);
+  expect(transfers.pop()).toStrictEqual([report.buffer]);
+});
+
+test('the worker lints the rules first and refuses to run rules that cannot run', async () => {
+  const {messages, handle} = worker();
+  const broken = {
+    ...files(),
+    corrections: new File(['type,variable,value_changed,new_value,comment\nrange.changes,bmi,bmi >,0,broken\n'], 'broken.csv', {lastModified: 1})
+  };
+  await handle({id: 1, type: 'run', files: broken, options: {}});
+  expect(messages.some(m => m.type === 'progress')).toBe(false);
+  expect(messages[0]).toMatchObject({type: 'error', id: 1, message: 'Some rules cannot run as written; fix them and run the QC again'});
+  expect(messages[0].issues.map(i => [i.severity, i.ruleSet, i.variable])).toStrictEqual([['error', 'corrections', 'bmi']]);
+  await handle({id: 2, type: 'download', what: 'data'});
+  expect(messages.pop().message).toBe('There is no QC result to download yet');
+});
+
+test('the worker loads the code lists of code.warnings rules', async () => {
+  const {messages, handle} = worker();
+  const codeFiles = {
+    ...files(),
+    warnings: new File(['QC Type,Variable,Code List,Comments\ncode.warnings,parity,parities,unknown parity\n'], 'warnings.csv', {lastModified: 1})
+  };
+  await handle({id: 1, type: 'run', files: codeFiles, options: {}});
+  expect(messages.pop().issues[0].message).toBe('code list "parities" is not loaded');
+
+  const codeLists = [new File(['Code\n0\n1\n'], 'parities.csv', {lastModified: 1})];
+  await handle({id: 2, type: 'load', slot: 'codeList', file: codeLists[0]});
+  expect(messages.pop()).toStrictEqual({type: 'loaded', id: 2, slot: 'codeList', summary: '2 codes', errors: []});
+  await handle({id: 3, type: 'run', files: {...codeFiles, codeLists}, options: {}});
+  const done = messages.pop();
+  expect(done.type).toBe('done');
+  expect(resultOf(done).qcData.log.filter(e => e.kind === 'warning').map(e => e.oldValue)).toStrictEqual([2]);
+});
+
+test('the worker reports bad requests as errors', async () => {
+  const {messages, handle} = worker();
+  await handle({id: 1, type: 'run', files: {data: files().data}});
+  await handle({id: 2, type: 'load', slot: 'other', file: files().data});
+  expect(messages).toStrictEqual([
+    {type: 'error', id: 1, message: 'A dataset and a data dictionary are needed to run the QC'},
+    {type: 'error', id: 2, message: 'Unknown input: other'}
+  ]);
+});